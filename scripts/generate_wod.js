@@ -1,957 +1,944 @@
 #!/usr/bin/env node
 "use strict";
 
-const fs = require("node:fs");
 const path = require("node:path");
 
-const LEVEL_RANK = {
-  beginner: 0,
-  intermediate: 1,
-  advanced: 2,
+const { balanceReport } = require("./lib/balance");
+const { buildBenchmarkPlan, findBenchmark } = require("./lib/benchmarks");
+const { buildClassPlan, mergeClass } = require("./lib/classes");
+const { checkPlanCoherence } = require("./lib/coherence");
+const { InputError, UsageError, WodGeneratorError } = require("./lib/errors");
+const { buildPlan, normalizeHistory, planBlock, rerollOptions } = require("./lib/generator");
+const {
+  loadBenchmarks,
+  loadHistoryStore,
+  loadJson,
+  loadLibrary,
+  loadLibraryLayers,
+  saveHistoryStore,
+} = require("./lib/io");
+const { lintLibrary } = require("./lib/library");
+const { buildMicrocycle, parseRestPattern } = require("./lib/microcycle");
+const { buildPartnerPlan, mergeTeam } = require("./lib/partners");
+const { PARTNER_FORMATS, WOD_TYPES, mergeProfile } = require("./lib/profile");
+const {
+  renderLogText,
+  renderMicrocycleText,
+  renderRecordsText,
+  renderReportText,
+  renderSubstitutesText,
+  renderText,
+} = require("./lib/render");
+const {
+  renderHtml,
+  renderMarkdown,
+  renderMicrocycleHtml,
+  renderMicrocycleMarkdown,
+} = require("./lib/whiteboard");
+const {
+  appendLogEntry,
+  buildLogEntry,
+  computeRecords,
+  newRecords,
+  parseLift,
+  parseRpe,
+  parseScore,
+  planForDate,
+} = require("./lib/results");
+const { parseVolume, substituteMovement } = require("./lib/substitutions");
+const { formatIsoDate, movementMap, parseIsoDate, todayOrdinalDay, todaySeed } = require("./lib/util");
+const {
+  assertValidClassInputs,
+  assertValidInputs,
+  assertValidTeamInputs,
+  buildVocabulary,
+  describeUnknown,
+  formatDiagnostic,
+  validateClass,
+  validateHistory,
+  validateProfile,
+  validateReadiness,
+} = require("./lib/validate");
+
+const COMMANDS = ["generate", "validate", "lint-library", "log", "records", "substitute", "report"];
+const OUTPUT_FORMATS = ["text", "json", "markdown", "html"];
+const PLAN_RENDERERS = {
+  json: (value) => JSON.stringify(value, null, 2),
+  markdown: renderMarkdown,
+  html: renderHtml,
+  text: renderText,
 };
 
-const DEFAULT_PROFILE = {
-  goal: "mixed",
-  fitness_level: "intermediate",
-  session_minutes: 45,
-  equipment_available: ["none"],
-  limitations: {
-    avoid_patterns: [],
-    avoid_movements: [],
-  },
-  preferred_modalities: ["monostructural", "gymnastics", "weightlifting", "odd-object"],
-  wod_type: null,
-  intensity: "moderate",
-};
-
-const WOD_TYPES = ["amrap", "for_time", "emom", "chipper", "interval"];
-
-class SeededRng {
-  constructor(seed) {
-    this.state = Number(seed) >>> 0;
-  }
+function printUsage() {
+  const scriptName = path.basename(process.argv[1] || "scripts/generate_wod.js");
+  const lines = [
+    "Generate a personalized CrossFit WOD from profile and history",
+    "",
+    `Usage: node ${scriptName} [command] --profile-file <path> [options]`,
+    "",
+    "Commands:",
+    "  generate                 Generate a WOD or microcycle (default)",
+    "  validate                 Report every problem in the profile, class, history and/or readiness files;",
+    "                           exit non-zero on errors",
+    "  lint-library             Check the movement library layers and exit non-zero on errors",
+    "  log                      Append a session's results to --history-file and report new PRs",
+    "  records                  List personal records logged in --history-file",
+    "  substitute               Rank what replaces --movement for the --profile-file athlete",
+    "  report                   Modality, pattern, time-domain, WOD-type and effect balance of --history-file",
+    "                           over 7/28/90 days, with neglected patterns and over-used movements",
+    "",
+    "Options:",
+    "  --profile-file <path>    Path to athlete profile JSON (required)",
+    "  --history-file <path>    Path to recent workout history JSON (optional)",
+    "  --readiness-file <path>  Today's readiness check-in JSON (sleep, stress, soreness, resting HR, HRV),",
+    "                           laid over the profile's own readiness fields",
+    "  --class-file <path>      Class JSON (athletes plus gym equipment counts); one WOD for the whole group",
+    "  --partner-file <path>    Training partner's profile JSON; repeatable for teams of up to 4 (the",
+    "                           --profile-file athlete's gym and session settings are used)",
+    `  --partner-format <name>  ${PARTNER_FORMATS.join(", ")} (default: profile or seeded pick)`,
+    "  --movements-file <path>  Movement library layer merged over the bundled library; repeatable",
+    "  --no-default-library     Use only the --movements-file layers, not references/movements.json",
+    "  --history-days <int>     How many days back a repeated movement is penalized (default: 2); pattern",
+    "                           fatigue decays over the last 28 days",
+    "  --seed <int>             Random seed; default is current date (YYYYMMDD)",
+    "  --days <int>             Generate a microcycle of consecutive days (default: 1)",
+    "  --rest-pattern <NonMoff> Rest-day pattern for --days, e.g. 3on1off (default: no rest days)",
+    "  --start-date <date>      First day of the plan, the day to log, or the day a report runs up to, as",
+    "                           YYYY-MM-DD (default: today)",
+    "  --check-plan <path>      Validate piece coherence of a generated plan JSON instead of generating",
+    "  --strict                 Refuse to generate when the profile or history has validation errors",
+    "  --benchmark <name>       Program a benchmark from references/benchmarks.json (Fran, Murph, ...) scaled",
+    "                           to the athlete; profiles with benchmark_retest_weeks get overdue retests",
+    "  --explain                Show why each library movement was excluded or how it scored, and which",
+    "                           picks were drawn from the top 8 (a table in text, `explanation` in json)",
+    "  --require <block:name>   Put a movement in a block, e.g. \"Metcon:Thruster\" (blocks: warmup, strength,",
+    "                           metcon, accessory, cooldown); repeatable",
+    "  --wod-type <block:type>  Force a block's WOD type, e.g. \"Metcon:emom\", over the profile's wod_type",
+    "  --exclude <movement>     Leave a movement out of this plan only; repeatable",
+    "  --reroll <block>         Draw one block of the --plan-file plan again and keep every other block as it",
+    "                           was (its profile, seed and date are reused; --start-date picks a microcycle day)",
+    "  --output <format>        text, json, or a printable whiteboard as markdown or html (default: text)",
+    "  --help                   Show this help message",
+    "",
+    "Log options (the plan is regenerated from --profile-file, --seed and --start-date unless --plan-file):",
+    "  --plan-file <path>       Plan or microcycle JSON written by --output json",
+    "  --score <value>          Metcon score: rounds+reps (7+12), time (4:35) or total reps (150)",
+    "  --load <movement=kg>     Heaviest load on one of the plan's strength or metcon movements; repeatable",
+    "  --lift <SxR@kg>          Completed straight sets of the plan's strength lift, e.g. 5x3@100; name",
+    "                           another movement as \"Front Squat=5x3@100\"; repeatable",
+    "  --failed-lift <SxR@kg>   Same as --lift for missed sets; two misses in a row trigger a deload",
+    "  --rpe <1-10>             Session RPE",
+    "  --benchmark <name>       Record the metcon score as a benchmark result; a benchmark from the library",
+    "                           regenerates the plan --benchmark programmed",
+    "  --notes <text>           Free-text notes",
+    "",
+    "Substitute options:",
+    "  --movement <name>        Movement to replace (required)",
+    "  --volume <amount>        Prescription to convert, e.g. \"12/10 cal\", \"200 m\", \"45 sec\" or \"10 reps\"",
+    "                           (default: the movement's standard volume at the athlete's level)",
+    "  --limit <int>            How many substitutes to list (default: 5)",
+  ];
+  process.stdout.write(`${lines.join("\n")}\n`);
+}
 
-  next() {
-    let t = (this.state += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  }
+function parseArgs(argv) {
+  const defaults = {
+    command: "generate",
+    profileFile: null,
+    historyFile: null,
+    readinessFile: null,
+    classFile: null,
+    partnerFiles: [],
+    partnerFormat: null,
+    movementsFiles: [],
+    includeDefaultLibrary: true,
+    historyDays: 2,
+    seed: null,
+    days: 1,
+    restPattern: null,
+    startDay: null,
+    checkPlanFile: null,
+    strict: false,
+    planFile: null,
+    score: null,
+    loads: {},
+    lifts: [],
+    rpe: null,
+    benchmark: null,
+    notes: null,
+    movement: null,
+    volume: null,
+    limit: null,
+    explain: false,
+    require: {},
+    wodTypes: {},
+    exclude: [],
+    reroll: null,
+    output: "text",
+  };
 
-  choice(values) {
-    if (!Array.isArray(values) || values.length === 0) {
-      return null;
+  const args = { ...defaults };
+  let firstOption = 0;
+  if (argv.length > 0 && !argv[0].startsWith("--")) {
+    if (!COMMANDS.includes(argv[0])) {
+      throw new UsageError(`Unknown command: ${argv[0]}`);
     }
-    const index = Math.floor(this.next() * values.length);
-    return values[index];
+    args.command = argv[0];
+    firstOption = 1;
   }
 
-  shuffle(values) {
-    for (let idx = values.length - 1; idx > 0; idx -= 1) {
-      const pick = Math.floor(this.next() * (idx + 1));
-      [values[idx], values[pick]] = [values[pick], values[idx]];
+  for (let idx = firstOption; idx < argv.length; idx += 1) {
+    const token = argv[idx];
+    if (token === "--help") {
+      printUsage();
+      process.exit(0);
     }
-  }
-}
 
-function fail(message) {
-  throw new Error(message);
-}
+    const next = argv[idx + 1];
+    const requireValue = () => {
+      if (!next || next.startsWith("--")) {
+        throw new UsageError(`Missing value for ${token}`);
+      }
+      idx += 1;
+      return next;
+    };
 
-function loadJson(filePath) {
-  try {
-    const raw = fs.readFileSync(filePath, "utf8");
-    return JSON.parse(raw);
-  } catch (error) {
-    if (error && error.code === "ENOENT") {
-      fail(`File not found: ${filePath}`);
+    if (token === "--profile-file") {
+      args.profileFile = requireValue();
+      continue;
     }
-    if (error instanceof SyntaxError) {
-      fail(`Invalid JSON in ${filePath}: ${error.message}`);
+    if (token === "--class-file") {
+      args.classFile = requireValue();
+      continue;
     }
-    throw error;
-  }
-}
-
-function asLowerSet(values) {
-  const out = new Set();
-  if (!Array.isArray(values)) {
-    return out;
-  }
-  for (const value of values) {
-    if (typeof value !== "string") {
+    if (token === "--partner-file") {
+      args.partnerFiles.push(requireValue());
       continue;
     }
-    const normalized = value.trim().toLowerCase();
-    if (normalized) {
-      out.add(normalized);
+    if (token === "--partner-format") {
+      const raw = requireValue();
+      if (!PARTNER_FORMATS.includes(raw)) {
+        throw new UsageError(
+          `Invalid value for --partner-format (expected ${PARTNER_FORMATS.join(", ")}): ${raw}`,
+        );
+      }
+      args.partnerFormat = raw;
+      continue;
     }
-  }
-  return out;
-}
-
-function sortedListFromSet(values) {
-  return Array.from(values).sort();
-}
-
-function parseIsoDate(value) {
-  if (typeof value !== "string") {
-    return null;
-  }
-
-  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
-  if (!match) {
-    return null;
-  }
-
-  const year = Number(match[1]);
-  const month = Number(match[2]);
-  const day = Number(match[3]);
-  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) {
-    return null;
-  }
-
-  const date = new Date(Date.UTC(year, month - 1, day));
-  if (
-    date.getUTCFullYear() !== year ||
-    date.getUTCMonth() !== month - 1 ||
-    date.getUTCDate() !== day
-  ) {
-    return null;
-  }
-
-  return {
-    ordinalDay: Math.floor(date.getTime() / 86400000),
-  };
-}
-
-function todayOrdinalDay() {
-  const now = new Date();
-  const date = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
-  return Math.floor(date.getTime() / 86400000);
-}
-
-function todaySeed() {
-  const now = new Date();
-  const year = String(now.getFullYear());
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const day = String(now.getDate()).padStart(2, "0");
-  return Number(`${year}${month}${day}`);
-}
-
-function mergeProfile(rawProfile) {
-  const profile = JSON.parse(JSON.stringify(DEFAULT_PROFILE));
-  for (const [key, value] of Object.entries(rawProfile)) {
-    profile[key] = value;
-  }
-
-  const level = String(profile.fitness_level || "intermediate")
-    .trim()
-    .toLowerCase();
-  profile.fitness_level = Object.prototype.hasOwnProperty.call(LEVEL_RANK, level)
-    ? level
-    : "intermediate";
-
-  const goal = String(profile.goal || "mixed")
-    .trim()
-    .toLowerCase();
-  profile.goal = new Set(["engine", "strength", "skill", "mixed", "power"]).has(goal)
-    ? goal
-    : "mixed";
-
-  const intensity = String(profile.intensity || "moderate")
-    .trim()
-    .toLowerCase();
-  profile.intensity = new Set(["low", "moderate", "high"]).has(intensity)
-    ? intensity
-    : "moderate";
-
-  const parsedMinutes = Number.parseInt(profile.session_minutes, 10);
-  const sessionMinutes = Number.isFinite(parsedMinutes) ? parsedMinutes : 45;
-  profile.session_minutes = Math.max(20, Math.min(120, sessionMinutes));
-
-  const equipment = asLowerSet(profile.equipment_available || ["none"]);
-  equipment.add("none");
-  profile.equipment_available = sortedListFromSet(equipment);
-
-  const limitations =
-    profile.limitations && typeof profile.limitations === "object" && !Array.isArray(profile.limitations)
-      ? profile.limitations
-      : {};
-  profile.limitations = {
-    avoid_patterns: sortedListFromSet(asLowerSet(limitations.avoid_patterns || [])),
-    avoid_movements: sortedListFromSet(asLowerSet(limitations.avoid_movements || [])),
-  };
-
-  const preferred = asLowerSet(profile.preferred_modalities || []);
-  const validModalities = new Set([
-    "monostructural",
-    "gymnastics",
-    "weightlifting",
-    "odd-object",
-    "recovery",
-  ]);
-  const preferredModalities = sortedListFromSet(
-    new Set(Array.from(preferred).filter((modality) => validModalities.has(modality))),
-  );
-  profile.preferred_modalities =
-    preferredModalities.length > 0
-      ? preferredModalities
-      : ["monostructural", "gymnastics", "weightlifting", "odd-object"];
-
-  if (typeof profile.wod_type === "string") {
-    const wodType = profile.wod_type.trim().toLowerCase();
-    profile.wod_type = WOD_TYPES.includes(wodType) ? wodType : null;
-  } else {
-    profile.wod_type = null;
-  }
-
-  return profile;
-}
-
-function movementMap(movements) {
-  const out = new Map();
-  for (const movement of movements) {
-    if (!movement || typeof movement !== "object") {
+    if (token === "--history-file") {
+      args.historyFile = requireValue();
       continue;
     }
-    const name = String(movement.name || "").trim();
-    if (name) {
-      out.set(name.toLowerCase(), movement);
+    if (token === "--readiness-file") {
+      args.readinessFile = requireValue();
+      continue;
     }
-  }
-  return out;
-}
-
-function incrementCounter(counter, key) {
-  counter.set(key, (counter.get(key) || 0) + 1);
-}
-
-function sessionInLookback(session, cutoffOrdinalDay) {
-  const dateObj = parseIsoDate(String(session.date || ""));
-  return !dateObj || dateObj.ordinalDay >= cutoffOrdinalDay;
-}
-
-function recentContext(history, byName, lookbackDays) {
-  const cutoffOrdinalDay = todayOrdinalDay() - lookbackDays;
-  const recentMovements = new Set();
-  const patternCounter = new Map();
-
-  for (const session of history) {
-    if (!session || typeof session !== "object" || !sessionInLookback(session, cutoffOrdinalDay)) {
+    if (token === "--movements-file") {
+      args.movementsFiles.push(requireValue());
       continue;
     }
-
-    const sessionMovements = Array.isArray(session.movements) ? session.movements : [];
-    for (const movementName of sessionMovements) {
-      if (typeof movementName !== "string") {
-        continue;
+    if (token === "--no-default-library") {
+      args.includeDefaultLibrary = false;
+      continue;
+    }
+    if (token === "--history-days") {
+      const raw = requireValue();
+      const parsed = Number.parseInt(raw, 10);
+      if (!Number.isFinite(parsed)) {
+        throw new UsageError(`Invalid integer for --history-days: ${raw}`);
       }
-      const normalizedName = movementName.trim().toLowerCase();
-      if (!normalizedName) {
-        continue;
+      args.historyDays = parsed;
+      continue;
+    }
+    if (token === "--seed") {
+      const raw = requireValue();
+      const parsed = Number.parseInt(raw, 10);
+      if (!Number.isFinite(parsed)) {
+        throw new UsageError(`Invalid integer for --seed: ${raw}`);
       }
-
-      recentMovements.add(normalizedName);
-      const found = byName.get(normalizedName);
-      if (found && Array.isArray(found.patterns)) {
-        for (const pattern of found.patterns) {
-          if (typeof pattern !== "string" || !pattern.trim()) {
-            continue;
-          }
-          incrementCounter(patternCounter, pattern.trim().toLowerCase());
-        }
+      args.seed = parsed;
+      continue;
+    }
+    if (token === "--days") {
+      const raw = requireValue();
+      const parsed = Number.parseInt(raw, 10);
+      if (!Number.isFinite(parsed) || parsed < 1 || parsed > 28) {
+        throw new UsageError(`Invalid value for --days (expected 1-28): ${raw}`);
       }
+      args.days = parsed;
+      continue;
     }
-
-    const sessionPatterns = Array.isArray(session.patterns) ? session.patterns : [];
-    for (const pattern of sessionPatterns) {
-      if (typeof pattern !== "string" || !pattern.trim()) {
-        continue;
+    if (token === "--rest-pattern") {
+      const raw = requireValue();
+      const parsed = parseRestPattern(raw);
+      if (!parsed) {
+        throw new UsageError(`Invalid value for --rest-pattern (expected e.g. 3on1off): ${raw}`);
       }
-      incrementCounter(patternCounter, pattern.trim().toLowerCase());
+      args.restPattern = parsed;
+      continue;
     }
-  }
-
-  return { recentMovements, patternCounter };
-}
-
-function canDoMovement(movement, profile, recentMovements) {
-  const levelRank = LEVEL_RANK[profile.fitness_level];
-  const movementLevel = LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
-
-  const allowSkillReach = profile.goal === "skill";
-  if (movementLevel > levelRank + (allowSkillReach ? 1 : 0)) {
-    return false;
-  }
-
-  const equipmentNeeded = asLowerSet(movement.equipment || []);
-  const optionalEquipment = new Set(["none", "bodyweight"]);
-  const requiredEquipment = new Set(Array.from(equipmentNeeded).filter((item) => !optionalEquipment.has(item)));
-  const availableEquipment = asLowerSet(profile.equipment_available || []);
-  for (const item of requiredEquipment) {
-    if (!availableEquipment.has(item)) {
-      return false;
+    if (token === "--start-date") {
+      const raw = requireValue();
+      const parsed = parseIsoDate(raw);
+      if (!parsed) {
+        throw new UsageError(`Invalid date for --start-date (expected YYYY-MM-DD): ${raw}`);
+      }
+      args.startDay = parsed.ordinalDay;
+      continue;
     }
-  }
-
-  const movementName = String(movement.name || "").trim().toLowerCase();
-  if (profile.limitations.avoid_movements.includes(movementName)) {
-    return false;
-  }
-
-  const movementPatterns = asLowerSet(movement.patterns || []);
-  const avoidPatterns = new Set(profile.limitations.avoid_patterns || []);
-  for (const pattern of movementPatterns) {
-    if (avoidPatterns.has(pattern)) {
-      return false;
+    if (token === "--check-plan") {
+      args.checkPlanFile = requireValue();
+      continue;
     }
-  }
-
-  if (profile.goal === "skill" && recentMovements.has(movementName)) {
-    return false;
-  }
-
-  return true;
-}
-
-function scoreMovement(movement, profile, recentMovements, patternCounter) {
-  let score = 0.0;
-
-  const name = String(movement.name || "").trim().toLowerCase();
-  const modality = String(movement.modality || "").trim().toLowerCase();
-  const effects = asLowerSet(movement.effects || []);
-  const patterns = asLowerSet(movement.patterns || []);
-
-  if (effects.has(profile.goal)) {
-    score += 3.0;
-  }
-
-  if (profile.goal === "mixed" && effects.size >= 2) {
-    score += 1.0;
-  }
-
-  if (new Set(profile.preferred_modalities).has(modality)) {
-    score += 2.0;
-  }
-
-  if (recentMovements.has(name)) {
-    score -= 4.0;
-  }
-
-  for (const pattern of patterns) {
-    score -= 1.3 * (patternCounter.get(pattern) || 0);
-  }
-
-  const levelRank = LEVEL_RANK[profile.fitness_level];
-  const movementLevel = LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
-  if (movementLevel === levelRank) {
-    score += 1.0;
-  } else if (movementLevel < levelRank) {
-    score += 0.4;
-  }
-
-  if (profile.intensity === "low") {
-    if (effects.has("power") || modality === "weightlifting") {
-      score -= 1.0;
+    if (token === "--strict") {
+      args.strict = true;
+      continue;
     }
-  } else if (profile.intensity === "high") {
-    if (effects.has("power") || effects.has("engine")) {
-      score += 1.0;
+    if (token === "--plan-file") {
+      args.planFile = requireValue();
+      continue;
     }
-  }
-
-  if (modality === "recovery") {
-    score -= 2.5;
-  }
-
-  return score;
-}
-
-function rankCandidates(movements, profile, recentMovements, patternCounter) {
-  const ranked = [];
-  for (const movement of movements) {
-    if (canDoMovement(movement, profile, recentMovements)) {
-      ranked.push([movement, scoreMovement(movement, profile, recentMovements, patternCounter)]);
+    if (token === "--score") {
+      const raw = requireValue();
+      const parsed = parseScore(raw);
+      if (!parsed) {
+        throw new UsageError(`Invalid value for --score (expected e.g. 7+12, 4:35 or 150): ${raw}`);
+      }
+      args.score = parsed;
+      continue;
     }
-  }
-
-  ranked.sort((left, right) => right[1] - left[1]);
-  return ranked;
-}
-
-function pickBest(ranked, rng, usedNames, modalities = null, includeRecovery = false) {
-  const filtered = [];
-  for (const [movement, score] of ranked) {
-    const name = String(movement.name || "").trim().toLowerCase();
-    const modality = String(movement.modality || "").trim().toLowerCase();
-
-    if (!includeRecovery && modality === "recovery") {
+    if (token === "--load") {
+      const raw = requireValue();
+      const match = /^(.+)=(\d+(?:\.\d+)?)$/.exec(raw);
+      if (!match || !(Number(match[2]) > 0)) {
+        throw new UsageError(`Invalid value for --load (expected e.g. "Back Squat=100"): ${raw}`);
+      }
+      args.loads[match[1].trim()] = Number(match[2]);
       continue;
     }
-    if (usedNames.has(name)) {
+    if (token === "--lift" || token === "--failed-lift") {
+      const raw = requireValue();
+      const separator = raw.lastIndexOf("=");
+      const parsed = parseLift(separator >= 0 ? raw.slice(separator + 1) : raw);
+      if (!parsed) {
+        throw new UsageError(`Invalid value for ${token} (expected e.g. "Back Squat=5x3@100"): ${raw}`);
+      }
+      const movement = separator >= 0 ? raw.slice(0, separator).trim() : null;
+      args.lifts.push({ movement, ...parsed, completed: token === "--lift" });
       continue;
     }
-    if (modalities && !modalities.has(modality)) {
+    if (token === "--rpe") {
+      const raw = requireValue();
+      const parsed = parseRpe(raw);
+      if (parsed === null) {
+        throw new UsageError(`Invalid value for --rpe (expected 1-10 in half steps): ${raw}`);
+      }
+      args.rpe = parsed;
+      continue;
+    }
+    if (token === "--benchmark") {
+      args.benchmark = requireValue().trim();
+      continue;
+    }
+    if (token === "--notes") {
+      args.notes = requireValue();
+      continue;
+    }
+    if (token === "--movement") {
+      args.movement = requireValue().trim();
+      continue;
+    }
+    if (token === "--volume") {
+      const raw = requireValue();
+      const parsed = parseVolume(raw);
+      if (!parsed) {
+        throw new UsageError(`Invalid value for --volume (expected e.g. "12/10 cal", "200 m", "10 reps"): ${raw}`);
+      }
+      args.volume = parsed;
+      continue;
+    }
+    if (token === "--limit") {
+      const raw = requireValue();
+      const parsed = Number.parseInt(raw, 10);
+      if (!Number.isFinite(parsed) || parsed < 1) {
+        throw new UsageError(`Invalid value for --limit (expected a positive integer): ${raw}`);
+      }
+      args.limit = parsed;
+      continue;
+    }
+    if (token === "--explain") {
+      args.explain = true;
+      continue;
+    }
+    if (token === "--require") {
+      const raw = requireValue();
+      const separator = raw.indexOf(":");
+      const block = separator > 0 ? planBlock(raw.slice(0, separator)) : null;
+      const movement = raw.slice(separator + 1).trim();
+      if (!block || !movement) {
+        throw new UsageError(`Invalid value for --require (expected e.g. "Metcon:Thruster"): ${raw}`);
+      }
+      args.require[block] = [...(args.require[block] || []), movement];
+      continue;
+    }
+    if (token === "--wod-type") {
+      const raw = requireValue();
+      const separator = raw.indexOf(":");
+      const block = separator > 0 ? planBlock(raw.slice(0, separator)) : null;
+      const wodType = raw.slice(separator + 1).trim().toLowerCase();
+      if (!block || !WOD_TYPES.includes(wodType)) {
+        throw new UsageError(
+          `Invalid value for --wod-type (expected e.g. "Metcon:emom" with one of ${WOD_TYPES.join(", ")}): ${raw}`,
+        );
+      }
+      if (block !== "metcon") {
+        throw new UsageError(`Only the metcon has a WOD type: ${raw}`);
+      }
+      args.wodTypes[block] = wodType;
+      continue;
+    }
+    if (token === "--exclude") {
+      args.exclude.push(requireValue().trim());
+      continue;
+    }
+    if (token === "--reroll") {
+      const raw = requireValue();
+      const block = planBlock(raw);
+      if (!block) {
+        throw new UsageError(
+          `Invalid value for --reroll (expected warmup, strength, metcon, accessory or cooldown): ${raw}`,
+        );
+      }
+      args.reroll = block;
+      continue;
+    }
+    if (token === "--output") {
+      const raw = requireValue();
+      if (!OUTPUT_FORMATS.includes(raw)) {
+        throw new UsageError(`Invalid value for --output: ${raw}`);
+      }
+      args.output = raw;
       continue;
     }
 
-    filtered.push([movement, score]);
-  }
-
-  if (filtered.length === 0) {
-    return null;
+    throw new UsageError(`Unknown argument: ${token}`);
   }
 
-  const top = filtered.slice(0, Math.min(8, filtered.length));
-  const chosen = rng.choice(top)[0];
-  usedNames.add(String(chosen.name || "").trim().toLowerCase());
-  return chosen;
-}
-
-function repTarget(movement, level) {
-  const name = String(movement.name || "");
-  const modality = String(movement.modality || "").toLowerCase();
-  const difficulty = String(movement.difficulty || "intermediate").toLowerCase();
-
-  if (modality === "monostructural") {
-    if (name.toLowerCase().includes("run")) {
-      return "200 m";
+  if (args.command === "validate") {
+    if (!args.profileFile && !args.classFile && !args.historyFile && !args.readinessFile) {
+      throw new UsageError("validate needs --profile-file, --class-file, --history-file and/or --readiness-file");
     }
-    if (
-      name.toLowerCase().includes("row") ||
-      name.toLowerCase().includes("bike") ||
-      name.toLowerCase().includes("ski")
-    ) {
-      return "12/10 cal";
+  } else if (args.command === "log") {
+    if (!args.historyFile) {
+      throw new UsageError("log needs --history-file to append to");
     }
-    if (name.toLowerCase().includes("double under")) {
-      return "30 reps";
+    if (!args.profileFile && !args.classFile && !args.planFile) {
+      throw new UsageError("log needs --plan-file, or --profile-file or --class-file to regenerate the plan");
     }
-    if (name.toLowerCase().includes("jump rope")) {
-      return "60 reps";
+  } else if (args.command === "records") {
+    if (!args.historyFile) {
+      throw new UsageError("records needs --history-file");
     }
-    return "12/10 cal";
-  }
-
-  if (modality === "weightlifting" || modality === "odd-object") {
-    if (name.toLowerCase().includes("carry")) {
-      return "40 m";
+  } else if (args.command === "report") {
+    if (!args.historyFile) {
+      throw new UsageError("report needs --history-file");
     }
-    if (difficulty === "advanced") {
-      return "6 reps";
+  } else if (args.command === "substitute") {
+    if (!args.profileFile || !args.movement) {
+      throw new UsageError("substitute needs --profile-file and --movement");
     }
-    if (level === "beginner") {
-      return "8 reps";
+  } else if (args.command === "lint-library") {
+    if (!args.includeDefaultLibrary && args.movementsFiles.length === 0) {
+      throw new UsageError("lint-library with --no-default-library needs at least one --movements-file");
     }
-    return "10 reps";
-  }
-
-  if (modality === "gymnastics") {
-    if (difficulty === "advanced") {
-      return "6 reps";
+  } else if (args.reroll) {
+    if (!args.planFile) {
+      throw new UsageError("--reroll needs --plan-file with the plan to reroll");
     }
-    if (difficulty === "intermediate") {
-      return "10 reps";
+    const planInputs = args.profileFile || args.classFile || args.partnerFiles.length > 0 || args.seed !== null;
+    if (planInputs || args.benchmark || args.days > 1 || args.restPattern) {
+      throw new UsageError(
+        "--reroll reuses the --plan-file plan's profile and seed; drop --profile-file, --class-file, " +
+          "--partner-file, --benchmark, --seed and --days",
+      );
     }
-    return "14 reps";
+  } else if (!args.profileFile && !args.classFile && !args.checkPlanFile) {
+    throw new UsageError("Missing required argument: --profile-file");
   }
 
-  return "45 sec";
-}
-
-function sessionBlockLengths(sessionMinutes) {
-  if (sessionMinutes <= 30) {
-    return { warmup: 6, strength: 6, metcon: 12, cooldown: 4 };
+  if (args.profileFile && args.classFile) {
+    throw new UsageError("Use either --profile-file or --class-file, not both");
   }
-  if (sessionMinutes <= 45) {
-    return { warmup: 8, strength: 10, metcon: 18, cooldown: 6 };
+  if (args.classFile && (args.days > 1 || args.restPattern)) {
+    throw new UsageError("--class-file plans a single session; drop --days and --rest-pattern");
   }
-  if (sessionMinutes <= 60) {
-    return { warmup: 10, strength: 12, metcon: 24, cooldown: 8 };
+  if (args.readinessFile && args.command !== "validate" && (!args.profileFile || args.partnerFiles.length > 0)) {
+    throw new UsageError("--readiness-file is one athlete's check-in; use it with --profile-file alone");
+  }
+  if (args.partnerFormat && args.partnerFiles.length === 0) {
+    throw new UsageError("--partner-format needs at least one --partner-file");
+  }
+  if (args.partnerFiles.length > 0) {
+    if (!args.profileFile) {
+      throw new UsageError("--partner-file needs --profile-file for the first partner");
+    }
+    if (args.days > 1 || args.restPattern) {
+      throw new UsageError("--partner-file plans a single session; drop --days and --rest-pattern");
+    }
   }
-  return { warmup: 12, strength: 15, metcon: 30, cooldown: 10 };
-}
 
-function chooseWodType(profile, rng) {
-  if (profile.wod_type) {
-    return String(profile.wod_type);
+  const singleSession = !args.classFile && args.partnerFiles.length === 0 && args.days === 1 && !args.restPattern;
+  if (args.command === "generate" && args.benchmark && !singleSession) {
+    throw new UsageError("--benchmark programs one athlete's session; drop --class-file, --partner-file, --days");
   }
 
-  if (profile.goal === "engine") {
-    return rng.choice(["interval", "amrap", "for_time"]);
+  const pinned = Object.keys(args.require).length > 0 || Object.keys(args.wodTypes).length > 0;
+  if ((pinned || args.exclude.length > 0 || args.reroll) && (args.command !== "generate" || args.checkPlanFile)) {
+    throw new UsageError(
+      "--require, --wod-type, --exclude and --reroll shape a generated plan; use them with generate",
+    );
   }
-  if (profile.goal === "strength" || profile.goal === "power") {
-    return rng.choice(["emom", "for_time", "amrap"]);
+  if ((pinned || args.exclude.length > 0) && !singleSession) {
+    throw new UsageError(
+      "--require, --wod-type and --exclude shape one athlete's session; drop --class-file, --partner-file, --days",
+    );
   }
-  if (profile.goal === "skill") {
-    return rng.choice(["emom", "amrap", "interval"]);
+  if (args.benchmark && (args.require.metcon || args.wodTypes.metcon)) {
+    throw new UsageError("--benchmark sets the metcon; drop --require and --wod-type for the metcon");
   }
-  return rng.choice(WOD_TYPES);
-}
-
-function buildWarmup(ranked, used, rng, minutes) {
-  function pickWarmup(candidates) {
-    const warmupFiltered = [];
-    for (const [movement, score] of ranked) {
-      const name = String(movement.name || "").trim().toLowerCase();
-      const modality = String(movement.modality || "").trim().toLowerCase();
-      const difficulty = String(movement.difficulty || "intermediate")
-        .trim()
-        .toLowerCase();
-      const effects = asLowerSet(movement.effects || []);
-
-      if (used.has(name)) {
-        continue;
-      }
-      if (!candidates.has(modality)) {
-        continue;
-      }
-      if ((modality === "weightlifting" || modality === "odd-object") && difficulty !== "beginner") {
-        continue;
-      }
-      if (effects.has("power") || effects.has("mental")) {
-        continue;
-      }
-      if (name.includes("burpee")) {
-        continue;
-      }
-
-      warmupFiltered.push([movement, score]);
-    }
-
-    if (warmupFiltered.length === 0) {
-      return pickBest(ranked, rng, used, candidates);
-    }
-
-    const top = warmupFiltered.slice(0, Math.min(8, warmupFiltered.length));
-    const chosen = rng.choice(top)[0];
-    used.add(String(chosen.name || "").trim().toLowerCase());
-    return chosen;
+  if (args.reroll && Object.keys({ ...args.require, ...args.wodTypes }).some((block) => block !== args.reroll)) {
+    throw new UsageError(
+      `--reroll ${args.reroll} keeps the other blocks; --require and --wod-type can only name it`,
+    );
   }
 
-  const cyc = pickWarmup(new Set(["monostructural"]));
-  const base1 = pickWarmup(new Set(["gymnastics", "recovery"]));
-  const base2 = pickWarmup(new Set(["gymnastics", "recovery", "odd-object"]));
-
-  const cycName = cyc ? cyc.name : "easy cardio";
-  const base1Name = base1 ? base1.name : "air squat";
-  const base2Name = base2 ? base2.name : "plank";
+  if (args.explain && (args.command !== "generate" || args.checkPlanFile)) {
+    throw new UsageError("--explain describes a generated plan; use it with the generate command");
+  }
+  if (args.explain && (args.output === "markdown" || args.output === "html")) {
+    throw new UsageError("--explain renders as text or json; drop --output markdown/html");
+  }
 
-  const items = [
-    `${Math.max(3, Math.floor(minutes / 2))} min easy ${cycName}`,
-    `2 rounds: 10 ${base1Name}, 8 ${base2Name}, 20 sec nasal breathing`,
-  ];
+  if (!args.includeDefaultLibrary && args.movementsFiles.length === 0) {
+    throw new UsageError("--no-default-library needs at least one --movements-file");
+  }
 
-  return {
-    duration_min: minutes,
-    movements: [cycName, base1Name, base2Name].filter((value) => typeof value === "string"),
-    items,
-  };
+  return args;
 }
 
-function buildStrengthOrSkillBlock(ranked, used, rng, profile, minutes) {
-  const goal = profile.goal;
-  const level = profile.fitness_level;
+function loadMovementLibrary(args) {
+  return loadLibrary(args.movementsFiles, { includeDefault: args.includeDefaultLibrary });
+}
 
-  if (goal === "engine" && profile.session_minutes <= 35) {
-    return null;
+// The --profile-file profile with the --readiness-file check-in laid over its own readiness fields, so
+// baselines can live in the profile and the day's values in the check-in.
+function loadRawProfile(args) {
+  const rawProfile = loadJson(args.profileFile);
+  if (!args.readinessFile || !rawProfile || typeof rawProfile !== "object" || Array.isArray(rawProfile)) {
+    return rawProfile;
   }
-
-  let focus = "strength";
-  let modalities = new Set(["weightlifting", "odd-object"]);
-  if (goal === "skill") {
-    focus = "skill";
-    modalities = new Set(["gymnastics", "weightlifting"]);
+  const checkIn = loadJson(args.readinessFile);
+  if (!checkIn || typeof checkIn !== "object" || Array.isArray(checkIn)) {
+    throw new InputError("Readiness check-in must be a JSON object.");
   }
+  const own = rawProfile.readiness && typeof rawProfile.readiness === "object" ? rawProfile.readiness : {};
+  return { ...rawProfile, readiness: { ...own, ...checkIn } };
+}
 
-  const movement = pickBest(ranked, rng, used, modalities);
-  if (!movement) {
-    return null;
+function runCheckPlan(args) {
+  const planBlob = loadJson(args.checkPlanFile);
+  if (!planBlob || typeof planBlob !== "object" || Array.isArray(planBlob)) {
+    throw new InputError("Plan must be a JSON object.");
   }
 
-  const movementName = movement.name;
-  let prescription = "";
-  if (focus === "skill") {
-    prescription = `E2MOM x ${Math.max(8, minutes)}: 2-4 quality reps ${movementName} + technical drill between sets`;
-  } else if (level === "beginner") {
-    prescription = `${movementName}: 5 x 5 @ moderate load (RPE 7), rest 90 sec`;
-  } else if (level === "intermediate") {
-    prescription = `${movementName}: 5 x 3 @ challenging load (RPE 8), rest 2 min`;
+  const violations = checkPlanCoherence(planBlob, movementMap(loadMovementLibrary(args).movements));
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify({ valid: violations.length === 0, violations }, null, 2)}\n`);
+  } else if (violations.length === 0) {
+    process.stdout.write("Plan is coherent: no context violations found.\n");
   } else {
-    prescription = `${movementName}: 6 x 2 heavy quality reps (RPE 8-9), rest 2-3 min`;
+    const lines = violations.map(
+      (violation) => `- ${violation.date ? `${violation.date} ` : ""}${violation.piece}: ${violation.reason}`,
+    );
+    process.stdout.write(`Context violations (${violations.length}):\n${lines.join("\n")}\n`);
   }
 
-  return {
-    focus,
-    duration_min: minutes,
-    movement: movementName,
-    prescription,
-  };
+  if (violations.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
-function buildMetcon(ranked, used, rng, profile, minutes) {
-  const wodType = chooseWodType(profile, rng);
-
-  const metconMovements = [];
-  for (const modalityGroup of [
-    new Set(["monostructural"]),
-    new Set(["gymnastics"]),
-    new Set(["weightlifting", "odd-object"]),
-  ]) {
-    const choice = pickBest(ranked, rng, used, modalityGroup);
-    if (choice) {
-      metconMovements.push(choice);
-    }
+function runValidate(args) {
+  const library = loadMovementLibrary(args);
+  const vocabulary = buildVocabulary(library.movements, library.equipment);
+  const reports = [];
+  if (args.profileFile) {
+    reports.push({ file: args.profileFile, diagnostics: validateProfile(loadJson(args.profileFile), vocabulary) });
   }
-
-  const targetCount = profile.session_minutes > 45 ? 4 : 3;
-  while (metconMovements.length < targetCount) {
-    const extra = pickBest(
-      ranked,
-      rng,
-      used,
-      new Set(["monostructural", "gymnastics", "weightlifting", "odd-object"]),
-    );
-    if (!extra) {
-      break;
-    }
-    metconMovements.push(extra);
+  if (args.readinessFile) {
+    reports.push({ file: args.readinessFile, diagnostics: validateReadiness(loadJson(args.readinessFile)) });
   }
-
-  if (metconMovements.length === 0) {
-    fail("No eligible movements remain for metcon after constraints.");
+  for (const partnerFile of args.partnerFiles) {
+    reports.push({ file: partnerFile, diagnostics: validateProfile(loadJson(partnerFile), vocabulary) });
+  }
+  if (args.classFile) {
+    reports.push({ file: args.classFile, diagnostics: validateClass(loadJson(args.classFile), vocabulary) });
+  }
+  if (args.historyFile) {
+    reports.push({ file: args.historyFile, diagnostics: validateHistory(loadJson(args.historyFile), vocabulary) });
   }
 
-  const level = profile.fitness_level;
-  const lines = metconMovements.map((movement) => `${repTarget(movement, level)} ${movement.name}`);
+  const errorCount = reports.reduce(
+    (total, report) => total + report.diagnostics.filter((diagnostic) => diagnostic.level === "error").length,
+    0,
+  );
+  const warningCount = reports.reduce((total, report) => total + report.diagnostics.length, 0) - errorCount;
 
-  let description = "";
-  if (wodType === "amrap") {
-    description = `${minutes}-min AMRAP: ${lines.join(" | ")}`;
-  } else if (wodType === "for_time") {
-    const rounds = metconMovements.length <= 3 ? 4 : 3;
-    description = `${rounds} rounds for time: ${lines.join(" | ")}`;
-  } else if (wodType === "emom") {
-    const stationCount = metconMovements.length;
-    let emomMinutes = Math.max(stationCount * 4, minutes);
-    emomMinutes -= emomMinutes % stationCount;
-    const stations = lines.map((line, idx) => `Min ${idx + 1}: ${line}`);
-    description = `EMOM ${emomMinutes} (cycle ${stationCount} stations): ${stations.join(" | ")}`;
-  } else if (wodType === "chipper") {
-    description = `For time chipper: ${lines.join(" -> ")}`;
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify({ valid: errorCount === 0, reports }, null, 2)}\n`);
   } else {
-    description = `${Math.max(4, Math.floor(minutes / 3))} rounds: 2:00 work / 1:00 rest on ${lines.join(" | ")}`;
+    const lines = [];
+    for (const report of reports) {
+      lines.push(report.file);
+      if (report.diagnostics.length === 0) {
+        lines.push("  ok");
+      }
+      for (const diagnostic of report.diagnostics) {
+        lines.push(`  ${diagnostic.level}: ${formatDiagnostic(diagnostic)}`);
+      }
+    }
+    lines.push(`${errorCount} error(s), ${warningCount} warning(s)`);
+    process.stdout.write(`${lines.join("\n")}\n`);
   }
 
-  return {
-    type: wodType,
-    duration_min: minutes,
-    movements: metconMovements.map((movement) => movement.name),
-    description,
-  };
+  if (errorCount > 0) {
+    process.exitCode = 1;
+  }
 }
 
-function buildCooldown(movements, rng, minutes) {
-  const recoveryPool = movements.filter(
-    (movement) => String(movement.modality || "").toLowerCase() === "recovery",
-  );
-  rng.shuffle(recoveryPool);
-  const selected = recoveryPool.slice(0, 2);
-
-  let items = [];
-  let movementNames = [];
-  if (selected.length < 2) {
-    items = [
-      "2 min easy breathing walk",
-      "2 x 45 sec per side hip opener",
-      "2 x 45 sec thoracic opener",
-    ];
-    movementNames = ["Breathing walk", "Hip opener", "Thoracic opener"];
-  } else {
-    items = [
-      `2 x 45 sec per side ${selected[0].name}`,
-      `2 x 45 sec per side ${selected[1].name}`,
-      "2 min down-regulation breathing",
-    ];
-    movementNames = [selected[0].name, selected[1].name, "Down-regulation breathing"];
-  }
-
-  return {
-    duration_min: minutes,
-    movements: movementNames,
-    items,
-  };
-}
+function runLintLibrary(args) {
+  const layers = loadLibraryLayers(args.movementsFiles, { includeDefault: args.includeDefaultLibrary });
+  const diagnostics = lintLibrary(layers);
+  const errorCount = diagnostics.filter((diagnostic) => diagnostic.level === "error").length;
+  const warningCount = diagnostics.length - errorCount;
 
-function buildScalingNotes(chosenMovements, byName) {
-  const notes = [];
-  for (const movementName of chosenMovements) {
-    const movement = byName.get(String(movementName || "").toLowerCase());
-    if (!movement) {
-      continue;
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify({ valid: errorCount === 0, diagnostics }, null, 2)}\n`);
+  } else {
+    const lines = [];
+    for (const source of [...layers.map((layer) => layer.source), "merged library"]) {
+      const sourceDiagnostics = diagnostics.filter((diagnostic) => diagnostic.source === source);
+      if (sourceDiagnostics.length === 0) {
+        continue;
+      }
+      lines.push(source);
+      for (const diagnostic of sourceDiagnostics) {
+        lines.push(`  ${diagnostic.level}: ${formatDiagnostic(diagnostic)}`);
+      }
     }
+    lines.push(`${layers.length} layer(s): ${errorCount} error(s), ${warningCount} warning(s)`);
+    process.stdout.write(`${lines.join("\n")}\n`);
+  }
 
-    const variations = (Array.isArray(movement.variations) ? movement.variations : []).filter(
-      (variation) => typeof variation === "string" && variation.trim(),
-    );
-    const easier = variations.length > 0 ? variations[0] : "Reduce reps and use controlled tempo";
-    const harder =
-      variations.length > 0 ? variations[variations.length - 1] : "Increase load or reduce rest";
-
-    notes.push({
-      movement: movementName,
-      easier,
-      harder,
-    });
+  if (errorCount > 0) {
+    process.exitCode = 1;
   }
-  return notes;
 }
 
-function fatigueSummary(patternCounter) {
-  if (patternCounter.size === 0) {
-    return [];
+// The library benchmark named by --benchmark; `required` makes an unknown name an error rather than a
+// plain label for the logged score.
+function resolveBenchmark(args, benchmarks, required) {
+  const benchmark = args.benchmark ? findBenchmark(args.benchmark, benchmarks) : null;
+  if (!benchmark && args.benchmark && required) {
+    const names = benchmarks.map((item) => item.name);
+    throw new InputError(`--benchmark: ${describeUnknown(args.benchmark, "benchmark", names)}`);
   }
-
-  return Array.from(patternCounter.entries())
-    .sort((left, right) => right[1] - left[1])
-    .slice(0, 5)
-    .map(([pattern, count]) => `${pattern} (${count})`);
+  return benchmark;
 }
 
-function formatConstraintList(values) {
-  return `[${values.map((value) => `'${String(value)}'`).join(", ")}]`;
+function teamProfiles(args) {
+  return [args.profileFile, ...args.partnerFiles].map((file) => loadJson(file));
 }
 
-function renderText(plan) {
-  const lines = [];
-  const profile = plan.profile;
+// The history as it stood before `referenceDay`, so a seed reproduces the plan it made that day.
+function historyBefore(history, referenceDay) {
+  return normalizeHistory(history).filter((session) => {
+    const parsed = parseIsoDate(String(session.date || ""));
+    return !parsed || parsed.ordinalDay < referenceDay;
+  });
+}
 
-  lines.push("WOD Plan");
-  lines.push(`Seed: ${plan.seed}`);
-  lines.push(
-    `Profile: goal=${profile.goal}, level=${profile.fitness_level}, duration=${profile.session_minutes} min, intensity=${profile.intensity}`,
-  );
-  if (profile.limitations.avoid_patterns.length || profile.limitations.avoid_movements.length) {
-    lines.push(
-      `Constraints: avoid_patterns=${formatConstraintList(
-        profile.limitations.avoid_patterns,
-      )} avoid_movements=${formatConstraintList(profile.limitations.avoid_movements)}`,
-    );
+function resolveLoggedPlan(args, history, movements) {
+  if (args.planFile) {
+    return planForDate(loadJson(args.planFile), args.startDay !== null ? formatIsoDate(args.startDay) : null);
   }
 
-  if (plan.context.recent_fatigue_patterns.length) {
-    lines.push(`Recent pattern load: ${plan.context.recent_fatigue_patterns.join(", ")}`);
+  const referenceDay = args.startDay !== null ? args.startDay : todayOrdinalDay();
+  const priorHistory = historyBefore(history, referenceDay);
+  const seed = args.seed !== null ? args.seed : todaySeed();
+  const lookbackDays = Math.max(1, args.historyDays);
+  if (args.classFile) {
+    const classSpec = mergeClass(loadJson(args.classFile));
+    return buildClassPlan(classSpec, priorHistory, movements, lookbackDays, seed, { referenceDay });
   }
-
-  lines.push("");
-  lines.push(`Warm-up (${plan.warmup.duration_min} min)`);
-  for (const item of plan.warmup.items) {
-    lines.push(`- ${item}`);
+  if (args.partnerFiles.length > 0) {
+    const team = mergeTeam(teamProfiles(args), args.partnerFormat);
+    return buildPartnerPlan(team, priorHistory, movements, lookbackDays, seed, { referenceDay });
   }
+  const profile = mergeProfile(loadRawProfile(args));
+  const benchmarks = loadBenchmarks();
+  return buildBenchmarkPlan(profile, priorHistory, movements, lookbackDays, seed, {
+    referenceDay,
+    benchmark: resolveBenchmark(args, benchmarks, false),
+    benchmarks,
+  });
+}
 
-  const strength = plan.strength_or_skill;
-  if (strength) {
-    const label = strength.focus === "skill" ? "Skill / Strength" : "Strength";
-    lines.push("");
-    lines.push(`${label} (${strength.duration_min} min)`);
-    lines.push(`- ${strength.prescription}`);
+// Every --require and --exclude name must be a library movement.
+function assertKnownMovements(args, movements) {
+  const byName = movementMap(movements);
+  const names = movements.map((item) => item.name);
+  const named = [
+    ...Object.values(args.require).flatMap((list) => list.map((name) => ["--require", name])),
+    ...args.exclude.map((name) => ["--exclude", name]),
+  ];
+  for (const [option, name] of named) {
+    if (!byName.has(name.toLowerCase())) {
+      throw new InputError(`${option}: ${describeUnknown(name, "movement", names)}`);
+    }
   }
+}
 
-  lines.push("");
-  lines.push(`Metcon (${plan.metcon.duration_min} min, ${plan.metcon.type})`);
-  lines.push(`- ${plan.metcon.description}`);
-
-  lines.push("");
-  lines.push(`Cooldown (${plan.cooldown.duration_min} min)`);
-  for (const item of plan.cooldown.items) {
-    lines.push(`- ${item}`);
+// The --plan-file plan with the --reroll block drawn again from the plan's own profile, seed and date; the
+// other blocks are carried over unchanged.
+function runReroll(args) {
+  const plan = planForDate(loadJson(args.planFile), args.startDay !== null ? formatIsoDate(args.startDay) : null);
+  if (plan.class || plan.partner) {
+    throw new InputError("--reroll redraws one athlete's plan; class and partner plans cannot be rerolled.");
   }
-
-  lines.push("");
-  lines.push("Scaling options");
-  for (const note of plan.scaling) {
-    lines.push(`- ${note.movement}: easier=${note.easier} | harder=${note.harder}`);
+  const parsed = parseIsoDate(String(plan.date || ""));
+  if (!parsed || !Number.isInteger(plan.seed) || !plan.profile || typeof plan.profile !== "object") {
+    throw new InputError("Plan JSON needs its seed, date and profile; pass a plan written by --output json.");
   }
 
-  return lines.join("\n");
+  const movements = loadMovementLibrary(args).movements;
+  assertKnownMovements(args, movements);
+  const history = args.historyFile ? historyBefore(loadJson(args.historyFile), parsed.ordinalDay) : [];
+  const lookbackDays = Math.max(1, args.historyDays);
+  const rerolled = buildPlan(mergeProfile(plan.profile), history, movements, lookbackDays, plan.seed, {
+    referenceDay: parsed.ordinalDay,
+    explain: args.explain,
+    require: args.require,
+    wodTypes: args.wodTypes,
+    exclude: args.exclude,
+    ...rerollOptions(plan, args.reroll),
+  });
+  process.stdout.write(`${PLAN_RENDERERS[args.output](rerolled)}\n`);
 }
 
-function buildPlan(profile, history, movements, lookbackDays, seed) {
-  const rng = new SeededRng(seed);
+function runLog(args) {
+  const movements = loadMovementLibrary(args).movements;
+  const history = loadHistoryStore(args.historyFile);
+  const plan = resolveLoggedPlan(args, history, movements);
 
   const byName = movementMap(movements);
-  const { recentMovements, patternCounter } = recentContext(history, byName, lookbackDays);
-  const ranked = rankCandidates(movements, profile, recentMovements, patternCounter);
-
-  if (ranked.length === 0) {
-    fail("No movements match the current equipment/level/limitations. Relax constraints and retry.");
-  }
-
-  const blocks = sessionBlockLengths(profile.session_minutes);
-  const used = new Set();
-
-  const warmup = buildWarmup(ranked, used, rng, blocks.warmup);
-  const strengthOrSkill = buildStrengthOrSkillBlock(ranked, used, rng, profile, blocks.strength);
-  const metcon = buildMetcon(ranked, used, rng, profile, blocks.metcon);
-  const cooldown = buildCooldown(movements, rng, blocks.cooldown);
-
-  const selectedForScaling = [...(warmup.movements || []), ...metcon.movements];
-  if (strengthOrSkill) {
-    selectedForScaling.push(strengthOrSkill.movement);
-  }
-
-  return {
-    seed,
-    profile,
-    context: {
-      lookback_days: lookbackDays,
-      recent_movements: Array.from(recentMovements).sort(),
-      recent_fatigue_patterns: fatigueSummary(patternCounter),
-    },
-    warmup,
-    strength_or_skill: strengthOrSkill,
-    metcon,
-    cooldown,
-    scaling: buildScalingNotes(selectedForScaling, byName),
-  };
-}
-
-function printUsage() {
-  const scriptName = path.basename(process.argv[1] || "scripts/generate_wod.js");
-  const lines = [
-    "Generate a personalized CrossFit WOD from profile and history",
-    "",
-    `Usage: node ${scriptName} --profile-file <path> [options]`,
-    "",
-    "Options:",
-    "  --profile-file <path>    Path to athlete profile JSON (required)",
-    "  --history-file <path>    Path to recent workout history JSON (optional)",
-    `  --movements-file <path>  Path to movement library JSON (default: ${path
-      .join("references", "movements.json")
-      .replace(/\\/g, "/")})`,
-    "  --history-days <int>     How many days of history to weigh for fatigue (default: 2)",
-    "  --seed <int>             Random seed; default is current date (YYYYMMDD)",
-    "  --output <text|json>     Output format (default: text)",
-    "  --help                   Show this help message",
-  ];
-  process.stdout.write(`${lines.join("\n")}\n`);
-}
-
-function parseArgs(argv) {
-  const defaults = {
-    profileFile: null,
-    historyFile: null,
-    movementsFile: path.resolve(__dirname, "..", "references", "movements.json"),
-    historyDays: 2,
-    seed: null,
-    output: "text",
-  };
-
-  const args = { ...defaults };
-  for (let idx = 0; idx < argv.length; idx += 1) {
-    const token = argv[idx];
-    if (token === "--help") {
-      printUsage();
-      process.exit(0);
-    }
-
-    const next = argv[idx + 1];
-    const requireValue = () => {
-      if (!next || next.startsWith("--")) {
-        fail(`Missing value for ${token}`);
-      }
-      idx += 1;
-      return next;
-    };
-
-    if (token === "--profile-file") {
-      args.profileFile = requireValue();
-      continue;
-    }
-    if (token === "--history-file") {
-      args.historyFile = requireValue();
-      continue;
-    }
-    if (token === "--movements-file") {
-      args.movementsFile = requireValue();
-      continue;
-    }
-    if (token === "--history-days") {
-      const raw = requireValue();
-      const parsed = Number.parseInt(raw, 10);
-      if (!Number.isFinite(parsed)) {
-        fail(`Invalid integer for --history-days: ${raw}`);
-      }
-      args.historyDays = parsed;
-      continue;
+  const strength = plan.strength_or_skill;
+  // A load only counts toward a PR for a movement the session actually programmed.
+  const planned = [...(strength ? [strength.movement] : []), ...plan.metcon.movements];
+  const loads = {};
+  for (const [name, loadKg] of Object.entries(args.loads)) {
+    const movement = byName.get(name.toLowerCase());
+    if (!movement) {
+      const names = movements.map((item) => item.name);
+      throw new InputError(`--load: ${describeUnknown(name, "movement", names)}`);
     }
-    if (token === "--seed") {
-      const raw = requireValue();
-      const parsed = Number.parseInt(raw, 10);
-      if (!Number.isFinite(parsed)) {
-        fail(`Invalid integer for --seed: ${raw}`);
-      }
-      args.seed = parsed;
-      continue;
+    if (!planned.some((item) => item.toLowerCase() === movement.name.toLowerCase())) {
+      throw new InputError(
+        `--load: ${movement.name} is not in the plan's strength or metcon block (${planned.join(", ")}).`,
+      );
     }
-    if (token === "--output") {
-      const raw = requireValue();
-      if (!["text", "json"].includes(raw)) {
-        fail(`Invalid value for --output: ${raw}`);
+    loads[movement.name] = loadKg;
+  }
+
+  const lifts = args.lifts.map((lift) => {
+    if (!lift.movement) {
+      if (!strength || strength.focus !== "strength") {
+        throw new InputError("--lift without a movement needs a plan with a strength block.");
       }
-      args.output = raw;
-      continue;
+      return { ...lift, movement: strength.movement };
     }
+    const movement = byName.get(lift.movement.toLowerCase());
+    if (!movement) {
+      const names = movements.map((item) => item.name);
+      throw new InputError(`--lift: ${describeUnknown(lift.movement, "movement", names)}`);
+    }
+    return { ...lift, movement: movement.name };
+  });
+
+  const entry = buildLogEntry(plan, {
+    score: args.score,
+    loads,
+    lifts,
+    rpe: args.rpe,
+    benchmark: plan.metcon.benchmark ? null : args.benchmark,
+    notes: args.notes,
+  });
+  const records = newRecords(history, entry);
+  saveHistoryStore(args.historyFile, appendLogEntry(history, entry));
+
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify({ entry, new_records: records }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${renderLogText(entry, records, args.historyFile)}\n`);
+  }
+}
 
-    fail(`Unknown argument: ${token}`);
+function runRecords(args) {
+  const records = computeRecords(normalizeHistory(loadJson(args.historyFile)));
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify(records, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${renderRecordsText(records)}\n`);
   }
+}
 
-  if (!args.profileFile) {
-    fail("Missing required argument: --profile-file");
+function runReport(args) {
+  const movements = loadMovementLibrary(args).movements;
+  const referenceDay = args.startDay !== null ? args.startDay : todayOrdinalDay();
+  const history = normalizeHistory(loadJson(args.historyFile));
+  const report = balanceReport(history, movementMap(movements), referenceDay);
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${renderReportText(report)}\n`);
   }
+}
 
-  return args;
+function runSubstitute(args) {
+  const profile = mergeProfile(loadJson(args.profileFile));
+  const result = substituteMovement(args.movement, profile, loadMovementLibrary(args).movements, {
+    volume: args.volume,
+    limit: args.limit,
+  });
+  if (args.output === "json") {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${renderSubstitutesText(result)}\n`);
+  }
 }
 
 function main() {
   try {
     const args = parseArgs(process.argv.slice(2));
-
-    const rawProfile = loadJson(args.profileFile);
-    if (!rawProfile || typeof rawProfile !== "object" || Array.isArray(rawProfile)) {
-      fail("Profile JSON must be an object.");
-    }
-    const profile = mergeProfile(rawProfile);
-
-    let history = [];
-    if (args.historyFile) {
-      const rawHistory = loadJson(args.historyFile);
-      if (!Array.isArray(rawHistory)) {
-        fail("History JSON must be an array.");
+    if (args.command === "validate") {
+      runValidate(args);
+      return;
+    }
+    if (args.command === "lint-library") {
+      runLintLibrary(args);
+      return;
+    }
+    if (args.command === "log") {
+      runLog(args);
+      return;
+    }
+    if (args.command === "records") {
+      runRecords(args);
+      return;
+    }
+    if (args.command === "substitute") {
+      runSubstitute(args);
+      return;
+    }
+    if (args.command === "report") {
+      runReport(args);
+      return;
+    }
+    if (args.checkPlanFile) {
+      runCheckPlan(args);
+      return;
+    }
+    if (args.reroll) {
+      runReroll(args);
+      return;
+    }
+
+    const rawProfile = args.classFile ? loadJson(args.classFile) : loadRawProfile(args);
+    const rawHistory = args.historyFile ? loadJson(args.historyFile) : [];
+    const library = loadMovementLibrary(args);
+    const movements = library.movements;
+    assertKnownMovements(args, movements);
+    const rawTeam = args.partnerFiles.length > 0 ? teamProfiles(args) : null;
+    if (args.strict) {
+      const assertValid = rawTeam
+        ? assertValidTeamInputs
+        : args.classFile
+          ? assertValidClassInputs
+          : assertValidInputs;
+      for (const warning of assertValid(rawTeam || rawProfile, rawHistory, movements, library.equipment)) {
+        process.stderr.write(`warning: ${warning.source} ${formatDiagnostic(warning)}\n`);
       }
-      history = rawHistory.filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry));
-    }
-
-    const movementBlob = loadJson(args.movementsFile);
-    const movements =
-      movementBlob && typeof movementBlob === "object" && !Array.isArray(movementBlob)
-        ? movementBlob.movements
-        : null;
-    if (!Array.isArray(movements) || movements.length === 0) {
-      fail("Movement library must be a JSON object with a non-empty 'movements' list.");
     }
 
+    const history = normalizeHistory(rawHistory);
     const seed = args.seed !== null ? args.seed : todaySeed();
-    const plan = buildPlan(profile, history, movements, Math.max(1, args.historyDays), seed);
-
-    if (args.output === "json") {
-      process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
-    } else {
-      process.stdout.write(`${renderText(plan)}\n`);
+    const startDay = args.startDay !== null ? args.startDay : todayOrdinalDay();
+    const lookbackDays = Math.max(1, args.historyDays);
+    const renderPlan = PLAN_RENDERERS[args.output];
+
+    if (args.classFile) {
+      const classSpec = mergeClass(rawProfile);
+      const plan = buildClassPlan(classSpec, history, movements, lookbackDays, seed, {
+        referenceDay: startDay,
+        explain: args.explain,
+      });
+      process.stdout.write(`${renderPlan(plan)}\n`);
+      return;
+    }
+
+    if (rawTeam) {
+      const team = mergeTeam(rawTeam, args.partnerFormat);
+      const plan = buildPartnerPlan(team, history, movements, lookbackDays, seed, {
+        referenceDay: startDay,
+        explain: args.explain,
+      });
+      process.stdout.write(`${renderPlan(plan)}\n`);
+      return;
     }
+
+    const profile = mergeProfile(rawProfile);
+    const benchmarks = loadBenchmarks();
+
+    if (args.days > 1 || args.restPattern) {
+      const microcycle = buildMicrocycle(profile, history, movements, lookbackDays, seed, {
+        days: args.days,
+        restPattern: args.restPattern,
+        startDay,
+        benchmarks,
+        explain: args.explain,
+      });
+      const renderMicrocycle = {
+        json: (value) => JSON.stringify(value, null, 2),
+        markdown: renderMicrocycleMarkdown,
+        html: renderMicrocycleHtml,
+        text: renderMicrocycleText,
+      }[args.output];
+      process.stdout.write(`${renderMicrocycle(microcycle)}\n`);
+      return;
+    }
+
+    const plan = buildBenchmarkPlan(profile, history, movements, lookbackDays, seed, {
+      referenceDay: startDay,
+      benchmark: resolveBenchmark(args, benchmarks, true),
+      benchmarks,
+      explain: args.explain,
+      require: args.require,
+      wodTypes: args.wodTypes,
+      exclude: args.exclude,
+    });
+    process.stdout.write(`${renderPlan(plan)}\n`);
   } catch (error) {
-    if (error instanceof Error) {
+    if (error instanceof WodGeneratorError) {
       process.stderr.write(`${error.message}\n`);
       process.exit(1);
     }
@@ -959,4 +946,6 @@ function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,218 @@
+"use strict";
+
+const { sessionPatterns } = require("./fatigue");
+const { asLowerSet, formatIsoDate, incrementCounter, parseIsoDate } = require("./util");
+
+// Days back from the reference day that the report summarizes.
+const BALANCE_WINDOWS = [7, 28, 90];
+// Foundational patterns a rounded program keeps touching; one missing for NEGLECT_DAYS is flagged.
+const KEY_PATTERNS = [
+  "squat",
+  "hinge",
+  "vertical-push",
+  "vertical-pull",
+  "horizontal-push",
+  "core",
+  "cyclical",
+  "single-leg",
+  "carry",
+  "plyometric",
+];
+const NEGLECT_DAYS = 21;
+// Over the last 28 days (with at least BALANCE_MIN_SESSIONS sessions): a movement in more than
+// OVERUSE_SHARE of the sessions is over-used, and a training modality under UNDERSERVED_MODALITY_SHARE
+// of the movements done is under-served.
+const BALANCE_WINDOW_DAYS = 28;
+const BALANCE_MIN_SESSIONS = 3;
+const OVERUSE_SHARE = 0.4;
+const UNDERSERVED_MODALITY_SHARE = 0.125;
+const TRAINING_MODALITIES = ["monostructural", "gymnastics", "weightlifting", "odd-object"];
+// Metcon lengths by the upper bound of each domain, in minutes.
+const TIME_DOMAINS = [
+  { domain: "short", max: 7 },
+  { domain: "medium", max: 15 },
+  { domain: "long", max: 25 },
+  { domain: "very_long", max: Infinity },
+];
+// Score a profile with `balance_bonus` adds to a movement per under-served pattern it trains (up to
+// patternMax) and for an under-served modality.
+const BALANCE_BONUS = { pattern: 1.5, patternMax: 3, modality: 1 };
+
+// Sessions up to the reference day with how many days back each was; undated ones count as yesterday's.
+function sessionsByAge(history, referenceDay) {
+  const sessions = [];
+  for (const session of history) {
+    if (!session || typeof session !== "object") {
+      continue;
+    }
+    const parsed = parseIsoDate(String(session.date || ""));
+    const daysAgo = parsed ? referenceDay - parsed.ordinalDay : 1;
+    if (daysAgo >= 0) {
+      sessions.push({ session, daysAgo });
+    }
+  }
+  return sessions;
+}
+
+function sessionMovements(session, byName) {
+  return (Array.isArray(session.movements) ? session.movements : [])
+    .map((name) => (typeof name === "string" ? byName.get(name.trim().toLowerCase()) : null))
+    .filter(Boolean);
+}
+
+function timeDomain(minutes) {
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return "unknown";
+  }
+  return TIME_DOMAINS.find((item) => minutes <= item.max).domain;
+}
+
+function sortedCounts(counter) {
+  return Object.fromEntries(
+    Array.from(counter.entries()).sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0])),
+  );
+}
+
+// Modalities and effects count the movements done; patterns, time domains and WOD types count sessions.
+function windowSummary(sessions, byName, days) {
+  const inWindow = sessions.filter((item) => item.daysAgo < days);
+  const modalities = new Map();
+  const patterns = new Map();
+  const timeDomains = new Map();
+  const wodTypes = new Map();
+  const effects = new Map();
+  for (const { session } of inWindow) {
+    incrementCounter(wodTypes, String(session.wod_type || "unknown").toLowerCase());
+    incrementCounter(timeDomains, timeDomain(Number(session.duration_min)));
+    new Set(sessionPatterns(session, byName)).forEach((pattern) => incrementCounter(patterns, pattern));
+    for (const movement of sessionMovements(session, byName)) {
+      incrementCounter(modalities, String(movement.modality || "").toLowerCase());
+      asLowerSet(movement.effects || []).forEach((effect) => incrementCounter(effects, effect));
+    }
+  }
+  return {
+    days,
+    sessions: inWindow.length,
+    modalities: sortedCounts(modalities),
+    patterns: sortedCounts(patterns),
+    time_domains: sortedCounts(timeDomains),
+    wod_types: sortedCounts(wodTypes),
+    effects: sortedCounts(effects),
+  };
+}
+
+// Key patterns not trained in the last NEGLECT_DAYS, with the days since they last were inside the
+// longest window (null when not at all). Nothing is flagged without a session in that time.
+function neglectedPatterns(sessions, byName, referenceDay) {
+  if (!sessions.some((item) => item.daysAgo < NEGLECT_DAYS)) {
+    return [];
+  }
+  const longest = Math.max(...BALANCE_WINDOWS);
+  const lastSeen = new Map();
+  for (const { session, daysAgo } of sessions.filter((item) => item.daysAgo < longest)) {
+    for (const pattern of sessionPatterns(session, byName)) {
+      lastSeen.set(pattern, Math.min(daysAgo, lastSeen.has(pattern) ? lastSeen.get(pattern) : Infinity));
+    }
+  }
+  return KEY_PATTERNS.filter((pattern) => !lastSeen.has(pattern) || lastSeen.get(pattern) >= NEGLECT_DAYS).map(
+    (pattern) => {
+      const daysSince = lastSeen.has(pattern) ? lastSeen.get(pattern) : null;
+      return {
+        pattern,
+        days_since: daysSince,
+        last_date: daysSince === null ? null : formatIsoDate(referenceDay - daysSince),
+      };
+    },
+  );
+}
+
+function overusedMovements(sessions, byName) {
+  const recent = sessions.filter((item) => item.daysAgo < BALANCE_WINDOW_DAYS);
+  if (recent.length < BALANCE_MIN_SESSIONS) {
+    return [];
+  }
+  const counts = new Map();
+  for (const { session } of recent) {
+    new Set(sessionMovements(session, byName).map((movement) => movement.name)).forEach((name) =>
+      incrementCounter(counts, name),
+    );
+  }
+  return Array.from(counts.entries())
+    .filter(([, count]) => count > OVERUSE_SHARE * recent.length)
+    .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))
+    .map(([movement, count]) => ({
+      movement,
+      sessions: count,
+      share: Math.round((count / recent.length) * 100) / 100,
+    }));
+}
+
+function underServedModalities(sessions, byName) {
+  const recent = sessions.filter((item) => item.daysAgo < BALANCE_WINDOW_DAYS);
+  if (recent.length < BALANCE_MIN_SESSIONS) {
+    return [];
+  }
+  const counts = new Map();
+  for (const { session } of recent) {
+    sessionMovements(session, byName).forEach((movement) =>
+      incrementCounter(counts, String(movement.modality || "").toLowerCase()),
+    );
+  }
+  const total = TRAINING_MODALITIES.reduce((sum, modality) => sum + (counts.get(modality) || 0), 0);
+  if (total === 0) {
+    return [];
+  }
+  return TRAINING_MODALITIES.filter(
+    (modality) => (counts.get(modality) || 0) / total < UNDERSERVED_MODALITY_SHARE,
+  );
+}
+
+// The neglected key patterns and under-served modalities the next session should lean toward.
+function underServedAreas(history, byName, referenceDay) {
+  const sessions = sessionsByAge(history, referenceDay);
+  return {
+    patterns: neglectedPatterns(sessions, byName, referenceDay).map((item) => item.pattern),
+    modalities: underServedModalities(sessions, byName),
+  };
+}
+
+function balanceBonus(movement, underServed) {
+  if (!underServed) {
+    return 0;
+  }
+  const patterns = asLowerSet(movement.patterns || []);
+  const hits = underServed.patterns.filter((pattern) => patterns.has(pattern)).length;
+  const modality = String(movement.modality || "").trim().toLowerCase();
+  return (
+    Math.min(BALANCE_BONUS.patternMax, hits * BALANCE_BONUS.pattern) +
+    (underServed.modalities.includes(modality) ? BALANCE_BONUS.modality : 0)
+  );
+}
+
+// Distribution of the history over each window, plus what is neglected, over-used and under-served.
+function balanceReport(history, byName, referenceDay) {
+  const sessions = sessionsByAge(history, referenceDay);
+  const neglected = neglectedPatterns(sessions, byName, referenceDay);
+  return {
+    date: formatIsoDate(referenceDay),
+    windows: BALANCE_WINDOWS.map((days) => windowSummary(sessions, byName, days)),
+    neglected_patterns: neglected,
+    overused_movements: overusedMovements(sessions, byName),
+    under_served: {
+      patterns: neglected.map((item) => item.pattern),
+      modalities: underServedModalities(sessions, byName),
+    },
+  };
+}
+
+module.exports = {
+  BALANCE_WINDOWS,
+  KEY_PATTERNS,
+  NEGLECT_DAYS,
+  TIME_DOMAINS,
+  BALANCE_BONUS,
+  timeDomain,
+  underServedAreas,
+  balanceBonus,
+  balanceReport,
+};
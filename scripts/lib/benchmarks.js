@@ -0,0 +1,378 @@
+"use strict";
+
+const { adaptMovement } = require("./classes");
+const { ConstraintError, InputError } = require("./errors");
+const { buildPlan, canDoMovement, sessionBlockLengths } = require("./generator");
+const { metconLoad } = require("./loads");
+const { assessReadiness } = require("./readiness");
+const { tierLoad } = require("./scaling");
+const { describeMetcon, describeStation } = require("./structures");
+const { asLowerSet, formatIsoDate, movementMap, parseIsoDate, todayOrdinalDay } = require("./util");
+const {
+  formatVolume,
+  repTarget,
+  roundSeconds,
+  scaleRepScheme,
+  scaleVolume,
+  schemeSeconds,
+  secondsPerUnit,
+} = require("./volume");
+
+// Structures a benchmark can be written in: the fixed-Rx formats, not the generator's clock-driven ones.
+const BENCHMARK_TYPES = ["amrap", "for_time", "chipper", "couplet", "triplet", "buy_in_cash_out"];
+const BENCHMARK_KINDS = ["girl", "hero"];
+// Share of the written volume each level does. AMRAPs keep the written rounds; the clock scales them.
+const BENCHMARK_VOLUME_FACTOR = { beginner: 0.5, intermediate: 0.75, advanced: 1 };
+const SCALED_SUFFIX = " (scaled)";
+
+function sumOf(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function benchmarkMinutes(benchmark) {
+  return benchmark.wod_type === "amrap" ? benchmark.duration_min : benchmark.time_cap_min;
+}
+
+// Checks the shape the programmer relies on; movement names are checked when a benchmark is programmed,
+// since gym layers can change the library after the file is read.
+function normalizeBenchmarks(blob, source) {
+  if (!blob || typeof blob !== "object" || !Array.isArray(blob.benchmarks)) {
+    throw new InputError(`${source}: expected an object with a "benchmarks" array.`);
+  }
+  return blob.benchmarks.map((benchmark, idx) => {
+    const fail = (message) => {
+      const name = benchmark && typeof benchmark.name === "string" ? ` (${benchmark.name})` : "";
+      throw new InputError(`${source}: benchmarks[${idx}]${name} ${message}.`);
+    };
+    if (!benchmark || typeof benchmark.name !== "string" || !benchmark.name.trim()) {
+      fail("needs a name");
+    }
+    if (!BENCHMARK_KINDS.includes(benchmark.kind)) {
+      fail(`needs a kind: ${BENCHMARK_KINDS.join(" or ")}`);
+    }
+    if (!BENCHMARK_TYPES.includes(benchmark.wod_type)) {
+      fail(`needs a wod_type: one of ${BENCHMARK_TYPES.join(", ")}`);
+    }
+    if (!(Number(benchmarkMinutes(benchmark)) > 0)) {
+      fail(benchmark.wod_type === "amrap" ? "needs duration_min" : "needs time_cap_min");
+    }
+    if (!Array.isArray(benchmark.stations) || benchmark.stations.length === 0) {
+      fail("needs at least one station");
+    }
+    const usesScheme = benchmark.wod_type === "couplet" || benchmark.wod_type === "triplet";
+    if (usesScheme && !(Array.isArray(benchmark.rep_scheme) && benchmark.rep_scheme.every((reps) => reps > 0))) {
+      fail("needs a rep_scheme of positive rep counts");
+    }
+    const usesRounds = benchmark.wod_type === "for_time" || benchmark.wod_type === "buy_in_cash_out";
+    if (usesRounds && !(benchmark.rounds > 0)) {
+      fail("needs rounds");
+    }
+    benchmark.stations.forEach((station, stationIdx) => {
+      if (!station || typeof station.movement !== "string" || !station.movement.trim()) {
+        fail(`stations[${stationIdx}] needs a movement`);
+      }
+      if (!usesScheme && !(station.amount > 0 && typeof station.unit === "string")) {
+        fail(`stations[${stationIdx}] needs an amount and unit`);
+      }
+    });
+    return benchmark;
+  });
+}
+
+// "Fran (scaled)" and "fran" are the same benchmark when looking for the last attempt.
+function benchmarkKey(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return key.endsWith(SCALED_SUFFIX) ? key.slice(0, -SCALED_SUFFIX.length) : key;
+}
+
+function findBenchmark(name, benchmarks) {
+  const key = benchmarkKey(name);
+  return benchmarks.find((benchmark) => benchmark.name.toLowerCase() === key) || null;
+}
+
+// A rep scheme counts reps (or calories) on every station, so substitutes there must too: no holds
+// ("30 sec plank") or distances.
+function countsReps(movement, level) {
+  const paceUnit = movement.pace && movement.pace.unit ? movement.pace.unit : "rep";
+  return [repTarget(movement, level).unit, paceUnit].every((unit) => unit === "rep" || unit === "calorie");
+}
+
+// Benchmarks are written around a barbell or a bar more often than generated pieces, so when nothing in
+// the same modality fits, any movement sharing the most patterns stands in (a dumbbell for a barbell
+// thruster, burpees with no load at all). Ties go to the alphabetically first name.
+function crossModalitySubstitute(movement, profile, movements, excluded, accept) {
+  const patterns = asLowerSet(movement.patterns || []);
+  let best = null;
+  let bestOverlap = 0;
+  for (const candidate of movements) {
+    const name = String(candidate.name || "").trim().toLowerCase();
+    if (
+      excluded.has(name) ||
+      String(candidate.modality || "").toLowerCase() === "recovery" ||
+      !canDoMovement(candidate, profile, new Set()) ||
+      !accept(candidate)
+    ) {
+      continue;
+    }
+    const overlap = Array.from(asLowerSet(candidate.patterns || [])).filter((item) => patterns.has(item)).length;
+    const earlierName = best && candidate.name.localeCompare(best.name) < 0;
+    if (overlap > bestOverlap || (overlap === bestOverlap && earlierName)) {
+      best = candidate;
+      bestOverlap = overlap;
+    }
+  }
+  return best ? { movement: best, name: best.name, substitute: best.name, reason: "limitation" } : null;
+}
+
+// Each station as the athlete does it: the written movement at the benchmark's own load standard, its
+// easiest variation when it is above their level, or a substitute sized to the same station time.
+function adaptStations(benchmark, profile, movements) {
+  const byName = movementMap(movements);
+  const level = profile.fitness_level;
+  const written = new Set(benchmark.stations.map((station) => station.movement.trim().toLowerCase()));
+  const adaptations = [];
+  const countable = (candidate) => !benchmark.rep_scheme || countsReps(candidate, level);
+
+  const entries = benchmark.stations.map((station) => {
+    const movement = byName.get(station.movement.trim().toLowerCase());
+    if (!movement) {
+      throw new InputError(
+        `Benchmark ${benchmark.name} uses ${station.movement}, which is not in the movement library.`,
+      );
+    }
+    const standard = station.load_kg ? { ...movement, rx_load_kg: station.load_kg } : movement;
+    let adapted = adaptMovement(standard, profile, movements, written);
+    if (!adapted || !countable(adapted.movement)) {
+      adapted = crossModalitySubstitute(movement, profile, movements, written, countable);
+    }
+    if (!adapted) {
+      throw new ConstraintError(
+        `No option fits ${movement.name} in ${benchmark.name} for this athlete; pick another benchmark.`,
+      );
+    }
+    if (adapted.substitute) {
+      written.add(adapted.movement.name.toLowerCase());
+      adaptations.push({ movement: movement.name, replacement: adapted.substitute, reason: adapted.reason });
+    }
+
+    let volume = { amount: station.amount, unit: station.unit || "rep" };
+    if (adapted.movement !== standard) {
+      const target = repTarget(adapted.movement, level);
+      if (benchmark.rep_scheme) {
+        volume = { unit: target.unit === "calorie" ? "calorie" : "rep" };
+      } else {
+        const stationSec = volume.amount * secondsPerUnit(movement, volume.unit, level);
+        const targetSec = target.amount * secondsPerUnit(adapted.movement, target.unit, level);
+        volume = scaleVolume(target, stationSec / targetSec);
+      }
+    }
+    return { movement: adapted.movement, name: adapted.name, volume, load: metconLoad(adapted.movement, profile) };
+  });
+  return { entries, adaptations };
+}
+
+// The benchmark's volume plan with `factor` of the written volume: rounds where the benchmark has them,
+// otherwise reps, and the estimated time of `entries` at `level`.
+function benchmarkVolume(benchmark, entries, factor, level) {
+  const wodType = benchmark.wod_type;
+  const volumePlan = {
+    rounds: null,
+    repScheme: null,
+    expectedRounds: null,
+    estimatedSec: benchmarkMinutes(benchmark) * 60,
+  };
+  const scaleEntry = (entry) => (factor < 1 ? { ...entry, volume: scaleVolume(entry.volume, factor) } : entry);
+  let scaled = entries;
+  if (benchmark.rep_scheme) {
+    volumePlan.repScheme = factor < 1 ? scaleRepScheme(benchmark.rep_scheme, factor) : benchmark.rep_scheme;
+    scaled = entries.map((entry) => ({
+      ...entry,
+      volume: { amount: sumOf(volumePlan.repScheme), unit: entry.volume.unit },
+    }));
+    volumePlan.estimatedSec = schemeSeconds(entries, volumePlan.repScheme, level);
+  } else if (wodType === "amrap") {
+    volumePlan.expectedRounds = volumePlan.estimatedSec / roundSeconds(entries, level);
+  } else if (wodType === "buy_in_cash_out") {
+    volumePlan.rounds = Math.max(1, Math.round(benchmark.rounds * factor));
+    scaled = [scaleEntry(entries[0]), ...entries.slice(1, -1), scaleEntry(entries[entries.length - 1])];
+    const ends = [scaled[0], scaled[scaled.length - 1]];
+    const middle = scaled.slice(1, -1);
+    volumePlan.estimatedSec = roundSeconds(ends, level) + volumePlan.rounds * roundSeconds(middle, level);
+  } else if (wodType === "for_time" && benchmark.rounds > 1) {
+    volumePlan.rounds = Math.max(1, Math.round(benchmark.rounds * factor));
+    volumePlan.estimatedSec = volumePlan.rounds * roundSeconds(entries, level);
+  } else {
+    volumePlan.rounds = wodType === "for_time" ? 1 : null;
+    scaled = entries.map(scaleEntry);
+    volumePlan.estimatedSec = roundSeconds(scaled, level);
+  }
+  return { volumePlan, scaled };
+}
+
+// The benchmark as written, for the RX scaling tier: every station's written movement and volume at its
+// load standard for the athlete's sex (male/female when unknown).
+function writtenBenchmark(benchmark, profile, movements) {
+  const byName = movementMap(movements);
+  const entries = benchmark.stations.map((station) => {
+    const movement = byName.get(station.movement.trim().toLowerCase());
+    const standard = station.load_kg ? { ...movement, rx_load_kg: station.load_kg } : movement;
+    const volume = { amount: station.amount, unit: station.unit || "rep" };
+    return { movement, name: movement.name, volume, load: tierLoad(standard, 1, profile.sex) };
+  });
+  const { volumePlan, scaled } = benchmarkVolume(benchmark, entries, 1, profile.fitness_level);
+  const stations = scaled.map((entry) =>
+    describeStation(entry.volume, entry.name, entry.load ? entry.load.label : null),
+  );
+  return {
+    description: describeMetcon(benchmark.wod_type, volumePlan, stations, benchmarkMinutes(benchmark)),
+    stations: scaled.map((entry, idx) => ({
+      movement: entry.name,
+      performed_as: entry.name,
+      prescription: stations[idx].volume,
+      load: entry.load,
+    })),
+  };
+}
+
+// Programs a benchmark for the athlete as a metcon block. Volume drops by level (rounds where the
+// benchmark has them, otherwise reps), loads follow the division and 1RMs as in generated metcons, and
+// anything short of the written workout is logged under "<name> (scaled)" so Rx records stay comparable.
+function programBenchmark(benchmark, profile, movements) {
+  const level = profile.fitness_level;
+  const wodType = benchmark.wod_type;
+  const minutes = benchmarkMinutes(benchmark);
+  const factor = wodType === "amrap" ? 1 : BENCHMARK_VOLUME_FACTOR[level];
+  const { entries, adaptations } = adaptStations(benchmark, profile, movements);
+  const { volumePlan, scaled } = benchmarkVolume(benchmark, entries, factor, level);
+
+  const stations = scaled.map((entry) =>
+    describeStation(entry.volume, entry.name, entry.load ? entry.load.label : null),
+  );
+  const loads = scaled.map((entry) => entry.load).filter(Boolean);
+  const asWritten =
+    factor === 1 &&
+    adaptations.length === 0 &&
+    profile.division === "rx" &&
+    loads.every((load) => /^rx standard( \(male\/female\))?$/.test(load.basis));
+
+  return {
+    type: wodType,
+    duration_min: minutes,
+    movements: Array.from(new Set(scaled.map((entry) => entry.movement.name))),
+    description: describeMetcon(wodType, volumePlan, stations, minutes),
+    volume: scaled.map((entry) => ({
+      movement: entry.movement.name,
+      amount: entry.volume.amount,
+      unit: entry.volume.unit,
+      prescription: formatVolume(entry.volume),
+    })),
+    rounds: volumePlan.rounds,
+    emom_minutes: null,
+    interval_min: null,
+    rep_scheme: volumePlan.repScheme,
+    increment: null,
+    work_sec: null,
+    rest_sec: null,
+    break_sec: null,
+    expected_rounds: volumePlan.expectedRounds ? Math.round(volumePlan.expectedRounds * 10) / 10 : null,
+    estimated_duration_min: Math.round(volumePlan.estimatedSec / 6) / 10,
+    loads: loads.filter((load, idx) => loads.findIndex((other) => other.movement === load.movement) === idx),
+    context_substitutions: [],
+    benchmark: asWritten ? benchmark.name : `${benchmark.name}${SCALED_SUFFIX}`,
+    benchmark_kind: benchmark.kind,
+    adaptations,
+    retest: null,
+    written: writtenBenchmark(benchmark, profile, movements),
+  };
+}
+
+// Benchmarks suited to the athlete's goal whose last logged attempt is at least
+// `benchmark_retest_weeks` old, most overdue first. Ones never logged are not retests.
+function dueRetests(profile, history, benchmarks, referenceDay) {
+  const weeks = profile.benchmark_retest_weeks;
+  if (!weeks) {
+    return [];
+  }
+
+  const lastDone = new Map();
+  for (const entry of history) {
+    const results = entry.results && typeof entry.results === "object" ? entry.results : {};
+    const name = results.benchmark || entry.benchmark;
+    const parsed = parseIsoDate(String(entry.date || ""));
+    if (typeof name !== "string" || !parsed) {
+      continue;
+    }
+    const key = benchmarkKey(name);
+    lastDone.set(key, Math.max(lastDone.has(key) ? lastDone.get(key) : -Infinity, parsed.ordinalDay));
+  }
+
+  const suited = benchmarks.filter(
+    (benchmark) => (benchmark.goals || []).includes(profile.goal) && lastDone.has(benchmarkKey(benchmark.name)),
+  );
+  return suited
+    .map((benchmark) => ({ benchmark, lastDay: lastDone.get(benchmarkKey(benchmark.name)) }))
+    .filter((due) => referenceDay - due.lastDay >= weeks * 7)
+    .sort(
+      (left, right) => left.lastDay - right.lastDay || left.benchmark.name.localeCompare(right.benchmark.name),
+    );
+}
+
+// A session built around a benchmark: `options.benchmark` when given, otherwise the most overdue retest
+// from `options.benchmarks`. Either must fit its time cap between the warm-up and cooldown, where it
+// takes the strength and accessory minutes; a requested one that does not is a ConstraintError.
+// Retests wait for a day the readiness check-in (if any) says the athlete is ready. With neither, this
+// is `buildPlan`.
+function buildBenchmarkPlan(profile, history, movements, lookbackDays, seed, options = {}) {
+  const { benchmark = null, benchmarks = [], ...planOptions } = options;
+  const referenceDay = Number.isInteger(options.referenceDay) ? options.referenceDay : todayOrdinalDay();
+
+  const blocks = sessionBlockLengths(profile.session_minutes, profile.stimulus);
+  const availableMinutes = profile.session_minutes - blocks.warmup - blocks.cooldown;
+  if (benchmark && benchmarkMinutes(benchmark) > availableMinutes) {
+    throw new ConstraintError(
+      `${benchmark.name} takes up to ${benchmarkMinutes(benchmark)} minutes, more than the ` +
+        `${availableMinutes} a ${profile.session_minutes}-minute session leaves between warm-up and ` +
+        "cooldown; raise session_minutes or pick a shorter benchmark.",
+    );
+  }
+  let metcon = benchmark ? programBenchmark(benchmark, profile, movements) : null;
+  const readiness = assessReadiness(profile.readiness);
+  // Retests give way to a metcon the run asks for by movement or WOD type, and to rerolls.
+  const metconRequested = Boolean(
+    planOptions.keep ||
+      (planOptions.require && planOptions.require.metcon) ||
+      (planOptions.wodTypes && planOptions.wodTypes.metcon),
+  );
+  const retesting = !benchmark && !metconRequested && (!readiness || readiness.band === "ready");
+  for (const due of retesting ? dueRetests(profile, history, benchmarks, referenceDay) : []) {
+    if (benchmarkMinutes(due.benchmark) > availableMinutes) {
+      continue;
+    }
+    try {
+      metcon = programBenchmark(due.benchmark, profile, movements);
+    } catch (error) {
+      if (!(error instanceof ConstraintError)) {
+        throw error;
+      }
+      continue;
+    }
+    metcon.retest = {
+      last_date: formatIsoDate(due.lastDay),
+      weeks_since: Math.floor((referenceDay - due.lastDay) / 7),
+    };
+    break;
+  }
+
+  const withMetcon = metcon ? { ...planOptions, metcon } : planOptions;
+  return buildPlan(profile, history, movements, lookbackDays, seed, withMetcon);
+}
+
+module.exports = {
+  BENCHMARK_TYPES,
+  normalizeBenchmarks,
+  benchmarkKey,
+  findBenchmark,
+  programBenchmark,
+  dueRetests,
+  buildBenchmarkPlan,
+};
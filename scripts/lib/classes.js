@@ -0,0 +1,601 @@
+"use strict";
+
+const { ConstraintError, InputError } = require("./errors");
+const { buildPlan, canDoMovement } = require("./generator");
+const { STRENGTH_SCHEMES, estimateOneRepMax, metconLoad, roundLoad } = require("./loads");
+const { LEVEL_RANK, mergeProfile } = require("./profile");
+const { asLowerSet, movementMap, requiredEquipmentSet, sortedListFromSet } = require("./util");
+const {
+  formatDuration,
+  formatVolume,
+  repTarget,
+  scaleRepScheme,
+  scaleVolume,
+  secondsPerUnit,
+} = require("./volume");
+
+// Session settings the class shares; athletes keep their own level, limitations, sex and maxes.
+const CLASS_FIELDS = ["goal", "session_minutes", "wod_type", "intensity", "preferred_modalities", "progression"];
+const HEAT_CHANGEOVER_MIN = 2;
+// Pieces worked through in one order by everyone start in staggered waves; in lockstep pieces the
+// whole heat is on the same movement at once; anything else rotates groups through the stations.
+const STAGGERED_TYPES = [
+  "chipper",
+  "couplet",
+  "triplet",
+  "ascending_ladder",
+  "descending_ladder",
+  "buy_in_cash_out",
+];
+const LOCKSTEP_TYPES = ["tabata", "death_by"];
+// Pieces whose length is set by their own clock rather than the metcon block's cap.
+const FIXED_CLOCK_TYPES = ["interval", "tabata", "e2mom", "e3mom", "rounds_for_quality"];
+const GROUP_LABELS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function normalizeQuantities(rawEquipment) {
+  if (!isPlainObject(rawEquipment)) {
+    throw new InputError("Class 'equipment' must map equipment ids to quantities.");
+  }
+  const quantities = {};
+  for (const [item, value] of Object.entries(rawEquipment)) {
+    const id = item.trim().toLowerCase();
+    if (value !== true && !(Number.isInteger(value) && value >= 0)) {
+      throw new InputError(`Class equipment ${JSON.stringify(item)} needs a whole-number quantity or true.`);
+    }
+    if (id && value !== 0) {
+      quantities[id] = value;
+    }
+  }
+  return quantities;
+}
+
+// The median athlete sets the class level; with an even count the lower of the two middle levels wins.
+function classLevel(athletes) {
+  const ranks = athletes.map((athlete) => LEVEL_RANK[athlete.fitness_level]).sort((left, right) => left - right);
+  const rank = ranks[Math.floor((ranks.length - 1) / 2)];
+  return Object.keys(LEVEL_RANK).find((level) => LEVEL_RANK[level] === rank);
+}
+
+function mergeClass(rawClass) {
+  if (!isPlainObject(rawClass) || !Array.isArray(rawClass.athletes) || rawClass.athletes.length === 0) {
+    throw new InputError("Class must be a JSON object with a non-empty 'athletes' list.");
+  }
+
+  const equipment = normalizeQuantities(rawClass.equipment || {});
+  const shared = {};
+  for (const field of CLASS_FIELDS) {
+    if (rawClass[field] !== undefined) {
+      shared[field] = rawClass[field];
+    }
+  }
+
+  const athletes = rawClass.athletes.map((rawAthlete, idx) => {
+    if (!isPlainObject(rawAthlete)) {
+      throw new InputError(`Class athlete ${idx + 1} must be a JSON object.`);
+    }
+    const { name, ...rawProfile } = rawAthlete;
+    // An athlete's own equipment list narrows the gym's (e.g. no barbell work at home or on a bad day).
+    const gymEquipment = Object.keys(equipment);
+    const ownEquipment = rawProfile.equipment_available ? asLowerSet(rawProfile.equipment_available) : null;
+    const profile = mergeProfile({
+      ...rawProfile,
+      ...shared,
+      equipment_available: ownEquipment ? gymEquipment.filter((item) => ownEquipment.has(item)) : gymEquipment,
+    });
+    return {
+      name: typeof name === "string" && name.trim() ? name.trim() : `Athlete ${idx + 1}`,
+      profile,
+    };
+  });
+
+  return {
+    name: typeof rawClass.name === "string" && rawClass.name.trim() ? rawClass.name.trim() : "Class",
+    equipment,
+    shared,
+    athletes,
+  };
+}
+
+// One profile the whole class can train from: equipment every athlete has, and the union of
+// limitations (`sharedOnly` narrows that to limitations every athlete has, leaving the rest to
+// per-athlete substitutes).
+function groupProfile(classSpec, sharedOnly = false) {
+  const profiles = classSpec.athletes.map((athlete) => athlete.profile);
+  const equipment = profiles
+    .map((profile) => new Set(profile.equipment_available))
+    .reduce((common, items) => new Set(Array.from(common).filter((item) => items.has(item))));
+
+  const combine = (field) => {
+    const lists = profiles.map((profile) => new Set(profile.limitations[field]));
+    const combined = sharedOnly
+      ? lists.reduce((common, items) => new Set(Array.from(common).filter((item) => items.has(item))))
+      : lists.reduce((union, items) => new Set([...union, ...items]));
+    return sortedListFromSet(combined);
+  };
+
+  return mergeProfile({
+    ...classSpec.shared,
+    fitness_level: classLevel(profiles),
+    equipment_available: Array.from(equipment),
+    limitations: { avoid_patterns: combine("avoid_patterns"), avoid_movements: combine("avoid_movements") },
+  });
+}
+
+function movementKey(movement) {
+  return String(movement.name || "").trim().toLowerCase();
+}
+
+// Variations that carry their own dose ("40 m accelerations") cannot take the class volume.
+function easiestVariation(movement) {
+  const variations = (Array.isArray(movement.variations) ? movement.variations : []).filter(
+    (variation) => typeof variation === "string" && variation.trim(),
+  );
+  return variations.length > 0 && !/^\d/.test(variations[0]) ? variations[0] : null;
+}
+
+function aboveLevel(movement, profile) {
+  const movementLevel = LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
+  return movementLevel > LEVEL_RANK[profile.fitness_level] + (profile.goal === "skill" ? 1 : 0);
+}
+
+// Same-modality movement the athlete can do that shares the most patterns with the original; ties go
+// to the alphabetically first name so the pick is stable.
+function findSubstitute(movement, profile, movements, excluded) {
+  const patterns = asLowerSet(movement.patterns || []);
+  const modality = String(movement.modality || "").toLowerCase();
+  let best = null;
+  let bestOverlap = -1;
+  for (const candidate of movements) {
+    if (
+      excluded.has(movementKey(candidate)) ||
+      String(candidate.modality || "").toLowerCase() !== modality ||
+      !canDoMovement(candidate, profile, new Set())
+    ) {
+      continue;
+    }
+    const overlap = Array.from(asLowerSet(candidate.patterns || [])).filter((item) => patterns.has(item)).length;
+    if (overlap > bestOverlap || (overlap === bestOverlap && candidate.name.localeCompare(best.name) < 0)) {
+      best = candidate;
+      bestOverlap = overlap;
+    }
+  }
+  return best;
+}
+
+// How the athlete does one class movement: as written, as its easiest variation when it is above
+// their level, or as a substitute when their equipment or limitations rule it out.
+function adaptMovement(movement, profile, movements, excluded) {
+  if (canDoMovement(movement, profile, new Set())) {
+    return { movement, name: movement.name, substitute: null, reason: null };
+  }
+  const onlyLevel =
+    aboveLevel(movement, profile) && canDoMovement(movement, { ...profile, fitness_level: "advanced" }, new Set());
+  const variation = easiestVariation(movement);
+  if (onlyLevel && variation) {
+    return { movement, name: variation, substitute: variation, reason: "level" };
+  }
+  const substitute = findSubstitute(movement, profile, movements, excluded);
+  if (substitute) {
+    const reason = onlyLevel ? "level" : "limitation";
+    return { movement: substitute, name: substitute.name, substitute: substitute.name, reason };
+  }
+  return null;
+}
+
+// The class rep scheme or Death-By and ladder step at the athlete's pace against the class level. The
+// stations share it, so the pace is the whole round's.
+function athleteScheme(metcon, byName, profile, classLevelName) {
+  if (!metcon.rep_scheme && !metcon.increment) {
+    return null;
+  }
+  let classSec = 0;
+  let athleteSec = 0;
+  for (const entry of metcon.volume) {
+    const movement = byName.get(entry.movement.toLowerCase());
+    classSec += secondsPerUnit(movement, entry.unit, classLevelName);
+    athleteSec += secondsPerUnit(movement, entry.unit, profile.fitness_level);
+  }
+  const factor = classSec / athleteSec;
+  return {
+    type: metcon.type,
+    repScheme: metcon.rep_scheme ? scaleRepScheme(metcon.rep_scheme, factor) : null,
+    increment: metcon.increment ? Math.max(1, Math.round(metcon.increment * factor)) : null,
+  };
+}
+
+// A station under the athlete's scheme from `athleteScheme`: "19-15-11-6 Power Clean @ 35 kg", or the
+// step a Death-By or ascending ladder adds.
+function schemeStation(scheme, label, unit) {
+  const named = `${unit === "calorie" ? "Calorie " : ""}${label}`;
+  if (scheme.repScheme) {
+    return `${scheme.repScheme.join("-")} ${named}`;
+  }
+  const step = scheme.increment;
+  if (scheme.type === "death_by") {
+    const first = unit === "calorie" ? `${step} cal` : `${step} rep${step > 1 ? "s" : ""}`;
+    return `${named}: ${first} in minute 1, add ${step} every minute`;
+  }
+  return `${[1, 2, 3].map((rung) => rung * step).join("-")}-… ${named}`;
+}
+
+// Keeps the class structure and time domain: volume scales with the athlete's pace against the
+// class level (unless `scaleToPace` is off, for work that must match rep for rep), and a substitute
+// gets the volume that fills the same station time. Under a shared rep scheme or step (`scheme`, from
+// `athleteScheme`) the station takes the athlete's scheme instead of a volume.
+function athleteStation(
+  entry,
+  classMovement,
+  profile,
+  classLevelName,
+  movements,
+  excluded,
+  scaleToPace = true,
+  scheme = null,
+) {
+  const adapted = adaptMovement(classMovement, profile, movements, excluded);
+  if (!adapted) {
+    return {
+      movement: classMovement.name,
+      prescription: `Skip ${classMovement.name}: no option fits; rest or add reps at the other stations`,
+      substitute: null,
+      reason: "limitation",
+    };
+  }
+
+  const load = metconLoad(adapted.movement, profile);
+  const label = `${adapted.name}${load ? ` @ ${load.label}` : ""}`;
+  if (scheme) {
+    const substituted = adapted.movement !== classMovement;
+    const unit = substituted ? repTarget(adapted.movement, profile.fitness_level).unit : entry.unit;
+    return {
+      movement: classMovement.name,
+      prescription: schemeStation(scheme, label, unit === "calorie" ? "calorie" : "rep"),
+      substitute: adapted.substitute,
+      reason: adapted.reason,
+    };
+  }
+
+  const classVolume = { amount: entry.amount, unit: entry.unit };
+  const stationSec = entry.amount * secondsPerUnit(classMovement, entry.unit, classLevelName);
+  let volume = classVolume;
+  if (adapted.movement !== classMovement) {
+    const target = repTarget(adapted.movement, profile.fitness_level);
+    const targetSec = target.amount * secondsPerUnit(adapted.movement, target.unit, profile.fitness_level);
+    volume = scaleVolume(target, stationSec / targetSec);
+  } else if (scaleToPace) {
+    const athleteSec = entry.amount * secondsPerUnit(classMovement, entry.unit, profile.fitness_level);
+    volume = scaleVolume(classVolume, stationSec / athleteSec);
+  }
+
+  return {
+    movement: classMovement.name,
+    prescription: `${formatVolume(volume)} ${label}`,
+    substitute: adapted.substitute,
+    reason: adapted.reason,
+  };
+}
+
+function athleteStrength(block, classMovement, profile, movements, excluded) {
+  const adapted = adaptMovement(classMovement, profile, movements, excluded);
+  if (!adapted) {
+    return `Skip ${classMovement.name}: no option fits; mobility or accessory work instead`;
+  }
+  if (block.focus === "skill") {
+    return `2-4 quality reps ${adapted.name} per set`;
+  }
+
+  const scheme = STRENGTH_SCHEMES[profile.fitness_level];
+  const estimate =
+    adapted.name === adapted.movement.name && requiredEquipmentSet(adapted.movement).has("barbell")
+      ? estimateOneRepMax(adapted.name, profile.one_rep_max)
+      : null;
+  if (estimate) {
+    const loads = scheme.percents.map((percent) => roundLoad((estimate.kg * percent) / 100));
+    return `${adapted.name}: ${loads.length} x ${scheme.reps} @ ${loads.join("/")} kg`;
+  }
+  return `${adapted.name}: ${scheme.percents.length} x ${scheme.reps} @ ${scheme.effort}`;
+}
+
+function stationCapacity(movement, equipment) {
+  let capacity = Infinity;
+  let limitedBy = null;
+  for (const item of requiredEquipmentSet(movement)) {
+    const quantity = equipment[item] === undefined || equipment[item] === true ? Infinity : equipment[item];
+    if (quantity < capacity) {
+      capacity = quantity;
+      limitedBy = item;
+    }
+  }
+  return { capacity, equipment: limitedBy };
+}
+
+// Equipment an athlete's version of a movement takes: the library movement's own, or for a named
+// variation the class equipment its name mentions ("Dumbbell RDL"), else the original's.
+function adaptedEquipment(adapted, byName, classEquipment) {
+  const named = adapted.name === adapted.movement.name ? adapted.movement : byName.get(adapted.name.toLowerCase());
+  if (named) {
+    return requiredEquipmentSet(named);
+  }
+  const words = adapted.name.toLowerCase().replace(/-/g, " ");
+  const mentioned = Object.keys(classEquipment).filter((item) => words.includes(item.replace(/-/g, " ")));
+  return mentioned.length > 0 ? new Set(mentioned) : requiredEquipmentSet(adapted.movement);
+}
+
+function pluralEquipment(item, count) {
+  if (count === 1 || item.endsWith("s")) {
+    return item;
+  }
+  return /(x|ch|sh)$/.test(item) ? `${item}es` : `${item}s`;
+}
+
+function metconMinutes(metcon) {
+  if (metcon.type === "emom") {
+    return metcon.emom_minutes;
+  }
+  return FIXED_CLOCK_TYPES.includes(metcon.type) ? Math.ceil(metcon.estimated_duration_min) : metcon.duration_min;
+}
+
+function assignGroups(names, groupCount) {
+  const groups = Array.from({ length: groupCount }, () => []);
+  names.forEach((name, idx) => groups[idx % groupCount].push(name));
+  return groups;
+}
+
+// Fits the class onto the equipment it has. Chippers and other fixed-order pieces start in waves spaced
+// so a wave clears the bottleneck before the next arrives; lockstep pieces run in heats the bottleneck
+// can hold; everything else rotates groups through the stations, in back-to-back heats when a station
+// cannot hold a full group.
+function planLogistics(plan, classSpec, byName, movements) {
+  const names = classSpec.athletes.map((athlete) => athlete.name);
+  const count = names.length;
+  const level = plan.profile.fitness_level;
+  const notes = [];
+
+  // Only athletes whose own strength line takes the equipment share it.
+  const strength = plan.strength_or_skill;
+  if (strength) {
+    const strengthMovement = byName.get(strength.movement.toLowerCase());
+    const { capacity, equipment } = stationCapacity(strengthMovement, classSpec.equipment);
+    const excluded = planMovementNames(plan);
+    const users = classSpec.athletes.filter((athlete) => {
+      const adapted = adaptMovement(strengthMovement, athlete.profile, movements, excluded);
+      return adapted && adaptedEquipment(adapted, byName, classSpec.equipment).has(equipment);
+    }).length;
+    if (capacity < users) {
+      const label = strength.focus === "skill" ? "Skill" : "Strength";
+      notes.push(
+        `${label}: ${users} athletes share ${capacity} ${pluralEquipment(equipment, capacity)}, ` +
+          `${Math.ceil(users / capacity)} per ${equipment}; alternate sets`,
+      );
+    }
+  }
+
+  const metcon = plan.metcon;
+  // One visit to a station: the first rung of a rep scheme, otherwise the station's whole volume.
+  const visitShare = metcon.rep_scheme
+    ? metcon.rep_scheme[0] / metcon.rep_scheme.reduce((sum, reps) => sum + reps)
+    : 1;
+  const stations = metcon.volume.map((entry) => {
+    const movement = byName.get(entry.movement.toLowerCase());
+    return {
+      movement: entry.movement,
+      seconds: entry.amount * visitShare * secondsPerUnit(movement, entry.unit, level),
+      ...stationCapacity(movement, classSpec.equipment),
+    };
+  });
+  const limited = stations.filter((station) => station.capacity < count);
+  const minutes = metconMinutes(metcon);
+
+  if (limited.length === 0) {
+    notes.push("Everyone starts together.");
+    return {
+      format: "together",
+      heats: 1,
+      bottleneck: null,
+      groups: [{ heat: 1, label: "All", start: metcon.movements[0], offset_sec: 0, athletes: names }],
+      total_min: minutes,
+      notes,
+    };
+  }
+
+  const bottleneck = limited.reduce((worst, station) => (station.capacity < worst.capacity ? station : worst));
+  const bottleneckEquipment = pluralEquipment(bottleneck.equipment, bottleneck.capacity);
+  const describeBottleneck = `${bottleneck.capacity} ${bottleneckEquipment} at ${bottleneck.movement}`;
+  let logistics = null;
+
+  if (STAGGERED_TYPES.includes(metcon.type)) {
+    const waves = Math.ceil(count / bottleneck.capacity);
+    const waveSize = Math.ceil(count / waves);
+    const occupiedSec = Math.max(...limited.map((station) => station.seconds));
+    const offsetSec = Math.max(60, Math.ceil(occupiedSec / 30) * 30);
+    const groups = [];
+    for (let wave = 0; wave < waves; wave += 1) {
+      groups.push({
+        heat: wave + 1,
+        label: `Wave ${wave + 1}`,
+        start: metcon.movements[0],
+        offset_sec: wave * offsetSec,
+        athletes: names.slice(wave * waveSize, (wave + 1) * waveSize),
+      });
+    }
+    notes.push(
+      `Staggered start: ${waves} waves of up to ${waveSize} (${describeBottleneck}), ` +
+        `one every ${formatDuration(offsetSec)}`,
+    );
+    logistics = {
+      format: "staggered",
+      heats: waves,
+      groups,
+      total_min: Math.round((minutes + ((waves - 1) * offsetSec) / 60) * 10) / 10,
+    };
+  } else if (LOCKSTEP_TYPES.includes(metcon.type)) {
+    const heats = Math.ceil(count / bottleneck.capacity);
+    const perHeat = Math.ceil(count / heats);
+    const groups = [];
+    for (let heat = 0; heat < heats; heat += 1) {
+      groups.push({
+        heat: heat + 1,
+        label: `Heat ${heat + 1}`,
+        start: metcon.movements[0],
+        offset_sec: heat * (minutes + HEAT_CHANGEOVER_MIN) * 60,
+        athletes: names.slice(heat * perHeat, (heat + 1) * perHeat),
+      });
+    }
+    notes.push(
+      `${heats} heats of up to ${perHeat} (${describeBottleneck}); ` +
+        "everyone in a heat works the same movement at once; next heat judges and resets",
+    );
+    logistics = {
+      format: "heats",
+      heats,
+      groups,
+      total_min: heats * minutes + (heats - 1) * HEAT_CHANGEOVER_MIN,
+    };
+  } else {
+    const stationCount = stations.length;
+    const groupCount = Math.min(stationCount, count);
+    const rotation =
+      metcon.type === "emom" ? "each takes a different minute's station" : "each starts at a different station";
+    if (Math.ceil(count / groupCount) <= bottleneck.capacity) {
+      const groups = assignGroups(names, groupCount).map((athletes, idx) => ({
+        heat: 1,
+        label: `Group ${GROUP_LABELS[idx]}`,
+        start: metcon.movements[idx],
+        offset_sec: 0,
+        athletes,
+      }));
+      notes.push(
+        `Station rotation: ${groupCount} groups (${describeBottleneck}); ${rotation} and moves on in order`,
+      );
+      logistics = { format: "rotation", heats: 1, groups, total_min: minutes };
+    } else {
+      const heats = Math.ceil(count / (stationCount * bottleneck.capacity));
+      const perHeat = Math.ceil(count / heats);
+      const groups = [];
+      for (let heat = 0; heat < heats; heat += 1) {
+        const heatNames = names.slice(heat * perHeat, (heat + 1) * perHeat);
+        assignGroups(heatNames, Math.min(stationCount, heatNames.length)).forEach((athletes, idx) => {
+          groups.push({
+            heat: heat + 1,
+            label: `Heat ${heat + 1} · Group ${GROUP_LABELS[idx]}`,
+            start: metcon.movements[idx],
+            offset_sec: heat * (minutes + HEAT_CHANGEOVER_MIN) * 60,
+            athletes,
+          });
+        });
+      }
+      notes.push(
+        `${heats} heats of up to ${perHeat} (${describeBottleneck}); ` +
+          `${stationCount} groups per heat, ${rotation}; next heat judges and resets`,
+      );
+      logistics = {
+        format: "heats",
+        heats,
+        groups,
+        total_min: heats * minutes + (heats - 1) * HEAT_CHANGEOVER_MIN,
+      };
+    }
+  }
+
+  if (logistics.total_min > metcon.duration_min) {
+    notes.push(
+      `Runs ${logistics.total_min} min against a ${metcon.duration_min}-min metcon block; ` +
+        `borrow from the cooldown or add ${pluralEquipment(bottleneck.equipment, 2)}`,
+    );
+  }
+  return {
+    ...logistics,
+    bottleneck: { movement: bottleneck.movement, equipment: bottleneck.equipment, capacity: bottleneck.capacity },
+    notes,
+  };
+}
+
+// Plans from the group profile, falling back to shared limitations when the union rules out every
+// movement. `overrides` replaces group profile fields (e.g. a WOD type picked for the group).
+function buildGroupPlan(classSpec, history, movements, lookbackDays, seed, options = {}, overrides = {}) {
+  const attempt = (sharedOnly) => {
+    const profile = { ...groupProfile(classSpec, sharedOnly), ...overrides };
+    return buildPlan(profile, history, movements, lookbackDays, seed, options);
+  };
+  try {
+    return attempt(false);
+  } catch (error) {
+    if (!(error instanceof ConstraintError)) {
+      throw error;
+    }
+    return attempt(true);
+  }
+}
+
+// Movements already in the plan, which substitutes must not duplicate.
+function planMovementNames(plan) {
+  return new Set(
+    [...plan.metcon.movements, plan.strength_or_skill ? plan.strength_or_skill.movement : null]
+      .filter(Boolean)
+      .map((name) => name.toLowerCase()),
+  );
+}
+
+// One session for the whole class: the plan is built from the group profile, then each athlete gets
+// scaling lines for their level and limitations, and the equipment counts decide heats or rotation.
+function buildClassPlan(classSpec, history, movements, lookbackDays, seed, options = {}) {
+  const plan = buildGroupPlan(classSpec, history, movements, lookbackDays, seed, options);
+
+  const byName = movementMap(movements);
+  const classMovementNames = planMovementNames(plan);
+  const classLevelName = plan.profile.fitness_level;
+
+  const strength = plan.strength_or_skill;
+  const strengthMovement = strength ? byName.get(strength.movement.toLowerCase()) : null;
+  const athletes = classSpec.athletes.map((athlete) => {
+    const profile = athlete.profile;
+    const scheme = athleteScheme(plan.metcon, byName, profile, classLevelName);
+    return {
+      name: athlete.name,
+      fitness_level: profile.fitness_level,
+      strength: strength
+        ? athleteStrength(strength, strengthMovement, profile, movements, classMovementNames)
+        : null,
+      metcon: plan.metcon.volume.map((entry) =>
+        athleteStation(
+          entry,
+          byName.get(entry.movement.toLowerCase()),
+          profile,
+          classLevelName,
+          movements,
+          classMovementNames,
+          true,
+          scheme,
+        ),
+      ),
+    };
+  });
+
+  // Each athlete's lines are their own scaling, so the group's tiers would contradict them.
+  return {
+    ...plan,
+    scaling_tiers: null,
+    class: {
+      name: classSpec.name,
+      athlete_count: athletes.length,
+      equipment: classSpec.equipment,
+      athletes,
+      logistics: planLogistics(plan, classSpec, byName, movements),
+    },
+  };
+}
+
+module.exports = {
+  mergeClass,
+  groupProfile,
+  buildGroupPlan,
+  planMovementNames,
+  adaptMovement,
+  athleteStation,
+  athleteStrength,
+  buildClassPlan,
+};
@@ -0,0 +1,127 @@
+"use strict";
+
+const { asLowerSet, requiredEquipmentSet } = require("./util");
+
+// Context ids referenced by `requires_context` in movements.json. "piece" contexts must be provided by
+// another movement programmed in the same piece; "lane" contexts must be available to the athlete.
+const PIECE_CONTEXTS = {
+  "barbell-in-piece": {
+    scope: "piece",
+    equipment: ["barbell"],
+    description: "a barbell movement in the same piece",
+  },
+  "box-in-piece": {
+    scope: "piece",
+    equipment: ["box"],
+    description: "a box already set up in the same piece",
+  },
+  "pull-up-bar-access": {
+    scope: "lane",
+    equipment: ["pull-up-bar"],
+    description: "pull-up bar access in the lane",
+  },
+  "wall-ball-target": {
+    scope: "lane",
+    equipment: ["wall-ball", "wall"],
+    description: "a wall-ball and wall-ball target",
+  },
+  "rings-set": {
+    scope: "lane",
+    equipment: ["rings"],
+    description: "rings set at working height",
+  },
+  "rope-safe-descent": {
+    scope: "lane",
+    equipment: ["rope", "crash-mat"],
+    description: "a climbing rope with a safe descent setup",
+  },
+  "clear-lane": {
+    scope: "lane",
+    equipment: ["open-lane"],
+    description: "clear lane space",
+  },
+};
+
+function contextViolations(pieceMovements, equipmentAvailable) {
+  const availableEquipment = asLowerSet(equipmentAvailable || []);
+  const violations = [];
+
+  for (const movement of pieceMovements) {
+    const movementName = String(movement.name || "").trim();
+    const otherEquipment = new Set();
+    for (const other of pieceMovements) {
+      if (other !== movement) {
+        for (const item of requiredEquipmentSet(other)) {
+          otherEquipment.add(item);
+        }
+      }
+    }
+
+    for (const contextId of asLowerSet(movement.requires_context || [])) {
+      const context = PIECE_CONTEXTS[contextId];
+      if (!context) {
+        violations.push({
+          movement: movementName,
+          context: contextId,
+          reason: `${movementName} requires unknown context '${contextId}'`,
+        });
+        continue;
+      }
+
+      const provided = context.scope === "piece" ? otherEquipment : availableEquipment;
+      if (!context.equipment.every((item) => provided.has(item))) {
+        violations.push({
+          movement: movementName,
+          context: contextId,
+          reason: `${movementName} requires ${context.description}`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
+
+function planPieces(plan) {
+  const pieces = [];
+  if (plan.warmup && Array.isArray(plan.warmup.movements)) {
+    pieces.push(["warmup", plan.warmup.movements]);
+  }
+  if (plan.strength_or_skill && plan.strength_or_skill.movement) {
+    pieces.push(["strength_or_skill", [plan.strength_or_skill.movement]]);
+  }
+  if (plan.metcon && Array.isArray(plan.metcon.movements)) {
+    pieces.push(["metcon", plan.metcon.movements]);
+  }
+  if (plan.accessory && Array.isArray(plan.accessory.movements)) {
+    pieces.push(["accessory", plan.accessory.movements]);
+  }
+  return pieces;
+}
+
+function checkPlanCoherence(planBlob, byName) {
+  const plans = Array.isArray(planBlob.days)
+    ? planBlob.days.filter((day) => day && day.plan).map((day) => day.plan)
+    : [planBlob];
+
+  const violations = [];
+  for (const plan of plans) {
+    const equipmentAvailable = plan.profile ? plan.profile.equipment_available : [];
+    for (const [piece, movementNames] of planPieces(plan)) {
+      const pieceMovements = movementNames
+        .map((movementName) => byName.get(String(movementName || "").trim().toLowerCase()))
+        .filter(Boolean);
+      for (const violation of contextViolations(pieceMovements, equipmentAvailable)) {
+        violations.push({ date: plan.date || null, piece, ...violation });
+      }
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  PIECE_CONTEXTS,
+  contextViolations,
+  planPieces,
+  checkPlanCoherence,
+};
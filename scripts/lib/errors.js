@@ -0,0 +1,33 @@
+"use strict";
+
+class WodGeneratorError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+// A profile, history, movement library or plan that is missing, unreadable or malformed.
+class InputError extends WodGeneratorError {}
+
+// Strict validation found problems; `diagnostics` lists each one with its JSON path.
+class ValidationError extends InputError {
+  constructor(message, diagnostics = [], options) {
+    super(message, options);
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Inputs are valid but leave no movements to program.
+class ConstraintError extends WodGeneratorError {}
+
+// Invalid command-line arguments.
+class UsageError extends WodGeneratorError {}
+
+module.exports = {
+  WodGeneratorError,
+  InputError,
+  ValidationError,
+  ConstraintError,
+  UsageError,
+};
@@ -0,0 +1,171 @@
+"use strict";
+
+const { parseIsoDate } = require("./util");
+
+// How much one hit of a pattern counts by the session's intensity.
+const FATIGUE_INTENSITY_WEIGHTS = { low: 0.6, moderate: 1, high: 1.4 };
+// Days for a pattern's fatigue to halve, by family: heavy hinging takes longest to recover from,
+// cyclical work and mobility the least. Patterns in no family use DEFAULT_HALF_LIFE_DAYS; a profile's
+// `fatigue_half_lives` overrides single patterns.
+const HALF_LIFE_FAMILIES = [
+  { family: "heavy hinge", days: 3, patterns: ["hinge", "posterior-chain", "axial-load", "hamstring"] },
+  {
+    family: "squat",
+    days: 2.5,
+    patterns: ["squat", "knee-dominant", "front-load", "quad", "single-leg", "split-stance"],
+  },
+  {
+    family: "press and pull",
+    days: 2,
+    patterns: [
+      "vertical-push",
+      "vertical-pull",
+      "horizontal-push",
+      "press",
+      "push",
+      "pull",
+      "upper-pull",
+      "overhead",
+      "high-volume-overhead",
+      "front-rack",
+      "dip",
+    ],
+  },
+  {
+    family: "explosive",
+    days: 2,
+    patterns: ["power", "plyometric", "triple-extension", "hip-drive", "ballistic", "elasticity"],
+  },
+  {
+    family: "trunk and grip",
+    days: 1.5,
+    patterns: ["core", "grip", "trunk-flexion", "hip-flexion", "midline-stability", "anti-extension", "carry"],
+  },
+  { family: "cyclical", days: 1, patterns: ["cyclical", "aerobic", "anaerobic", "coordination", "full-body"] },
+  { family: "mobility", days: 0.5, patterns: ["mobility", "breathing", "recovery", "t-spine"] },
+];
+const DEFAULT_HALF_LIFE_DAYS = 1.5;
+const ACUTE_WINDOW_DAYS = 7;
+const CHRONIC_WINDOW_DAYS = 28;
+// An acute:chronic ratio scales a pattern's fatigue within these bounds: a spike over the usual weekly
+// load counts for more, a pattern the athlete trains often for less.
+const FATIGUE_RATIO_LIMITS = { min: 0.75, max: 1.5 };
+// Patterns below this score are left out of the plan's summary.
+const REPORTED_FATIGUE_MIN = 0.05;
+
+function halfLifeDays(pattern, overrides = {}) {
+  if (Object.prototype.hasOwnProperty.call(overrides, pattern)) {
+    return overrides[pattern];
+  }
+  const family = HALF_LIFE_FAMILIES.find((item) => item.patterns.includes(pattern));
+  return family ? family.days : DEFAULT_HALF_LIFE_DAYS;
+}
+
+// Every pattern hit of one session, repeated once per movement that trains it.
+function sessionPatterns(session, byName) {
+  const hits = [];
+  for (const movementName of Array.isArray(session.movements) ? session.movements : []) {
+    const found = typeof movementName === "string" ? byName.get(movementName.trim().toLowerCase()) : null;
+    if (found && Array.isArray(found.patterns)) {
+      hits.push(...found.patterns);
+    }
+  }
+  hits.push(...(Array.isArray(session.patterns) ? session.patterns : []));
+  return hits
+    .filter((pattern) => typeof pattern === "string" && pattern.trim())
+    .map((pattern) => pattern.trim().toLowerCase());
+}
+
+// Per pattern: `fatigue`, the intensity-weighted hits of the last CHRONIC_WINDOW_DAYS, each halved every
+// half-life; `acute`, the undecayed load of the last week; `chronic`, the weekly average of the three
+// weeks before it; `ratio`, acute over chronic (null without a chronic base); and `score`, the fatigue
+// scaled by that ratio. Undated sessions count as yesterday's.
+function patternFatigue(history, byName, referenceDay, halfLives = {}) {
+  const totals = new Map();
+  for (const session of history) {
+    if (!session || typeof session !== "object") {
+      continue;
+    }
+    const parsed = parseIsoDate(String(session.date || ""));
+    const daysAgo = parsed ? referenceDay - parsed.ordinalDay : 1;
+    if (daysAgo < 0 || daysAgo >= CHRONIC_WINDOW_DAYS) {
+      continue;
+    }
+    const intensity = String(session.intensity || "").trim().toLowerCase();
+    const weight = FATIGUE_INTENSITY_WEIGHTS[intensity] || FATIGUE_INTENSITY_WEIGHTS.moderate;
+
+    for (const pattern of sessionPatterns(session, byName)) {
+      if (!totals.has(pattern)) {
+        totals.set(pattern, { halfLife: halfLifeDays(pattern, halfLives), fatigue: 0, acute: 0, base: 0 });
+      }
+      const total = totals.get(pattern);
+      total.fatigue += weight * 0.5 ** (daysAgo / total.halfLife);
+      if (daysAgo < ACUTE_WINDOW_DAYS) {
+        total.acute += weight;
+      } else {
+        total.base += weight;
+      }
+    }
+  }
+
+  const chronicWeeks = (CHRONIC_WINDOW_DAYS - ACUTE_WINDOW_DAYS) / 7;
+  const fatigue = new Map();
+  for (const [pattern, total] of totals) {
+    const chronic = total.base / chronicWeeks;
+    const ratio = chronic > 0 ? total.acute / chronic : null;
+    const scale =
+      ratio === null ? 1 : Math.min(FATIGUE_RATIO_LIMITS.max, Math.max(FATIGUE_RATIO_LIMITS.min, ratio));
+    fatigue.set(pattern, {
+      fatigue: total.fatigue,
+      acute: total.acute,
+      chronic,
+      ratio,
+      half_life_days: total.halfLife,
+      score: total.fatigue * scale,
+    });
+  }
+  return fatigue;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The patterns still carrying fatigue, most fatigued first, with their numbers rounded for output.
+function fatigueDetails(fatigue) {
+  return Array.from(fatigue.entries())
+    .filter(([, entry]) => entry.score >= REPORTED_FATIGUE_MIN)
+    .sort((left, right) => right[1].score - left[1].score || left[0].localeCompare(right[0]))
+    .map(([pattern, entry]) => ({
+      pattern,
+      score: round2(entry.score),
+      fatigue: round2(entry.fatigue),
+      acute: round2(entry.acute),
+      chronic: round2(entry.chronic),
+      ratio: entry.ratio === null ? null : round2(entry.ratio),
+      half_life_days: entry.half_life_days,
+    }));
+}
+
+// "hinge 1.2 (half-life 3 d, acute:chronic 1.8)" for the five most fatigued patterns.
+function fatigueSummary(fatigue) {
+  return fatigueDetails(fatigue)
+    .slice(0, 5)
+    .map((entry) => {
+      const ratio = entry.ratio === null ? "" : `, acute:chronic ${entry.ratio}`;
+      return `${entry.pattern} ${entry.score.toFixed(1)} (half-life ${entry.half_life_days} d${ratio})`;
+    });
+}
+
+module.exports = {
+  FATIGUE_INTENSITY_WEIGHTS,
+  HALF_LIFE_FAMILIES,
+  DEFAULT_HALF_LIFE_DAYS,
+  ACUTE_WINDOW_DAYS,
+  CHRONIC_WINDOW_DAYS,
+  halfLifeDays,
+  sessionPatterns,
+  patternFatigue,
+  fatigueDetails,
+  fatigueSummary,
+};
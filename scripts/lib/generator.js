@@ -0,0 +1,1333 @@
+"use strict";
+
+const { balanceBonus, underServedAreas } = require("./balance");
+const { contextViolations } = require("./coherence");
+const { ConstraintError, InputError } = require("./errors");
+const { fatigueDetails, fatigueSummary, patternFatigue } = require("./fatigue");
+const { buildRehabBlock, describeEase, injuryEase, injuryNotes } = require("./injuries");
+const { STRENGTH_SCHEMES, describeOneRepMax, estimateOneRepMax, metconLoad, roundLoad } = require("./loads");
+const { INTENSITIES, LEVEL_RANK, WOD_TYPES } = require("./profile");
+const { dueLift, liftLog, progressLift } = require("./progression");
+const { RPE_LOAD_STEP, assessReadiness, lowerRpe } = require("./readiness");
+const { SeededRng } = require("./rng");
+const { buildScalingTiers, scalingSteps } = require("./scaling");
+const {
+  describeStimulus,
+  stimulusGroups,
+  stimulusLoading,
+  stimulusRanking,
+  stimulusTimeDomain,
+} = require("./stimulus");
+const { canDoMovement, exclusionReason, rankSubstitutes } = require("./substitutions");
+const {
+  asLowerSet,
+  formatIsoDate,
+  incrementCounter,
+  movementMap,
+  parseIsoDate,
+  requiredEquipmentSet,
+  todayOrdinalDay,
+} = require("./util");
+const { STRUCTURES, STRUCTURE_LABELS, describeMetcon, describeStation } = require("./structures");
+const {
+  emomStationVolume,
+  formatVolume,
+  planMetconVolume,
+  repTarget,
+  roundSeconds,
+  scaleVolume,
+} = require("./volume");
+const { buildWarmupBlock } = require("./warmup");
+
+// Structures a goal draws its metcon from; other goals draw from every structure.
+const GOAL_WOD_TYPES = {
+  engine: ["interval", "amrap", "for_time", "tabata", "buy_in_cash_out", "triplet"],
+  strength: ["emom", "for_time", "amrap", "e2mom", "e3mom", "couplet", "descending_ladder"],
+  power: ["emom", "for_time", "amrap", "e2mom", "e3mom", "couplet", "descending_ladder"],
+  skill: ["emom", "amrap", "interval", "rounds_for_quality", "e2mom", "death_by"],
+};
+// Shortest strength block worth keeping when a time domain takes minutes for the metcon.
+const MIN_STRENGTH_MINUTES = 5;
+// Accessory work takes the minutes the main blocks leave over, from ACCESSORY_MIN_MINUTES up to
+// ACCESSORY_MAX_MINUTES: one movement per focus whose primary pattern is the focus's, at most
+// intermediate and not power work, with a rest between rounds. Holds go for ACCESSORY_HOLD_SEC.
+const ACCESSORY_FOCUS = [
+  { focus: "unilateral", patterns: ["single-leg", "split-stance", "single-arm"] },
+  { focus: "midline", patterns: ["core", "midline-stability", "anti-extension", "trunk-flexion"] },
+  { focus: "posterior-chain", patterns: ["hip-extension", "posterior-chain", "hamstring", "hinge"] },
+];
+const ACCESSORY_MODALITIES = new Set(["gymnastics", "weightlifting", "odd-object"]);
+const ACCESSORY_MIN_MINUTES = 5;
+const ACCESSORY_MAX_MINUTES = 15;
+const ACCESSORY_REST_SEC = 60;
+const ACCESSORY_HOLD_SEC = 30;
+// The blocks a run can require movements in or reroll, in plan order, with what each is called in
+// messages. BLOCK_NAMES maps what a coach may type (lower-cased, letters only) to the block.
+const PLAN_BLOCKS = ["warmup", "strength_or_skill", "metcon", "accessory", "cooldown"];
+const BLOCK_LABELS = {
+  warmup: "warm-up",
+  strength_or_skill: "strength or skill block",
+  metcon: "metcon",
+  accessory: "accessory block",
+  cooldown: "cooldown",
+};
+// Blocks built from another block's movements: the warm-up primes the strength piece and metcon, the
+// cooldown stretches what the session trained.
+const DERIVED_BLOCKS = {
+  strength_or_skill: ["warmup", "cooldown"],
+  metcon: ["warmup", "cooldown"],
+  accessory: ["cooldown"],
+};
+const BLOCK_NAMES = {
+  warmup: "warmup",
+  strength: "strength_or_skill",
+  skill: "strength_or_skill",
+  strengthorskill: "strength_or_skill",
+  metcon: "metcon",
+  wod: "metcon",
+  accessory: "accessory",
+  cooldown: "cooldown",
+};
+
+function sessionInLookback(session, cutoffOrdinalDay) {
+  const dateObj = parseIsoDate(String(session.date || ""));
+  return !dateObj || dateObj.ordinalDay >= cutoffOrdinalDay;
+}
+
+function normalizeHistory(rawHistory) {
+  if (!Array.isArray(rawHistory)) {
+    throw new InputError("History must be a JSON array.");
+  }
+  return rawHistory.filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry));
+}
+
+// Movements done inside the lookback, whose exact repeats are penalized, and every pattern's decayed
+// fatigue over the longer window `patternFatigue` reads.
+function recentContext(history, byName, lookbackDays, referenceOrdinalDay = todayOrdinalDay(), halfLives = {}) {
+  const cutoffOrdinalDay = referenceOrdinalDay - lookbackDays;
+  const recentMovements = new Set();
+
+  for (const session of history) {
+    if (!session || typeof session !== "object" || !sessionInLookback(session, cutoffOrdinalDay)) {
+      continue;
+    }
+
+    const sessionMovements = Array.isArray(session.movements) ? session.movements : [];
+    for (const movementName of sessionMovements) {
+      if (typeof movementName !== "string") {
+        continue;
+      }
+      const normalizedName = movementName.trim().toLowerCase();
+      if (normalizedName) {
+        recentMovements.add(normalizedName);
+      }
+    }
+  }
+
+  return { recentMovements, fatigue: patternFatigue(history, byName, referenceOrdinalDay, halfLives) };
+}
+
+// Each term of a movement's score, named so explain mode can show where it came from: goal match,
+// modality preference, the recent-repeat penalty, pattern fatigue, level fit, the intensity adjustment,
+// the recovery-modality penalty and the bonus for under-served patterns and modalities.
+function scoreBreakdown(movement, profile, recentMovements, fatigue, underServed = null) {
+  const terms = {
+    goal: 0,
+    modality: 0,
+    recent: 0,
+    fatigue: 0,
+    level: 0,
+    intensity: 0,
+    recovery: 0,
+    balance: 0,
+  };
+
+  const name = String(movement.name || "").trim().toLowerCase();
+  const modality = String(movement.modality || "").trim().toLowerCase();
+  const effects = asLowerSet(movement.effects || []);
+  const patterns = asLowerSet(movement.patterns || []);
+
+  if (effects.has(profile.goal)) {
+    terms.goal += 3.0;
+  }
+
+  if (profile.goal === "mixed" && effects.size >= 2) {
+    terms.goal += 1.0;
+  }
+
+  if (new Set(profile.preferred_modalities).has(modality)) {
+    terms.modality += 2.0;
+  }
+
+  if (recentMovements.has(name)) {
+    terms.recent -= 4.0;
+  }
+
+  for (const pattern of patterns) {
+    const entry = fatigue.get(pattern);
+    if (entry) {
+      terms.fatigue -= 1.3 * entry.score;
+    }
+  }
+
+  const levelRank = LEVEL_RANK[profile.fitness_level];
+  const movementLevel = LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
+  if (movementLevel === levelRank) {
+    terms.level += 1.0;
+  } else if (movementLevel < levelRank) {
+    terms.level += 0.4;
+  }
+
+  if (profile.intensity === "low") {
+    if (effects.has("power") || modality === "weightlifting") {
+      terms.intensity -= 1.0;
+    }
+  } else if (profile.intensity === "high") {
+    if (effects.has("power") || effects.has("engine")) {
+      terms.intensity += 1.0;
+    }
+  }
+
+  if (modality === "recovery") {
+    terms.recovery -= 2.5;
+  }
+
+  terms.balance += balanceBonus(movement, underServed);
+
+  return terms;
+}
+
+function scoreMovement(movement, profile, recentMovements, fatigue, underServed = null) {
+  const terms = scoreBreakdown(movement, profile, recentMovements, fatigue, underServed);
+  return Object.values(terms).reduce((total, value) => total + value, 0);
+}
+
+function rankCandidates(movements, profile, recentMovements, fatigue, underServed = null) {
+  const ranked = [];
+  for (const movement of movements) {
+    if (canDoMovement(movement, profile, recentMovements)) {
+      ranked.push([movement, scoreMovement(movement, profile, recentMovements, fatigue, underServed)]);
+    }
+  }
+
+  ranked.sort((left, right) => right[1] - left[1]);
+  return ranked;
+}
+
+// In explain mode, notes a draw from the top candidates; the block is filled in once it is built.
+function recordPick(rng, chosen, top, poolSize) {
+  if (rng.picks) {
+    rng.picks.push({
+      block: null,
+      movement: chosen.name,
+      rank: top.findIndex(([movement]) => movement === chosen) + 1,
+      pool_size: poolSize,
+      top: top.map(([movement]) => movement.name),
+    });
+  }
+}
+
+function pickBest(ranked, rng, usedNames, modalities = null, includeRecovery = false, accept = null) {
+  const filtered = [];
+  for (const [movement, score] of ranked) {
+    const name = String(movement.name || "").trim().toLowerCase();
+    const modality = String(movement.modality || "").trim().toLowerCase();
+
+    if (!includeRecovery && modality === "recovery") {
+      continue;
+    }
+    if (usedNames.has(name)) {
+      continue;
+    }
+    if (modalities && !modalities.has(modality)) {
+      continue;
+    }
+    if (accept && !accept(movement)) {
+      continue;
+    }
+
+    filtered.push([movement, score]);
+  }
+
+  if (filtered.length === 0) {
+    return null;
+  }
+
+  const top = filtered.slice(0, Math.min(8, filtered.length));
+  const chosen = rng.choice(top)[0];
+  usedNames.add(String(chosen.name || "").trim().toLowerCase());
+  recordPick(rng, chosen, top, filtered.length);
+  return chosen;
+}
+
+function baseBlockLengths(sessionMinutes) {
+  if (sessionMinutes <= 30) {
+    return { warmup: 6, strength: 6, metcon: 12, cooldown: 4 };
+  }
+  if (sessionMinutes <= 45) {
+    return { warmup: 8, strength: 10, metcon: 18, cooldown: 6 };
+  }
+  if (sessionMinutes <= 60) {
+    return { warmup: 10, strength: 12, metcon: 24, cooldown: 8 };
+  }
+  return { warmup: 12, strength: 15, metcon: 30, cooldown: 10 };
+}
+
+// An intended time domain moves minutes between the strength block and the metcon so the metcon lands
+// inside its range; a strength block left shorter than MIN_STRENGTH_MINUTES is dropped into the metcon.
+function sessionBlockLengths(sessionMinutes, stimulus = null) {
+  const blocks = baseBlockLengths(sessionMinutes);
+  const domain = stimulusTimeDomain(stimulus);
+  if (!domain) {
+    return blocks;
+  }
+  const shared = blocks.strength + blocks.metcon;
+  const metcon = Math.min(shared, domain.maxMinutes, Math.max(domain.minMinutes, blocks.metcon));
+  if (shared - metcon < MIN_STRENGTH_MINUTES) {
+    return { ...blocks, strength: 0, metcon: shared };
+  }
+  return { ...blocks, strength: shared - metcon, metcon };
+}
+
+// With an intended time domain, the goal's structures that suit it (or the domain's own when none do).
+function chooseWodType(profile, rng) {
+  if (profile.wod_type) {
+    return String(profile.wod_type);
+  }
+
+  // Structures that cannot carry the loading (a heavy Tabata) are left out of the draw.
+  const loading = stimulusLoading(profile.stimulus);
+  const carries = (type) => !loading || !loading.unsuitedTypes.includes(type);
+  const goalTypes = (GOAL_WOD_TYPES[profile.goal] || WOD_TYPES).filter(carries);
+  const domain = stimulusTimeDomain(profile.stimulus);
+  if (domain) {
+    const suited = goalTypes.filter((type) => domain.wodTypes.includes(type));
+    return rng.choice(suited.length > 0 ? suited : domain.wodTypes.filter(carries));
+  }
+  return rng.choice(goalTypes);
+}
+
+// The plan block a typed name ("Metcon", "warm-up", "Strength") refers to; null when none.
+function planBlock(name) {
+  const key = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  return Object.prototype.hasOwnProperty.call(BLOCK_NAMES, key) ? BLOCK_NAMES[key] : null;
+}
+
+// Built once the strength piece and metcon are known (see `buildWarmupBlock`). The easy cyclical opening
+// is the metcon's own when it has a beginner one, so the warm-up primes it; otherwise one is drawn. A
+// `required` movement opens it instead, and names in `avoid` are not primed.
+function buildWarmup(
+  ranked,
+  used,
+  rng,
+  profile,
+  minutes,
+  strengthOrSkill,
+  metcon,
+  byName,
+  required = null,
+  avoid = new Set(),
+) {
+  const standsAlone = (candidate) => contextViolations([candidate], profile.equipment_available).length === 0;
+  const isCyclical = (movement) => String(movement.modality || "").trim().toLowerCase() === "monostructural";
+
+  function pickCyclical() {
+    const warmupFiltered = [];
+    for (const [movement, score] of ranked) {
+      const name = String(movement.name || "").trim().toLowerCase();
+      const effects = asLowerSet(movement.effects || []);
+      if (used.has(name) || !isCyclical(movement)) {
+        continue;
+      }
+      if (effects.has("power") || effects.has("mental") || !standsAlone(movement)) {
+        continue;
+      }
+      warmupFiltered.push([movement, score]);
+    }
+
+    if (warmupFiltered.length === 0) {
+      return pickBest(ranked, rng, used, new Set(["monostructural"]), false, standsAlone);
+    }
+
+    const top = warmupFiltered.slice(0, Math.min(8, warmupFiltered.length));
+    const chosen = rng.choice(top)[0];
+    used.add(String(chosen.name || "").trim().toLowerCase());
+    recordPick(rng, chosen, top, warmupFiltered.length);
+    return chosen;
+  }
+
+  const primed =
+    metcon.type === "active_recovery"
+      ? null
+      : metcon.movements
+          .map((name) => byName.get(name.toLowerCase()))
+          .find(
+            (movement) =>
+              movement &&
+              isCyclical(movement) &&
+              String(movement.difficulty || "").toLowerCase() === "beginner" &&
+              !avoid.has(movement.name.toLowerCase()),
+          );
+  const cyclical = required || primed || pickCyclical();
+  const cyclicalName = cyclical ? cyclical.name : "easy cardio";
+  return buildWarmupBlock(minutes, cyclicalName, strengthOrSkill, metcon, byName, profile.fitness_level);
+}
+
+function buildStrengthOrSkillBlock(
+  ranked,
+  used,
+  rng,
+  profile,
+  minutes,
+  history = [],
+  referenceDay = todayOrdinalDay(),
+  readiness = null,
+  required = null,
+) {
+  const goal = profile.goal;
+  const level = profile.fitness_level;
+
+  if (goal === "engine" && profile.session_minutes <= 35) {
+    return null;
+  }
+
+  let focus = "strength";
+  let modalities = new Set(["weightlifting", "odd-object"]);
+  if (goal === "skill") {
+    focus = "skill";
+    modalities = new Set(["gymnastics", "weightlifting"]);
+  }
+
+  const standsAlone = (candidate) => contextViolations([candidate], profile.equipment_available).length === 0;
+
+  // A required movement is used as it is; a strength goal follows its logged lifts instead of drawing a
+  // new one each session.
+  let movement = required;
+  if (!movement && goal === "strength") {
+    const candidates = ranked
+      .map(([candidate]) => candidate)
+      .filter(
+        (candidate) =>
+          modalities.has(String(candidate.modality || "").trim().toLowerCase()) &&
+          !used.has(String(candidate.name || "").trim().toLowerCase()) &&
+          standsAlone(candidate),
+      );
+    movement = dueLift(candidates, history, referenceDay);
+    if (movement) {
+      used.add(movement.name.trim().toLowerCase());
+    }
+  }
+  if (!movement) {
+    movement = pickBest(ranked, rng, used, modalities, false, standsAlone);
+  }
+  if (!movement) {
+    return null;
+  }
+
+  const movementName = movement.name;
+  const scheme = STRENGTH_SCHEMES[level];
+  const estimate =
+    focus === "strength" && requiredEquipmentSet(movement).has("barbell")
+      ? estimateOneRepMax(movementName, profile.one_rep_max)
+      : null;
+
+  const progression =
+    focus === "strength"
+      ? progressLift(movement, profile, liftLog(history, movementName, referenceDay), referenceDay)
+      : null;
+  // Lifts that touch an injured region are eased below the scheme, and a low readiness takes RPE points
+  // off the target with the load that goes with them; skill work is already submaximal.
+  const ease = focus === "strength" ? injuryEase(movement, profile) : null;
+  const rpeDrop = focus === "strength" && readiness ? readiness.rpeDrop : 0;
+  const factor = (ease ? ease.factor : 1) * (1 - RPE_LOAD_STEP * rpeDrop);
+  const effort = lowerRpe(scheme.effort, rpeDrop);
+
+  let prescription = "";
+  let sets = null;
+  if (focus === "skill") {
+    prescription = `E2MOM x ${Math.max(8, minutes)}: 2-4 quality reps ${movementName} + technical drill between sets`;
+  } else if (progression) {
+    const today = progression.today;
+    const loadKg = factor !== 1 ? roundLoad(today.load_kg * factor) : today.load_kg;
+    const percent = estimate ? Math.round((loadKg / estimate.kg) * 1000) / 10 : null;
+    sets = Array.from({ length: today.sets }, () => ({ reps: today.reps, percent, load_kg: loadKg }));
+    prescription =
+      `${movementName}: ${today.sets} x ${today.reps} @ ${loadKg} kg, ${effort}, ${scheme.rest} ` +
+      `(${progression.note})`;
+  } else if (estimate) {
+    sets = scheme.percents.map((schemePercent) => {
+      const percent = Math.round(schemePercent * factor * 10) / 10;
+      return { reps: scheme.reps, percent, load_kg: roundLoad((estimate.kg * percent) / 100) };
+    });
+    prescription =
+      `${movementName}: ${sets.length} x ${scheme.reps} @ ${sets.map((set) => set.percent).join("/")}% ` +
+      `of ${describeOneRepMax(estimate)} (${sets.map((set) => set.load_kg).join("/")} kg), ${scheme.rest}`;
+  } else if (level === "advanced") {
+    prescription = `${movementName}: ${scheme.percents.length} x ${scheme.reps} ${effort}, ${scheme.rest}`;
+  } else {
+    prescription = `${movementName}: ${scheme.percents.length} x ${scheme.reps} @ ${effort}, ${scheme.rest}`;
+  }
+  if (ease) {
+    prescription += `, ${describeEase(ease)}`;
+  }
+  if (rpeDrop) {
+    prescription += `, eased ${Math.round(RPE_LOAD_STEP * rpeDrop * 100)}% for readiness (RPE -${rpeDrop})`;
+  }
+
+  return {
+    focus,
+    duration_min: minutes,
+    movement: movementName,
+    prescription,
+    one_rep_max: estimate,
+    sets,
+    progression,
+  };
+}
+
+// Swaps out movements that break the piece's context, never those named in `pinned`.
+function resolvePieceCoherence(pieceMovements, ranked, used, rng, profile, accept = null, pinned = new Set()) {
+  const eligible = new Map(
+    ranked.map(([movement]) => [String(movement.name || "").trim().toLowerCase(), movement]),
+  );
+  const resolved = [...pieceMovements];
+  const substitutions = [];
+
+  for (let attempt = 0; attempt < pieceMovements.length * 2; attempt += 1) {
+    const violations = contextViolations(resolved, profile.equipment_available);
+    if (violations.length === 0) {
+      break;
+    }
+
+    const violation = violations.find((item) => !pinned.has(item.movement));
+    if (!violation) {
+      throw new ConstraintError(`The required metcon movements cannot share one piece: ${violations[0].reason}.`);
+    }
+    const offender = resolved.find((movement) => movement.name === violation.movement);
+    const index = resolved.indexOf(offender);
+    const fitsPiece = (candidate) => {
+      if (accept && !accept(candidate)) {
+        return false;
+      }
+      const trial = [...resolved];
+      trial[index] = candidate;
+      return !contextViolations(trial, profile.equipment_available).some(
+        (violation) => violation.movement === candidate.name,
+      );
+    };
+
+    let replacement = null;
+    for (const fallbackName of asLowerSet(offender.context_fallbacks || [])) {
+      const candidate = eligible.get(fallbackName);
+      if (candidate && !used.has(fallbackName) && fitsPiece(candidate)) {
+        replacement = candidate;
+        used.add(fallbackName);
+        break;
+      }
+    }
+    if (!replacement) {
+      const modality = String(offender.modality || "").trim().toLowerCase();
+      replacement = pickBest(ranked, rng, used, new Set([modality]), false, fitsPiece);
+    }
+
+    if (replacement) {
+      resolved[index] = replacement;
+    } else {
+      resolved.splice(index, 1);
+    }
+    substitutions.push({
+      movement: offender.name,
+      replacement: replacement ? replacement.name : null,
+      reason: violation.reason,
+    });
+  }
+
+  return { movements: resolved, substitutions };
+}
+
+// Picks the structure's movements: its modality groups in order, then extras up to its count, then
+// context fixes. `required` movements take the first groups of their modality (or the places left)
+// instead of a draw. Returns null when fewer than the structure's minimum fit, leaving `used` untouched.
+function pickMetconMovements(ranked, used, rng, profile, structure, minutes, stationFits, required = []) {
+  const pieceUsed = new Set(used);
+  const count = structure.count(profile, minutes);
+  const open = [...required];
+  const metconMovements = [];
+  for (const modalityGroup of stimulusGroups(structure.groups, count, profile.stimulus)) {
+    const claimed = open.findIndex((movement) =>
+      modalityGroup.includes(String(movement.modality || "").trim().toLowerCase()),
+    );
+    if (claimed >= 0) {
+      metconMovements.push(...open.splice(claimed, 1));
+      continue;
+    }
+    if (metconMovements.length + open.length >= count) {
+      continue;
+    }
+    const choice = pickBest(ranked, rng, pieceUsed, new Set(modalityGroup), false, stationFits);
+    if (choice) {
+      metconMovements.push(choice);
+    }
+  }
+  metconMovements.push(...open);
+
+  while (metconMovements.length < count) {
+    const extra = pickBest(ranked, rng, pieceUsed, new Set(structure.extras), false, stationFits);
+    if (!extra) {
+      break;
+    }
+    metconMovements.push(extra);
+  }
+
+  const pinned = new Set(required.map((movement) => movement.name));
+  const coherence = resolvePieceCoherence(metconMovements, ranked, pieceUsed, rng, profile, stationFits, pinned);
+  if (coherence.movements.length < Math.max(1, structure.minimum)) {
+    return null;
+  }
+  pieceUsed.forEach((name) => used.add(name));
+  return coherence;
+}
+
+// The profile's `stimulus` shapes the piece: its structure, station count, volumes, loads and which
+// candidates rank first. `required` movements are stations whatever the draw.
+function buildMetcon(ranked, used, rng, profile, minutes, accept = null, volumeFactor = 1, required = []) {
+  let wodType = chooseWodType(profile, rng);
+  const level = profile.fitness_level;
+  const stimulus = profile.stimulus;
+  const stationFitsType = (type) => (movement) =>
+    (!accept || accept(movement)) &&
+    (!STRUCTURES[type].units || STRUCTURES[type].units.includes(repTarget(movement, level).unit)) &&
+    (type !== "emom" || emomStationVolume(movement, level, stimulus) !== null);
+
+  // A drawn structure the required movements do not fit gives way to an AMRAP; a requested one does not.
+  const fitsRequired = (type) =>
+    required.length <= STRUCTURES[type].count(profile, minutes) && required.every(stationFitsType(type));
+  if (!fitsRequired(wodType) && !profile.wod_type) {
+    wodType = "amrap";
+  }
+  if (!fitsRequired(wodType)) {
+    const names = required.map((movement) => movement.name).join(", ");
+    throw new ConstraintError(
+      `${names} cannot ${required.length > 1 ? "all be stations" : "be a station"} of a ${minutes}-minute ` +
+        `${STRUCTURE_LABELS[wodType].toLowerCase()}; require fewer or pick another wod_type.`,
+    );
+  }
+
+  const metconRanked = stimulusRanking(ranked, stimulus);
+  const pick = (type) =>
+    pickMetconMovements(
+      metconRanked,
+      used,
+      rng,
+      profile,
+      STRUCTURES[type],
+      minutes,
+      stationFitsType(type),
+      required,
+    );
+  let coherence = pick(wodType);
+  if (!coherence && !profile.wod_type && wodType !== "amrap") {
+    // A seeded pick the constraints cannot fill falls back to an AMRAP; a requested structure does not.
+    wodType = "amrap";
+    coherence = pick(wodType);
+  }
+  if (!coherence || coherence.movements.length === 0) {
+    const structure = STRUCTURES[wodType];
+    throw new ConstraintError(
+      structure.minimum > 1
+        ? `A ${STRUCTURE_LABELS[wodType].toLowerCase()} needs ${structure.minimum} eligible metcon movements; ` +
+            "relax constraints or pick another wod_type."
+        : "No eligible movements remain for metcon after constraints.",
+    );
+  }
+  const metconMovements = coherence.movements;
+
+  // Stations that touch an injured region do less of the same work, as does every station on a
+  // low-readiness day. Rep schemes and Death-By steps are shared by every station, so there the load
+  // alone is eased.
+  const volumePlan = planMetconVolume(wodType, metconMovements, minutes, level, stimulus);
+  if (!volumePlan.repScheme && !volumePlan.increment) {
+    volumePlan.entries = volumePlan.entries.map((entry) => {
+      const ease = injuryEase(entry.movement, profile);
+      const factor = (ease ? ease.factor : 1) * volumeFactor;
+      return factor !== 1 ? { ...entry, volume: scaleVolume(entry.volume, factor) } : entry;
+    });
+  }
+  const loading = stimulus ? stimulus.loading : null;
+  const loads = metconMovements.map((movement) => metconLoad(movement, profile, loading));
+  const stations = volumePlan.entries.map((entry, idx) =>
+    describeStation(entry.volume, entry.movement.name, loads[idx] ? loads[idx].label : null),
+  );
+  const description = describeMetcon(wodType, volumePlan, stations, minutes);
+
+  return {
+    type: wodType,
+    duration_min: minutes,
+    movements: metconMovements.map((movement) => movement.name),
+    description,
+    volume: volumePlan.entries.map((entry) => ({
+      movement: entry.movement.name,
+      amount: entry.volume.amount,
+      unit: entry.volume.unit,
+      prescription: formatVolume(entry.volume),
+    })),
+    rounds: volumePlan.rounds || null,
+    emom_minutes: volumePlan.emomMinutes || null,
+    interval_min: volumePlan.intervalMin || null,
+    rep_scheme: volumePlan.repScheme || null,
+    increment: volumePlan.increment || null,
+    work_sec: volumePlan.workSec || null,
+    rest_sec: volumePlan.restSec || null,
+    break_sec: volumePlan.breakSec || null,
+    expected_rounds: volumePlan.expectedRounds ? Math.round(volumePlan.expectedRounds * 10) / 10 : null,
+    estimated_duration_min: Math.round(volumePlan.estimatedSec / 6) / 10,
+    loads: loads.filter(Boolean),
+    context_substitutions: coherence.substitutions,
+  };
+}
+
+// A very-low-readiness day: easy cyclical work at conversational pace, then mobility rounds, in place of
+// the strength block and the metcon.
+function buildActiveRecovery(ranked, used, rng, profile, minutes) {
+  const level = profile.fitness_level;
+  const cyclical = pickBest(
+    ranked,
+    rng,
+    used,
+    new Set(["monostructural"]),
+    false,
+    (movement) => repTarget(movement, level).unit !== "rep",
+  );
+  const mobility = [
+    pickBest(ranked, rng, used, new Set(["recovery"]), true),
+    pickBest(ranked, rng, used, new Set(["recovery"]), true),
+  ].filter(Boolean);
+
+  const steadyMin = mobility.length > 0 ? Math.max(10, Math.round(minutes * 0.6)) : minutes;
+  const steadyName = cyclical ? cyclical.name : "Brisk walk";
+  const rounds = Math.max(1, Math.floor(((minutes - steadyMin) * 60) / (90 * mobility.length || 1)));
+  const volume = [
+    { movement: steadyName, amount: steadyMin * 60, unit: "second", prescription: `${steadyMin} min` },
+    ...mobility.map((movement) => ({
+      movement: movement.name,
+      amount: 45,
+      unit: "second",
+      prescription: "45 sec per side",
+    })),
+  ];
+  const mobilityLine = mobility.map((movement) => `45 sec per side ${movement.name}`).join(", ");
+
+  return {
+    type: "active_recovery",
+    duration_min: minutes,
+    movements: volume.map((entry) => entry.movement),
+    description:
+      `${steadyMin} min easy ${steadyName} at conversational pace` +
+      (mobility.length > 0 ? `, then ${rounds} rounds: ${mobilityLine}` : ""),
+    volume,
+    rounds: mobility.length > 0 ? rounds : null,
+    emom_minutes: null,
+    interval_min: null,
+    rep_scheme: null,
+    increment: null,
+    work_sec: null,
+    rest_sec: null,
+    break_sec: null,
+    expected_rounds: null,
+    estimated_duration_min: minutes,
+    loads: [],
+    context_substitutions: [],
+  };
+}
+
+// The patterns the session loaded pick the stretches: each recovery movement scores the day's hits on the
+// patterns it `relieves` (hips after hinging, lats and T-spine after overhead work). The pool is shuffled
+// first so equal scores vary by seed. `required` stretches come first and the best-scored fill the rest.
+function buildCooldown(movements, rng, minutes, profile, trained, required = []) {
+  const hits = new Map();
+  for (const movement of trained) {
+    asLowerSet(movement.patterns || []).forEach((pattern) => incrementCounter(hits, pattern));
+  }
+  const relieved = (movement) =>
+    Array.from(asLowerSet(movement.relieves || [])).filter((pattern) => hits.has(pattern));
+  const recoveryPool = movements.filter(
+    (movement) =>
+      String(movement.modality || "").toLowerCase() === "recovery" &&
+      !required.includes(movement) &&
+      canDoMovement(movement, profile, new Set()),
+  );
+  rng.shuffle(recoveryPool);
+  const score = (movement) => relieved(movement).reduce((total, pattern) => total + hits.get(pattern), 0);
+  const selected = [
+    ...required,
+    ...recoveryPool
+      .map((movement) => [movement, score(movement)])
+      .sort((left, right) => right[1] - left[1])
+      .slice(0, Math.max(0, (minutes >= 10 ? 3 : 2) - required.length))
+      .map(([movement]) => movement),
+  ];
+
+  let items = [];
+  let movementNames = [];
+  if (selected.length < 2) {
+    items = [
+      "2 min easy breathing walk",
+      "2 x 45 sec per side hip opener",
+      "2 x 45 sec thoracic opener",
+    ];
+    movementNames = ["Breathing walk", "Hip opener", "Thoracic opener"];
+  } else {
+    items = [
+      ...selected.map((movement) => `2 x 45 sec per side ${movement.name}`),
+      "2 min down-regulation breathing",
+    ];
+    movementNames = [...selected.map((movement) => movement.name), "Down-regulation breathing"];
+  }
+  const targets = Array.from(new Set(selected.flatMap(relieved))).sort(
+    (left, right) => hits.get(right) - hits.get(left) || left.localeCompare(right),
+  );
+
+  return {
+    duration_min: minutes,
+    movements: movementNames,
+    items,
+    targets,
+  };
+}
+
+// Unilateral, midline and posterior-chain work at a controlled tempo, as many rounds as fit the minutes.
+// A `required` movement covers the focus of its primary pattern, or is done on top of the draws.
+function buildAccessory(ranked, used, rng, profile, minutes, required = []) {
+  const level = profile.fitness_level;
+  const standsAlone = (candidate) => contextViolations([candidate], profile.equipment_available).length === 0;
+  const open = [...required];
+  const picks = [];
+  for (const { focus, patterns } of ACCESSORY_FOCUS) {
+    const inFocus = (candidate) => patterns.includes(String((candidate.patterns || [])[0] || "").toLowerCase());
+    const claimed = open.findIndex(inFocus);
+    if (claimed >= 0) {
+      picks.push({ focus, movement: open.splice(claimed, 1)[0] });
+      continue;
+    }
+    if (picks.length + open.length >= ACCESSORY_FOCUS.length) {
+      continue;
+    }
+    const fitsFocus = (candidate) =>
+      inFocus(candidate) &&
+      String(candidate.difficulty || "").toLowerCase() !== "advanced" &&
+      !asLowerSet(candidate.effects || []).has("power") &&
+      standsAlone(candidate);
+    const movement = pickBest(ranked, rng, used, ACCESSORY_MODALITIES, false, fitsFocus);
+    if (movement) {
+      picks.push({ focus, movement });
+    }
+  }
+  picks.push(...open.map((movement) => ({ focus: null, movement })));
+  if (picks.length === 0) {
+    return null;
+  }
+
+  const entries = picks.map(({ movement }) => ({
+    movement,
+    volume:
+      movement.pace && movement.pace.unit === "second"
+        ? { amount: ACCESSORY_HOLD_SEC, unit: "second" }
+        : repTarget(movement, level),
+  }));
+  const rounds = Math.max(2, Math.floor((minutes * 60) / (roundSeconds(entries, level) + ACCESSORY_REST_SEC)));
+  const stations = entries.map(({ movement, volume }) => {
+    const load = metconLoad(movement, profile);
+    return describeStation(volume, movement.name, load ? load.label : null).line;
+  });
+  return {
+    duration_min: minutes,
+    focus: picks.map((pick) => pick.focus).filter(Boolean),
+    movements: picks.map((pick) => pick.movement.name),
+    rounds,
+    items: [`${rounds} rounds at a controlled tempo, ${ACCESSORY_REST_SEC} sec rest between rounds`, ...stations],
+  };
+}
+
+// Each note also names the closest swap the athlete can do (never another movement of the session),
+// sized to the same time when the metcon gives that station a fixed volume. Rep-scheme and Death-By
+// stations keep their reps, so their swap has to count the same unit. An active-recovery day keeps its
+// easy minutes, so its swaps stay in the same modality and are not sized.
+function buildScalingNotes(chosenMovements, byName, profile, movements, metcon) {
+  const level = profile.fitness_level;
+  const excluded = new Set(chosenMovements.map((name) => String(name || "").toLowerCase()));
+  const volumes = new Map((metcon.volume || []).map((entry) => [entry.movement.toLowerCase(), entry]));
+  const stepped = Boolean(metcon.rep_scheme || metcon.increment);
+  const recoveryDay = metcon.type === "active_recovery";
+  const modalityOf = (movement) => String(movement.modality || "").toLowerCase();
+
+  const notes = [];
+  for (const movementName of chosenMovements) {
+    const movement = byName.get(String(movementName || "").toLowerCase());
+    if (!movement) {
+      continue;
+    }
+
+    // The nearest step each way along the movement's scaling progression; a hold without one scales
+    // its time.
+    const unit = repTarget(movement, level).unit;
+    const hold = unit === "second";
+    const [easierStep] = scalingSteps(movement, "easier");
+    const [harderStep] = scalingSteps(movement, "harder");
+    const easier = easierStep
+      ? easierStep.name
+      : hold
+        ? "Shorten the hold and ease off the end range"
+        : "Reduce reps and use controlled tempo";
+    const harder = harderStep ? harderStep.name : hold ? "Lengthen the hold" : "Increase load or reduce rest";
+
+    const station = volumes.get(movement.name.toLowerCase());
+    let accept = null;
+    if (station && recoveryDay) {
+      accept = (candidate) => modalityOf(candidate) === modalityOf(movement);
+    } else if (station && stepped) {
+      accept = (candidate) => repTarget(candidate, level).unit === unit;
+    }
+    const [swap] = rankSubstitutes(movement, profile, movements, {
+      excluded,
+      accept,
+      volume: station && !stepped && !recoveryDay ? { amount: station.amount, unit: station.unit } : null,
+    });
+
+    notes.push({
+      movement: movementName,
+      easier,
+      harder,
+      swap: swap
+        ? `${swap.volume ? `${formatVolume(swap.volume)} ` : ""}${swap.movement.name}` +
+          `${station && swap.load ? ` @ ${swap.load.label}` : ""}`
+        : null,
+    });
+  }
+  return notes;
+}
+
+// The profile as today's readiness leaves it: intensity stepped down by the band, and regions sore enough
+// to matter eased like mild injuries.
+function readinessProfile(profile, readiness) {
+  if (!readiness) {
+    return profile;
+  }
+  const intensity = INTENSITIES[Math.max(0, INTENSITIES.indexOf(profile.intensity) - readiness.intensitySteps)];
+  const injured = new Set(profile.limitations.injuries.map((injury) => injury.region));
+  const sore = readiness.soreRegions
+    .filter((region) => !injured.has(region))
+    .map((region) => ({ region, side: null, severity: "mild" }));
+  return {
+    ...profile,
+    intensity,
+    limitations: { ...profile.limitations, injuries: [...profile.limitations.injuries, ...sore] },
+  };
+}
+
+// The profile with movements excluded for this run only added to its `avoid_movements`.
+function excludeMovements(profile, names) {
+  if (names.size === 0) {
+    return profile;
+  }
+  const avoid = new Set([...profile.limitations.avoid_movements, ...names]);
+  return { ...profile, limitations: { ...profile.limitations, avoid_movements: Array.from(avoid).sort() } };
+}
+
+// The library movements `require` names per block, checked against the block and the athlete. Names a
+// block cannot take are input errors; movements the athlete cannot do today are constraint errors.
+function requiredMovements(require, byName, profile, recentMovements) {
+  const required = Object.fromEntries(PLAN_BLOCKS.map((block) => [block, []]));
+  const seen = new Map();
+  for (const [block, names] of Object.entries(require || {})) {
+    if (!PLAN_BLOCKS.includes(block)) {
+      throw new InputError(`Unknown plan block: ${block} (expected ${PLAN_BLOCKS.join(", ")}).`);
+    }
+    for (const name of names) {
+      const movement = byName.get(String(name).trim().toLowerCase());
+      if (!movement) {
+        throw new InputError(`Unknown movement required in the ${BLOCK_LABELS[block]}: ${name}`);
+      }
+      const key = movement.name.toLowerCase();
+      if (seen.has(key)) {
+        if (seen.get(key) !== block) {
+          const blocks = `the ${BLOCK_LABELS[seen.get(key)]} and the ${BLOCK_LABELS[block]}`;
+          throw new InputError(`${movement.name} is required in both ${blocks}.`);
+        }
+        continue;
+      }
+      seen.set(key, block);
+      required[block].push(movement);
+    }
+  }
+
+  for (const block of ["warmup", "strength_or_skill"]) {
+    if (required[block].length > 1) {
+      const count = required[block].length;
+      throw new InputError(`The ${BLOCK_LABELS[block]} takes one movement; ${count} are required.`);
+    }
+  }
+  const modality = (movement) => String(movement.modality || "").trim().toLowerCase();
+  for (const movement of required.warmup) {
+    if (modality(movement) !== "monostructural") {
+      throw new InputError(`The warm-up opens with cyclical work; ${movement.name} is not monostructural.`);
+    }
+  }
+  for (const movement of required.strength_or_skill) {
+    if (modality(movement) === "monostructural") {
+      throw new InputError(`The strength or skill block takes a lift or a skill, not ${movement.name}.`);
+    }
+  }
+  for (const movement of required.cooldown) {
+    if (modality(movement) !== "recovery") {
+      throw new InputError(`The cooldown takes recovery movements; ${movement.name} is ${modality(movement)}.`);
+    }
+  }
+  for (const block of ["strength_or_skill", "metcon", "accessory"]) {
+    const recovery = required[block].find((movement) => modality(movement) === "recovery");
+    if (recovery) {
+      throw new InputError(`${recovery.name} is a recovery movement; require it in the cooldown.`);
+    }
+  }
+
+  for (const [block, movements] of Object.entries(required)) {
+    for (const movement of movements) {
+      const exclusion = exclusionReason(movement, profile, block === "cooldown" ? new Set() : recentMovements);
+      if (exclusion) {
+        throw new ConstraintError(`${movement.name} cannot be required today: ${exclusion.detail}.`);
+      }
+    }
+  }
+  return required;
+}
+
+// Options that rebuild `plan` with only `block` drawn again: every other block is kept as it was, the
+// block's stream moves on to its next reroll and the movements it had are avoided. Blocks built from it
+// (`DERIVED_BLOCKS`) are rebuilt from their own streams so they prepare and cool down the new piece.
+function rerollOptions(plan, block) {
+  const rerolls = { ...(plan.rerolls || {}) };
+  rerolls[block] = (rerolls[block] || 0) + 1;
+  const rebuilt = [block, ...(DERIVED_BLOCKS[block] || [])];
+  const keep = Object.fromEntries(
+    PLAN_BLOCKS.filter((name) => !rebuilt.includes(name)).map((name) => [name, plan[name] || null]),
+  );
+  const previous = plan[block];
+  const avoid = previous
+    ? block === "strength_or_skill"
+      ? [previous.movement]
+      : previous.movements || []
+    : [];
+  return { keep, rerolls, avoid };
+}
+
+function readinessSummary(readiness, profile, dayProfile, strengthOrSkill, metcon) {
+  if (!readiness) {
+    return null;
+  }
+  const changes = [];
+  if (dayProfile.intensity !== profile.intensity) {
+    changes.push(`intensity ${profile.intensity} → ${dayProfile.intensity}`);
+  }
+  if (metcon.type === "active_recovery") {
+    changes.push("active recovery in place of strength and metcon");
+  } else if (readiness.activeRecovery) {
+    changes.push(`${metcon.benchmark ? "benchmark" : "metcon"} kept as requested; active recovery advised`);
+  }
+  if (readiness.volumeFactor < 1 && !metcon.benchmark && !metcon.rep_scheme && !metcon.increment) {
+    changes.push(`metcon volume -${Math.round((1 - readiness.volumeFactor) * 100)}%`);
+  }
+  if (readiness.rpeDrop && strengthOrSkill && strengthOrSkill.focus === "strength") {
+    const loadDrop = Math.round(RPE_LOAD_STEP * readiness.rpeDrop * 100);
+    changes.push(`strength RPE -${readiness.rpeDrop}, load -${loadDrop}%`);
+  }
+  for (const injury of dayProfile.limitations.injuries.slice(profile.limitations.injuries.length)) {
+    changes.push(`sore ${injury.region.replace(/-/g, " ")} eased like a mild injury`);
+  }
+  return {
+    score: readiness.score,
+    band: readiness.band,
+    factors: readiness.factors,
+    intensity: dayProfile.intensity,
+    active_recovery: metcon.type === "active_recovery",
+    changes,
+  };
+}
+
+// Tags the draws a block just made with the block's name.
+function labelPicks(rng, block) {
+  for (const pick of rng.picks || []) {
+    if (pick.block === null) {
+      pick.block = block;
+    }
+  }
+}
+
+// Why each library movement is or is not a candidate today: the exclusion reason, or the score terms,
+// total and rank; plus the block it ended up in and every draw made from the top candidates. `placed`
+// maps lower-cased movement names to blocks.
+function buildExplanation(movements, profile, context, ranked, picks, placed) {
+  const { recentMovements, fatigue, underServed } = context;
+  const round2 = (value) => Math.round(value * 100) / 100;
+  const rankOf = new Map(ranked.map(([movement], idx) => [movement, idx + 1]));
+  const entries = movements.map((movement) => {
+    const key = String(movement.name || "").trim().toLowerCase();
+    const exclusion = exclusionReason(movement, profile, recentMovements);
+    const terms = exclusion ? null : scoreBreakdown(movement, profile, recentMovements, fatigue, underServed);
+    return {
+      movement: movement.name,
+      status: exclusion ? "excluded" : "candidate",
+      reason: exclusion ? exclusion.reason : null,
+      detail: exclusion ? exclusion.detail : null,
+      rank: rankOf.get(movement) || null,
+      score: terms ? round2(scoreMovement(movement, profile, recentMovements, fatigue, underServed)) : null,
+      breakdown: terms
+        ? Object.fromEntries(Object.entries(terms).map(([term, value]) => [term, round2(value)]))
+        : null,
+      block: placed.get(key) || null,
+    };
+  });
+  entries.sort(
+    (left, right) =>
+      (left.rank || Infinity) - (right.rank || Infinity) ||
+      String(left.reason).localeCompare(String(right.reason)) ||
+      left.movement.localeCompare(right.movement),
+  );
+
+  return {
+    candidates: ranked.length,
+    excluded: movements.length - ranked.length,
+    movements: entries,
+    picks: picks.map((pick) => ({ ...pick, in_plan: placed.has(pick.movement.toLowerCase()) })),
+  };
+}
+
+function buildPlan(profile, history, movements, lookbackDays, seed, options = {}) {
+  const rng = new SeededRng(seed);
+  if (options.explain) {
+    rng.picks = [];
+  }
+  // Each block draws from its own stream, so a reroll of one block (a new stream for it alone) leaves
+  // every other block as it was.
+  const rerolls = options.rerolls || {};
+  const streamFor = (block) => rng.stream(rerolls[block] ? `${block}/${rerolls[block]}` : block);
+  // Blocks carried over from an earlier plan are used as they are.
+  const keep = options.keep || {};
+  const kept = (block) => Object.prototype.hasOwnProperty.call(keep, block);
+  const referenceDay = Number.isInteger(options.referenceDay) ? options.referenceDay : todayOrdinalDay();
+
+  const byName = movementMap(movements);
+  const { recentMovements, fatigue } = recentContext(
+    history,
+    byName,
+    lookbackDays,
+    referenceDay,
+    profile.fatigue_half_lives,
+  );
+  // Today's readiness check-in adjusts the profile every block is built from; `plan.profile` stays the
+  // athlete's own.
+  const readiness = assessReadiness(profile.readiness);
+  const dayProfile = excludeMovements(readinessProfile(profile, readiness), asLowerSet(options.exclude || []));
+  // With `balance_bonus`, movements that train what the last weeks neglected score higher.
+  const underServed = profile.balance_bonus ? underServedAreas(history, byName, referenceDay) : null;
+  const ranked = rankCandidates(movements, dayProfile, recentMovements, fatigue, underServed);
+
+  if (ranked.length === 0) {
+    throw new ConstraintError(
+      "No movements match the current equipment/level/limitations. Relax constraints and retry.",
+    );
+  }
+
+  const blocks = sessionBlockLengths(profile.session_minutes, profile.stimulus);
+  // Accessory work for injured regions takes a quarter of the metcon's time.
+  const rehab = buildRehabBlock(dayProfile, Math.round(blocks.metcon / 4));
+  if (rehab) {
+    blocks.metcon -= rehab.duration_min;
+  }
+  // Required movements are held back from every draw, as are the kept blocks' movements and those a
+  // rerolled block had (`avoid`).
+  const required = requiredMovements(options.require, byName, dayProfile, recentMovements);
+  const avoid = asLowerSet(options.avoid || []);
+  const used = new Set(avoid);
+  Object.values(required).forEach((list) => list.forEach((movement) => used.add(movement.name.toLowerCase())));
+  for (const [block, value] of Object.entries(keep)) {
+    const names = !value ? [] : block === "strength_or_skill" ? [value.movement] : value.movements || [];
+    names.forEach((name) => used.add(String(name).toLowerCase()));
+  }
+  const missingBlock = (block, value) => {
+    if (!value && required[block].length > 0) {
+      const names = required[block].map((movement) => movement.name).join(", ");
+      throw new ConstraintError(`This session has no ${BLOCK_LABELS[block]} for ${names}.`);
+    }
+  };
+  // A prebuilt metcon (a benchmark) claims its movements first; when it outgrows the metcon block it
+  // takes the strength block's time as well. A kept metcon stands in the same way.
+  const fixedMetcon = options.metcon || (kept("metcon") ? keep.metcon : null);
+  if (fixedMetcon) {
+    fixedMetcon.movements.forEach((name) => used.add(name.toLowerCase()));
+  }
+  // A metcon the run asks for by movement or WOD type is kept on a low-readiness day, like a benchmark.
+  const wodType = (options.wodTypes || {}).metcon || null;
+  const metconRequested = Boolean(fixedMetcon || wodType || required.metcon.length > 0);
+  const activeRecovery = fixedMetcon
+    ? fixedMetcon.type === "active_recovery"
+    : Boolean(readiness && readiness.activeRecovery && !metconRequested);
+
+  const strengthOrSkill = kept("strength_or_skill")
+    ? keep.strength_or_skill
+    : activeRecovery || blocks.strength === 0 || (fixedMetcon && fixedMetcon.duration_min > blocks.metcon)
+      ? null
+      : buildStrengthOrSkillBlock(
+          ranked,
+          used,
+          streamFor("strength_or_skill"),
+          dayProfile,
+          blocks.strength,
+          history,
+          referenceDay,
+          readiness,
+          required.strength_or_skill[0] || null,
+        );
+  missingBlock("strength_or_skill", strengthOrSkill);
+  labelPicks(rng, "strength_or_skill");
+  let metcon = fixedMetcon;
+  if (activeRecovery && !metcon) {
+    metcon = buildActiveRecovery(ranked, used, streamFor("metcon"), dayProfile, blocks.strength + blocks.metcon);
+  } else if (!metcon) {
+    const volumeFactor = readiness ? readiness.volumeFactor : 1;
+    metcon = buildMetcon(
+      ranked,
+      used,
+      streamFor("metcon"),
+      wodType ? { ...dayProfile, wod_type: wodType } : dayProfile,
+      blocks.metcon,
+      options.metconFilter || null,
+      volumeFactor,
+      required.metcon,
+    );
+  }
+  labelPicks(rng, "metcon");
+  // Minutes the main blocks leave over go to accessory work, unless the profile turns it off. They are
+  // counted from the blocks as built, so a strength block that gave way to the metcon frees its minutes.
+  const builtMinutes = [strengthOrSkill, metcon, rehab].reduce(
+    (total, block) => total + (block ? block.duration_min : 0),
+    blocks.warmup + blocks.cooldown,
+  );
+  const spareMinutes = profile.session_minutes - builtMinutes;
+  const accessory = kept("accessory")
+    ? keep.accessory
+    : !activeRecovery && dayProfile.accessory_block && spareMinutes >= ACCESSORY_MIN_MINUTES
+      ? buildAccessory(
+          ranked,
+          used,
+          streamFor("accessory"),
+          dayProfile,
+          Math.min(ACCESSORY_MAX_MINUTES, spareMinutes),
+          required.accessory,
+        )
+      : null;
+  missingBlock("accessory", accessory);
+  labelPicks(rng, "accessory");
+  // The warm-up prepares the blocks above, so it is built last.
+  const warmup = kept("warmup")
+    ? keep.warmup
+    : buildWarmup(
+        ranked,
+        used,
+        streamFor("warmup"),
+        dayProfile,
+        blocks.warmup,
+        strengthOrSkill,
+        metcon,
+        byName,
+        required.warmup[0] || null,
+        avoid,
+      );
+  labelPicks(rng, "warmup");
+  // Mobility already done in an active-recovery piece stays out of the cooldown, as do the stretches a
+  // rerolled cooldown had.
+  const cooldownPool = movements.filter((movement) => {
+    const name = String(movement.name || "").trim().toLowerCase();
+    return !avoid.has(name) && !(activeRecovery && used.has(name));
+  });
+  const trained = [
+    ...(strengthOrSkill ? [strengthOrSkill.movement] : []),
+    ...metcon.movements,
+    ...(accessory ? accessory.movements : []),
+  ]
+    .map((name) => byName.get(name.toLowerCase()))
+    .filter(Boolean);
+  const cooldown = kept("cooldown")
+    ? keep.cooldown
+    : buildCooldown(cooldownPool, streamFor("cooldown"), blocks.cooldown, dayProfile, trained, required.cooldown);
+
+  // The warm-up's cyclical can be one of the metcon's own; each movement gets one note.
+  const selectedForScaling = Array.from(
+    new Set([
+      ...warmup.movements,
+      ...metcon.movements,
+      ...(strengthOrSkill ? [strengthOrSkill.movement] : []),
+      ...(accessory ? accessory.movements : []),
+    ]),
+  );
+
+  const plan = {
+    seed,
+    date: formatIsoDate(referenceDay),
+    profile,
+    context: {
+      lookback_days: lookbackDays,
+      recent_movements: Array.from(recentMovements).sort(),
+      recent_fatigue_patterns: fatigueSummary(fatigue),
+      pattern_fatigue: fatigueDetails(fatigue),
+      under_served: underServed,
+    },
+    readiness: readinessSummary(readiness, profile, dayProfile, strengthOrSkill, metcon),
+    // The intent behind a generated metcon, for the coach's brief.
+    stimulus: metcon.benchmark || activeRecovery ? null : describeStimulus(profile.stimulus),
+    injuries: injuryNotes(dayProfile, trained, byName),
+    warmup,
+    strength_or_skill: strengthOrSkill,
+    metcon,
+    rehab,
+    accessory,
+    cooldown,
+    scaling: buildScalingNotes(selectedForScaling, byName, dayProfile, movements, metcon),
+    scaling_tiers: buildScalingTiers(metcon, byName, dayProfile),
+  };
+  if (Object.keys(rerolls).length > 0) {
+    plan.rerolls = rerolls;
+  }
+  if (options.explain) {
+    const placed = new Map();
+    for (const [block, names] of [
+      ["warmup", warmup.movements || []],
+      ["strength_or_skill", strengthOrSkill ? [strengthOrSkill.movement] : []],
+      ["metcon", metcon.movements],
+      ["accessory", accessory ? accessory.movements : []],
+      ["cooldown", cooldown.movements],
+    ]) {
+      names.forEach((name) => placed.set(name.toLowerCase(), block));
+    }
+    const context = { recentMovements, fatigue, underServed };
+    plan.explanation = buildExplanation(movements, dayProfile, context, ranked, rng.picks, placed);
+  }
+  return plan;
+}
+
+module.exports = {
+  normalizeHistory,
+  recentContext,
+  canDoMovement,
+  scoreBreakdown,
+  scoreMovement,
+  rankCandidates,
+  pickBest,
+  sessionBlockLengths,
+  chooseWodType,
+  PLAN_BLOCKS,
+  planBlock,
+  rerollOptions,
+  fatigueSummary,
+  buildPlan,
+};
@@ -0,0 +1,1060 @@
+export type FitnessLevel = "beginner" | "intermediate" | "advanced";
+export type Goal = "engine" | "strength" | "skill" | "mixed" | "power";
+export type Intensity = "low" | "moderate" | "high";
+export type Modality = "monostructural" | "gymnastics" | "weightlifting" | "odd-object" | "recovery";
+export type WodType =
+  | "amrap"
+  | "for_time"
+  | "emom"
+  | "chipper"
+  | "interval"
+  | "tabata"
+  | "death_by"
+  | "ascending_ladder"
+  | "descending_ladder"
+  | "couplet"
+  | "triplet"
+  | "buy_in_cash_out"
+  | "e2mom"
+  | "e3mom"
+  | "rounds_for_quality";
+export type Sex = "male" | "female";
+export type Division = "rx" | "scaled";
+export type VolumeUnit = "rep" | "meter" | "calorie" | "second";
+export type ProgressionModel = "linear" | "double" | "wave";
+export type PartnerFormat = "you_go_i_go" | "split" | "synchronized" | "one_works_one_holds" | "relay";
+export type InjuryRegion = "neck" | "shoulder" | "elbow" | "wrist" | "lower-back" | "hip" | "knee" | "ankle";
+export type InjurySeverity = "mild" | "moderate" | "severe";
+export type StimulusTimeDomain = "sprint" | "short" | "medium" | "long";
+export type StimulusLoading = "light" | "moderate" | "heavy";
+export type SkillDensity = "low" | "moderate" | "high";
+
+/**
+ * A sore or injured body region. Mild eases load and volume on movements that touch it, moderate also
+ * excludes the movements that load it directly, severe excludes everything that touches it.
+ */
+export interface Injury {
+  region: InjuryRegion;
+  side: "left" | "right" | "both" | null;
+  severity: InjurySeverity;
+}
+
+/** Athlete profile as written in a profile JSON file. Every field is optional. */
+export interface ProfileInput {
+  goal?: Goal;
+  fitness_level?: FitnessLevel;
+  session_minutes?: number;
+  equipment_available?: string[];
+  limitations?: {
+    avoid_patterns?: string[];
+    avoid_movements?: string[];
+    /** Regions may also be written "lower back"; severity defaults to "mild". */
+    injuries?: Array<{ region: string; side?: Injury["side"]; severity?: InjurySeverity }>;
+  };
+  preferred_modalities?: Modality[];
+  wod_type?: WodType | null;
+  intensity?: Intensity;
+  sex?: Sex | null;
+  division?: Division;
+  /** Tested one-rep maxes in kilos, keyed by movement name. */
+  one_rep_max?: Record<string, number>;
+  /** How logged lifts progress in the strength block (default: "linear"). */
+  progression?: ProgressionModel;
+  /** Display name in class and partner plans. */
+  name?: string;
+  /** Preferred format when training with a partner. */
+  partner_format?: PartnerFormat | null;
+  /** Schedule a retest of a logged benchmark once it is this many weeks old (default: never). */
+  benchmark_retest_weeks?: number | null;
+  /** Add a prehab/rehab block for injured regions (default: true). */
+  rehab_block?: boolean;
+  /** Fill minutes the main blocks leave over with accessory work (default: true). */
+  accessory_block?: boolean;
+  /** Today's check-in; the CLI lays --readiness-file over it. */
+  readiness?: ReadinessInput | null;
+  /** Days for a pattern's fatigue to halve, overriding its family's default (e.g. {"hinge": 4}). */
+  fatigue_half_lives?: Record<string, number>;
+  /** Score movements up for patterns and modalities the last weeks of history neglected (default: false). */
+  balance_bonus?: boolean;
+  /** The intended metcon stimulus; any field may be left out. */
+  stimulus?: StimulusInput | null;
+  [key: string]: unknown;
+}
+
+/** Profile after `mergeProfile`: defaults applied and values normalized to lower case. */
+export interface Profile {
+  goal: Goal;
+  fitness_level: FitnessLevel;
+  session_minutes: number;
+  equipment_available: string[];
+  limitations: {
+    /** Includes the patterns and movements the injuries exclude. */
+    avoid_patterns: string[];
+    avoid_movements: string[];
+    injuries: Injury[];
+  };
+  preferred_modalities: Modality[];
+  wod_type: WodType | null;
+  intensity: Intensity;
+  sex: Sex | null;
+  division: Division;
+  one_rep_max: Record<string, number>;
+  progression: ProgressionModel;
+  partner_format: PartnerFormat | null;
+  benchmark_retest_weeks: number | null;
+  rehab_block: boolean;
+  accessory_block: boolean;
+  readiness: Readiness | null;
+  fatigue_half_lives: Record<string, number>;
+  balance_bonus: boolean;
+  stimulus: Stimulus | null;
+  [key: string]: unknown;
+}
+
+export type Score =
+  | { type: "rounds_reps"; rounds: number; reps: number; display: string }
+  | { type: "time"; seconds: number; display: string }
+  | { type: "reps"; reps: number; display: string };
+
+/** What happened in a logged session, written by the `log` command. */
+export interface SessionResults {
+  score: Score | null;
+  /** Heaviest load used in kilos, keyed by movement name. */
+  loads: Record<string, number>;
+  rpe: number | null;
+  benchmark?: string;
+  notes?: string;
+}
+
+/** Straight sets of one lift, e.g. 5x3 @ 100 kg. */
+export interface LiftSets {
+  sets: number;
+  reps: number;
+  load_kg: number;
+}
+
+export interface LoggedLift extends LiftSets {
+  movement: string;
+  /** False when the sets were missed; defaults to true. */
+  completed?: boolean;
+}
+
+export interface HistoryEntry {
+  /** ISO date, YYYY-MM-DD. */
+  date?: string;
+  movements?: string[];
+  patterns?: string[];
+  intensity?: Intensity;
+  wod_type?: WodType;
+  /** Metcon length in minutes; sets the session's time domain in the balance report. */
+  duration_min?: number;
+  seed?: number;
+  lifts?: LoggedLift[];
+  results?: SessionResults;
+  [key: string]: unknown;
+}
+
+export interface Records {
+  movements: Array<{ movement: string; load_kg: number; date: string | null }>;
+  benchmarks: Array<{ benchmark: string; score: Score; date: string | null }>;
+}
+
+export interface NewRecord {
+  kind: "movement" | "benchmark";
+  name: string;
+  value: string;
+  /** The record this result beats, or null for a first logged result. */
+  previous: Records["movements"][number] | Records["benchmarks"][number] | null;
+}
+
+export interface Pace {
+  unit: VolumeUnit;
+  beginner: number;
+  intermediate: number;
+  advanced: number;
+}
+
+export interface Movement {
+  name: string;
+  modality: Modality;
+  difficulty: FitnessLevel;
+  equipment: string[];
+  rx_load_kg?: { male: number; female: number };
+  patterns: string[];
+  effects: string[];
+  pace?: Pace;
+  variations: string[];
+  /** Progressions each way, nearest step first; scaling tiers step down `easier`. */
+  scaling?: { easier?: ScalingStep[]; harder?: ScalingStep[] };
+  /** Warm-up drills toward the full movement, simplest first, each with its dose. */
+  warmup_drills?: string[];
+  /** For recovery movements: the training patterns a cooldown picks them after. */
+  relieves?: string[];
+  requires_context?: string[];
+  context_fallbacks?: string[];
+}
+
+/** One step of a movement's scaling progression. */
+export interface ScalingStep {
+  name: string;
+  /** Multiplier on the station's reps or amount (default 1). */
+  rep_factor?: number;
+  /** Multiplier on the tier's load; 0 for an unloaded step such as a PVC drill (default 1). */
+  load_factor?: number;
+}
+
+export interface WarmupBlock {
+  duration_min: number;
+  /** The easy cyclical the warm-up opens with. */
+  movements: string[];
+  items: string[];
+  /** Dynamic mobility for the patterns of the strength piece and metcon. */
+  mobility: string[];
+  /** Drills from the `warmup_drills` progressions of the day's most technical movements. */
+  drills: { movement: string; drills: string[] }[];
+  /** The metcon's movements at low volume. */
+  primer: { movement: string; prescription: string }[];
+  /** Sets toward the strength block's lightest working set; null without a strength block. */
+  ramp: WarmupRamp | null;
+}
+
+export interface WarmupRamp {
+  movement: string;
+  /** Null when the strength block prescribes effort rather than kilos. */
+  working_load_kg: number | null;
+  /** `percent` is of the working load. */
+  sets: { reps: number; percent: number; load_kg: number | null }[];
+}
+
+export interface StrengthSet {
+  reps: number;
+  /** Percent of the 1RM estimate; null when a progressed load has no estimate to compare with. */
+  percent: number | null;
+  load_kg: number;
+}
+
+export interface StrengthProgression {
+  model: ProgressionModel;
+  /** "add load", "add rep", "repeat", "deload" or "wave week N/3". */
+  action: string;
+  last: LiftSets & { date: string; completed: boolean };
+  today: LiftSets;
+  /** e.g. "last time: 5x3 @ 100 kg → today 5x3 @ 102.5 kg". */
+  note: string;
+}
+
+export interface OneRepMaxEstimate {
+  kg: number;
+  /** "tested", or the lower-cased name of the lift the estimate was derived from. */
+  source: string;
+}
+
+export interface StrengthBlock {
+  focus: "strength" | "skill";
+  duration_min: number;
+  movement: string;
+  prescription: string;
+  one_rep_max: OneRepMaxEstimate | null;
+  sets: StrengthSet[] | null;
+  /** Set when the lift has logged history; the sets are then straight sets at today's load. */
+  progression: StrengthProgression | null;
+}
+
+export interface MetconLoad {
+  movement: string;
+  load_kg: number | null;
+  label: string;
+  basis: string;
+}
+
+export interface MetconVolume {
+  movement: string;
+  /**
+   * Per round or station; the total across `rep_scheme` when there is one, the per-minute or per-rung
+   * `increment` for Death-By and ascending ladders, and the per-interval target for Tabata.
+   */
+  amount: number;
+  unit: VolumeUnit;
+  prescription: string;
+}
+
+export interface ContextSubstitution {
+  movement: string;
+  replacement: string | null;
+  reason: string;
+}
+
+export interface MetconBlock {
+  /** "active_recovery" replaces the strength block and metcon on a very-low-readiness day. */
+  type: WodType | "active_recovery";
+  duration_min: number;
+  movements: string[];
+  description: string;
+  volume: MetconVolume[];
+  rounds: number | null;
+  /** Total minutes of an EMOM; null for other types. */
+  emom_minutes: number | null;
+  /** Minutes per set of an E2MOM or E3MOM; null for other types. */
+  interval_min: number | null;
+  /** Reps per round, e.g. [21, 15, 9], for couplets, triplets and descending ladders. */
+  rep_scheme: number[] | null;
+  /** Reps added each minute of a Death-By or each rung of an ascending ladder. */
+  increment: number | null;
+  /** Work and rest seconds of each interval or Tabata round (rest between rounds for quality). */
+  work_sec: number | null;
+  rest_sec: number | null;
+  /** Rest between Tabata movements; null for other structures. */
+  break_sec: number | null;
+  expected_rounds: number | null;
+  estimated_duration_min: number;
+  loads: MetconLoad[];
+  context_substitutions: ContextSubstitution[];
+  /** Benchmark name the score is logged under; "<name> (scaled)" unless done as written. */
+  benchmark?: string;
+  benchmark_kind?: BenchmarkKind;
+  /** Benchmark stations done as a variation or substitute. */
+  adaptations?: BenchmarkAdaptation[];
+  /** Set when the benchmark was scheduled as a retest rather than requested. */
+  retest?: BenchmarkRetest | null;
+  /** The benchmark as written, at the load standards; the RX scaling tier. */
+  written?: { description: string; stations: ScalingTier["stations"] };
+}
+
+export type BenchmarkKind = "girl" | "hero";
+
+export interface BenchmarkStation {
+  movement: string;
+  /** Per round; omitted for rep-scheme benchmarks, whose scheme sets every station's reps. */
+  amount?: number;
+  unit?: VolumeUnit;
+  /** Rx load, overriding the movement's own `rx_load_kg`. */
+  load_kg?: { male: number; female: number };
+}
+
+/** A named workout from references/benchmarks.json. */
+export interface Benchmark {
+  name: string;
+  kind: BenchmarkKind;
+  wod_type: "amrap" | "for_time" | "chipper" | "couplet" | "triplet" | "buy_in_cash_out";
+  /** Goals whose athletes get this benchmark as a retest. */
+  goals?: Goal[];
+  rounds?: number;
+  rep_scheme?: number[];
+  /** AMRAP length. */
+  duration_min?: number;
+  time_cap_min?: number;
+  stations: BenchmarkStation[];
+}
+
+export interface BenchmarkAdaptation {
+  movement: string;
+  replacement: string;
+  reason: "level" | "limitation";
+}
+
+export interface BenchmarkRetest {
+  last_date: string;
+  weeks_since: number;
+}
+
+export interface CooldownBlock {
+  duration_min: number;
+  movements: string[];
+  items: string[];
+  /** Patterns of the session the chosen stretches relieve, most trained first. */
+  targets: string[];
+}
+
+export type AccessoryFocus = "unilateral" | "midline" | "posterior-chain";
+
+export interface AccessoryBlock {
+  duration_min: number;
+  /** The focus of each movement, in order; a required movement outside every focus adds none. */
+  focus: AccessoryFocus[];
+  movements: string[];
+  rounds: number;
+  items: string[];
+}
+
+export interface ScalingNote {
+  movement: string;
+  easier: string;
+  harder: string;
+  /**
+   * Closest movement the athlete can do instead, time-matched ("150 m Run") on fixed-volume stations; on an
+   * active-recovery day it stays in the station's modality and is not sized.
+   */
+  swap: string | null;
+}
+
+export type ScalingTierName = "rx" | "intermediate" | "scaled" | "foundations";
+
+/** The whole metcon rewritten for one tier. */
+export interface ScalingTier {
+  tier: ScalingTierName;
+  label: string;
+  /** The tier the athlete's fitness level matches; its reps and loads are the plan's own. */
+  default: boolean;
+  description: string;
+  stations: Array<{
+    movement: string;
+    /** The movement itself, or the scaling step the tier swaps in. */
+    performed_as: string;
+    prescription: string;
+    /**
+     * The plan's load scaled for the tier; RX takes the load standard at the stimulus loading. Null when
+     * unloaded.
+     */
+    load: { load_kg: number | null; label: string } | null;
+  }>;
+}
+
+export interface InjuryNote extends Injury {
+  excluded_patterns: string[];
+  excluded_movements: string[];
+  /** Strength and metcon movements whose load and volume were eased. */
+  eased_movements: string[];
+  note: string;
+}
+
+export interface RehabBlock {
+  /** "prehab" when every injury is mild. */
+  focus: "prehab" | "rehab";
+  duration_min: number;
+  regions: string[];
+  items: string[];
+}
+
+/** A daily readiness check-in. Stress and soreness run from 1 (none) to 5. */
+export interface ReadinessInput {
+  sleep_hours?: number;
+  stress?: number;
+  /** Body region (as for injuries) to soreness level; 4 and up eases the region like a mild injury. */
+  soreness?: Record<string, number>;
+  /** Resting heart rate and HRV only count next to their baselines. */
+  resting_hr?: number;
+  resting_hr_baseline?: number;
+  hrv?: number;
+  hrv_baseline?: number;
+}
+
+/** A check-in after `mergeProfile`: unknown regions and out-of-range values dropped. */
+export interface Readiness {
+  sleep_hours: number | null;
+  stress: number | null;
+  soreness: Record<string, number>;
+  resting_hr: number | null;
+  resting_hr_baseline: number | null;
+  hrv: number | null;
+  hrv_baseline: number | null;
+}
+
+/**
+ * The intended feel of a generated metcon. The time domain (sprint 4-7 min, short 8-12, medium 13-20, long
+ * 25-40) sets the metcon's minutes, structure, movement count, volumes and interval work:rest; loading sets
+ * loads and loaded stations' reps; skill density moves technical movements up or down the metcon's picks.
+ */
+export interface StimulusInput {
+  time_domain?: StimulusTimeDomain | null;
+  loading?: StimulusLoading | null;
+  skill_density?: SkillDensity | null;
+}
+
+/** A stimulus after `mergeProfile`: unknown values dropped to null. */
+export interface Stimulus {
+  time_domain: StimulusTimeDomain | null;
+  loading: StimulusLoading | null;
+  skill_density: SkillDensity | null;
+}
+
+export interface StimulusSummary extends Stimulus {
+  /** The time domain's [min, max] minutes; null without one. */
+  target_minutes: [number, number] | null;
+  /** One line for the coach's brief, e.g. "Sprint under 7 minutes, all-out from the first rep; ...". */
+  brief: string;
+}
+
+export interface ReadinessSummary {
+  /** 0-100. */
+  score: number;
+  band: "ready" | "reduced" | "low" | "very_low";
+  /** Inputs that cost points, e.g. "sleep 6 h -16". */
+  factors: string[];
+  /** Intensity the day was programmed at. */
+  intensity: Intensity;
+  active_recovery: boolean;
+  changes: string[];
+}
+
+/**
+ * One pattern's load from the last 28 days of history, each session weighted by its intensity.
+ * `fatigue` halves every `half_life_days`; `score` is the fatigue scaled by the acute:chronic ratio.
+ */
+export interface PatternFatigue {
+  fatigue: number;
+  /** Undecayed load of the last 7 days. */
+  acute: number;
+  /** Average weekly load of the 3 weeks before those. */
+  chronic: number;
+  /** Acute over chronic; null without chronic load. */
+  ratio: number | null;
+  half_life_days: number;
+  score: number;
+}
+
+export interface PatternFatigueEntry extends PatternFatigue {
+  pattern: string;
+}
+
+/** Key patterns untrained for 21 days and training modalities under 12.5% of the last 28 days' movements. */
+export interface UnderServed {
+  patterns: string[];
+  modalities: Modality[];
+}
+
+export interface BalanceWindow {
+  days: number;
+  sessions: number;
+  /** Movements done per modality. */
+  modalities: Record<string, number>;
+  /** Sessions that trained each pattern. */
+  patterns: Record<string, number>;
+  /** Sessions per metcon length: short (up to 7 min), medium (15), long (25), very_long or unknown. */
+  time_domains: Record<string, number>;
+  wod_types: Record<string, number>;
+  /** Movements done per effect (engine, power, ...). */
+  effects: Record<string, number>;
+}
+
+export interface BalanceReport {
+  /** ISO date the report runs up to. */
+  date: string;
+  /** The last 7, 28 and 90 days. */
+  windows: BalanceWindow[];
+  neglected_patterns: Array<{ pattern: string; days_since: number | null; last_date: string | null }>;
+  /** Movements in more than 40% of the last 28 days' sessions. */
+  overused_movements: Array<{ movement: string; sessions: number; share: number }>;
+  under_served: UnderServed;
+}
+
+export type ScoreTerm =
+  | "goal"
+  | "modality"
+  | "recent"
+  | "fatigue"
+  | "level"
+  | "intensity"
+  | "recovery"
+  | "balance";
+export type ExclusionReason = "level" | "equipment" | "limitation" | "skill_repeat";
+
+/** Why one library movement was or was not a candidate for the plan. */
+export interface MovementExplanation {
+  movement: string;
+  status: "candidate" | "excluded";
+  reason: ExclusionReason | null;
+  /** e.g. "needs barbell" or "avoided pattern hinge". */
+  detail: string | null;
+  /** 1-based position among the candidates; null when excluded. */
+  rank: number | null;
+  score: number | null;
+  /** The terms `score` adds up; null when excluded. */
+  breakdown: Record<ScoreTerm, number> | null;
+  /** Block the movement ended up in, if any. */
+  block: "warmup" | "strength_or_skill" | "metcon" | "accessory" | "cooldown" | null;
+}
+
+/** One random draw from the (up to) 8 best-scoring movements left for a slot. */
+/** The blocks a run can require movements in or reroll, as keyed in a plan. */
+export type PlanBlock = "warmup" | "strength_or_skill" | "metcon" | "accessory" | "cooldown";
+
+export interface ExplainedPick {
+  block: "warmup" | "strength_or_skill" | "metcon" | "accessory";
+  movement: string;
+  /** 1-based position of the pick within `top`. */
+  rank: number;
+  /** Movements that fit the slot before cutting to the top. */
+  pool_size: number;
+  top: string[];
+  /** False when a later step (e.g. piece coherence) replaced the pick. */
+  in_plan: boolean;
+}
+
+export interface PlanExplanation {
+  candidates: number;
+  excluded: number;
+  /** Candidates by rank, then excluded movements by reason. */
+  movements: MovementExplanation[];
+  picks: ExplainedPick[];
+}
+
+export interface Plan {
+  seed: number;
+  /** ISO date the plan was generated for. */
+  date: string;
+  profile: Profile;
+  context: {
+    lookback_days: number;
+    recent_movements: string[];
+    /** The five most fatigued patterns, e.g. "hinge 1.2 (half-life 3 d, acute:chronic 1.8)". */
+    recent_fatigue_patterns: string[];
+    pattern_fatigue: PatternFatigueEntry[];
+    /** What the balance bonus favored; null unless the profile sets `balance_bonus`. */
+    under_served: UnderServed | null;
+  };
+  /** Null without a readiness check-in. */
+  readiness: ReadinessSummary | null;
+  /** The profile's stimulus; null without one, for a benchmark and for active recovery. */
+  stimulus: StimulusSummary | null;
+  injuries: InjuryNote[];
+  warmup: WarmupBlock;
+  strength_or_skill: StrengthBlock | null;
+  metcon: MetconBlock;
+  /** Accessory work for injured regions; its minutes come out of the metcon. */
+  rehab: RehabBlock | null;
+  /** Present when the session has spare minutes and `accessory_block` is on. */
+  accessory: AccessoryBlock | null;
+  cooldown: CooldownBlock;
+  scaling: ScalingNote[];
+  /**
+   * RX, Intermediate, Scaled and Foundations versions of the metcon; null for active recovery and for
+   * class and partner plans, whose athletes get their own lines.
+   */
+  scaling_tiers: { default: ScalingTierName; tiers: ScalingTier[] } | null;
+  /** Present on plans built by buildClassPlan. */
+  class?: ClassSession;
+  /** Present on plans built by buildPartnerPlan. */
+  partner?: PartnerSession;
+  /** How many times each block was rerolled; present on rerolled plans. */
+  rerolls?: Partial<Record<PlanBlock, number>>;
+  /** Present when the plan was built with `explain`. */
+  explanation?: PlanExplanation;
+}
+
+export interface ClassInput {
+  name?: string;
+  /** Equipment id to quantity; `true` means enough for everyone. */
+  equipment?: Record<string, number | true>;
+  athletes: Array<ProfileInput & { name?: string }>;
+  goal?: Goal;
+  session_minutes?: number;
+  wod_type?: WodType | null;
+  intensity?: Intensity;
+  preferred_modalities?: Modality[];
+  progression?: ProgressionModel;
+}
+
+export interface ClassSpec {
+  name: string;
+  equipment: Record<string, number | true>;
+  /** Session fields shared by every athlete. */
+  shared: Partial<ProfileInput>;
+  athletes: Array<{ name: string; profile: Profile }>;
+}
+
+export interface AthleteStation {
+  /** Class movement this line scales. */
+  movement: string;
+  prescription: string;
+  /** Variation or movement done instead, null when done as written. */
+  substitute: string | null;
+  reason: "level" | "limitation" | null;
+}
+
+export interface ClassGroup {
+  heat: number;
+  label: string;
+  /** Metcon movement the group starts on. */
+  start: string;
+  /** Start delay from the first heat or wave. */
+  offset_sec: number;
+  athletes: string[];
+}
+
+export interface ClassLogistics {
+  format: "together" | "rotation" | "heats" | "staggered";
+  heats: number;
+  groups: ClassGroup[];
+  /** Station whose equipment count limits the class, null when everyone fits. */
+  bottleneck: { movement: string; equipment: string; capacity: number } | null;
+  total_min: number;
+  notes: string[];
+}
+
+export interface ClassSession {
+  name: string;
+  athlete_count: number;
+  equipment: Record<string, number | true>;
+  athletes: Array<{
+    name: string;
+    fitness_level: FitnessLevel;
+    strength: string | null;
+    metcon: AthleteStation[];
+  }>;
+  logistics: ClassLogistics;
+}
+
+export interface TeamSpec extends ClassSpec {
+  /** Null lets buildPartnerPlan pick one from the seed. */
+  format: PartnerFormat | null;
+}
+
+export interface PartnerSession {
+  format: PartnerFormat;
+  label: string;
+  /** Strongest partner first. */
+  athletes: Array<{
+    name: string;
+    fitness_level: FitnessLevel;
+    strength: string | null;
+    metcon: AthleteStation[];
+  }>;
+  /** Volume per station for the whole team; split format only. */
+  team_volume: Array<{ movement: string; amount: number; unit: VolumeUnit; prescription: string }> | null;
+  /** Static hold for the resting partner; one_works_one_holds only. */
+  hold: string | null;
+  instructions: string[];
+}
+
+export interface RestPattern {
+  onDays: number;
+  offDays: number;
+}
+
+export interface MicrocycleDay {
+  date: string;
+  rest: boolean;
+  plan: Plan | null;
+}
+
+export interface Microcycle {
+  start_date: string;
+  rest_pattern: string | null;
+  days: MicrocycleDay[];
+  summary: {
+    training_days: number;
+    rest_days: number;
+    modalities: Record<string, number>;
+    wod_types: Record<string, number>;
+    patterns: Record<string, number>;
+  };
+}
+
+export interface ContextViolation {
+  date: string | null;
+  piece: "warmup" | "strength_or_skill" | "metcon" | "accessory";
+  movement: string;
+  context: string;
+  reason: string;
+}
+
+export interface Diagnostic {
+  level: "error" | "warning";
+  /** JSON path of the offending value, e.g. `$.equipment_available[3]`. */
+  path: string;
+  message: string;
+}
+
+/** One library file: a base library or a layer of additions, overrides and `"disabled": true` entries. */
+export interface LibraryLayer {
+  /** File path or other label reported in lint diagnostics. */
+  source: string;
+  blob: unknown;
+}
+
+export interface MovementLibrary {
+  version: string;
+  /** Equipment ids registered by every layer. */
+  equipment: string[];
+  movements: Movement[];
+}
+
+export interface LibraryDiagnostic extends Diagnostic {
+  /** Layer source the diagnostic came from, or "merged library". */
+  source: string;
+}
+
+export interface LoadLibraryOptions {
+  /** Start from the bundled references/movements.json (default: true). */
+  includeDefault?: boolean;
+}
+
+export interface Vocabulary {
+  equipment: Set<string>;
+  patterns: Set<string>;
+  modalities: Set<string>;
+  /** Lower-cased movement name to its display name. */
+  movementNames: Map<string, string>;
+}
+
+/** A prescription as parsed from "12/10 cal" or "200 m"; a bare count has a null unit. */
+export interface VolumeInput {
+  amount: number;
+  /** Second calorie count of a "12/10 cal" split. */
+  altAmount?: number;
+  unit: VolumeUnit | null;
+}
+
+export interface SubstituteOptions {
+  /** Prescription to convert (default: the movement's standard volume at the athlete's level). */
+  volume?: VolumeInput | null;
+  /** How many substitutes to return (default: 5). */
+  limit?: number | null;
+}
+
+export interface SubstituteOption {
+  movement: string;
+  /**
+   * Volume that takes the athlete as long as the original prescription; counted in reps it stays within
+   * 0.5-1.5x the substitute's standard volume.
+   */
+  prescription: string;
+  /** The substitute's metcon load for the profile; null when it is unloaded. */
+  load: { load_kg: number | null; label: string } | null;
+  score: number;
+  modality: Modality;
+  shared_patterns: string[];
+  shared_effects: string[];
+}
+
+export interface SubstitutionResult {
+  movement: string;
+  prescription: string;
+  fitness_level: FitnessLevel;
+  /** Whether the movement itself fits the profile's level, equipment and limitations. */
+  available: boolean;
+  substitutes: SubstituteOption[];
+}
+
+export interface GenerateWodOptions {
+  profile: ProfileInput;
+  history?: HistoryEntry[];
+  /** Defaults to the bundled references/movements.json library. */
+  movements?: Movement[];
+  /** Defaults to today's date as YYYYMMDD. */
+  seed?: number;
+  /** Days of history weighed for fatigue (default: 2). */
+  lookbackDays?: number;
+  /** ISO date to program for (default: today). */
+  date?: string;
+  /** Throw a ValidationError instead of normalizing away invalid profile or history values. */
+  strict?: boolean;
+  /** Name of a bundled benchmark to program as the metcon. */
+  benchmark?: string;
+  /** Add the plan's `explanation`. */
+  explain?: boolean;
+  /** Library movement names each block must include. */
+  require?: Partial<Record<PlanBlock, string[]>> | null;
+  /** WOD type per block, over the profile's `wod_type`; only the metcon has one. */
+  wodTypes?: { metcon?: WodType } | null;
+  /** Movements left out of this plan only, as if in `avoid_movements`. */
+  exclude?: string[];
+}
+
+export interface BuildPlanOptions {
+  /** Days since the Unix epoch (UTC) that the plan is generated for. */
+  referenceDay?: number;
+  /** Extra condition a metcon station must meet, e.g. no shared equipment. */
+  metconFilter?: ((movement: Movement) => boolean) | null;
+  /** Prebuilt metcon (e.g. from `programBenchmark`) used instead of generating one. */
+  metcon?: MetconBlock | null;
+  /** Record why each movement was excluded or how it scored, and the random picks, as `explanation`. */
+  explain?: boolean;
+  /** Library movement names each block must include; a metcon required this way survives active recovery. */
+  require?: Partial<Record<PlanBlock, string[]>> | null;
+  /** WOD type per block, over the profile's `wod_type`; only the metcon has one. */
+  wodTypes?: { metcon?: WodType } | null;
+  /** Movements left out of this plan only, as if in `avoid_movements`. */
+  exclude?: string[];
+  /** Blocks of an earlier plan used as they are instead of being built. */
+  keep?: Partial<Pick<Plan, PlanBlock>>;
+  /** Times each block was rerolled; a block draws from its own RNG stream, moved on by its count. */
+  rerolls?: Partial<Record<PlanBlock, number>>;
+  /** Movement names no built block may use, e.g. those a rerolled block had. */
+  avoid?: string[];
+}
+
+export interface BenchmarkPlanOptions extends BuildPlanOptions {
+  /** Benchmark to program; takes precedence over retests. */
+  benchmark?: Benchmark | null;
+  /** Library searched for overdue retests when the profile sets `benchmark_retest_weeks`. */
+  benchmarks?: Benchmark[];
+}
+
+export interface MicrocycleOptions {
+  days: number;
+  restPattern: RestPattern | null;
+  /** Days since the Unix epoch (UTC) of the first day. */
+  startDay: number;
+  /** Library searched for overdue benchmark retests. */
+  benchmarks?: Benchmark[];
+  /** Add an `explanation` to every day's plan. */
+  explain?: boolean;
+}
+
+export function generateWod(options: GenerateWodOptions): Plan;
+export function mergeProfile(rawProfile: ProfileInput): Profile;
+export function buildPlan(
+  profile: Profile,
+  history: HistoryEntry[],
+  movements: Movement[],
+  lookbackDays: number,
+  seed: number,
+  options?: BuildPlanOptions,
+): Plan;
+/**
+ * Options for `buildPlan` that rebuild `plan` with only `block` drawn again and the other blocks kept,
+ * except the warm-up and cooldown built from it.
+ */
+export function rerollOptions(
+  plan: Plan,
+  block: PlanBlock,
+): Required<Pick<BuildPlanOptions, "keep" | "rerolls" | "avoid">>;
+/** `buildPlan` with a benchmark metcon: the requested one, or the most overdue retest that fits the session. */
+export function buildBenchmarkPlan(
+  profile: Profile,
+  history: HistoryEntry[],
+  movements: Movement[],
+  lookbackDays: number,
+  seed: number,
+  options?: BenchmarkPlanOptions,
+): Plan;
+/** The benchmark as the athlete does it: substitutes for what they cannot do, volume and loads scaled. */
+export function programBenchmark(benchmark: Benchmark, profile: Profile, movements: Movement[]): MetconBlock;
+/** Case-insensitive lookup; "Fran (scaled)" finds Fran. */
+export function findBenchmark(name: string, benchmarks: Benchmark[]): Benchmark | null;
+export function buildMicrocycle(
+  profile: Profile,
+  history: HistoryEntry[],
+  movements: Movement[],
+  lookbackDays: number,
+  seed: number,
+  options: MicrocycleOptions,
+): Microcycle;
+export function mergeClass(rawClass: ClassInput): ClassSpec;
+/** Equipment every athlete has, plus the union of limitations (the intersection with `sharedOnly`). */
+export function groupProfile(classSpec: ClassSpec, sharedOnly?: boolean): Profile;
+export function buildClassPlan(
+  classSpec: ClassSpec,
+  history: HistoryEntry[],
+  movements: Movement[],
+  lookbackDays: number,
+  seed: number,
+  options?: BuildPlanOptions,
+): Plan & { class: ClassSession };
+/** Two to four profiles training together; the first sets the gym and session settings. */
+export function mergeTeam(rawProfiles: ProfileInput[], format?: PartnerFormat | null): TeamSpec;
+export function buildPartnerPlan(
+  team: TeamSpec,
+  history: HistoryEntry[],
+  movements: Movement[],
+  lookbackDays: number,
+  seed: number,
+  options?: BuildPlanOptions,
+): Plan & { partner: PartnerSession };
+export function renderText(plan: Plan): string;
+export function renderMicrocycleText(microcycle: Microcycle): string;
+/** Whiteboard/handout layout without seed or profile internals. */
+export function renderMarkdown(plan: Plan): string;
+/** Self-contained HTML document with inline CSS for printing or a TV display. */
+export function renderHtml(plan: Plan): string;
+export function renderMicrocycleMarkdown(microcycle: Microcycle): string;
+export function renderMicrocycleHtml(microcycle: Microcycle): string;
+export function renderLogText(entry: HistoryEntry, records: NewRecord[], storePath: string): string;
+export function renderRecordsText(records: Records): string;
+export function renderSubstitutesText(result: SubstitutionResult): string;
+export function renderReportText(report: BalanceReport): string;
+export function parseScore(raw: string): Score | null;
+export interface LogResultsInput {
+  score?: Score | null;
+  loads?: Record<string, number>;
+  lifts?: LoggedLift[];
+  rpe?: number | null;
+  benchmark?: string | null;
+  notes?: string | null;
+}
+
+export type LoggedEntry = HistoryEntry & { date: string; seed: number; results: SessionResults };
+
+/** Throws InputError when the score's type does not fit the metcon (a finish time for an AMRAP). */
+export function buildLogEntry(plan: Plan, results?: LogResultsInput): LoggedEntry;
+export function computeRecords(history: HistoryEntry[]): Records;
+export function newRecords(history: HistoryEntry[], entry: LoggedEntry): NewRecord[];
+export function rankCandidates(
+  movements: Movement[],
+  profile: Profile,
+  recentMovements: Set<string>,
+  fatigue: Map<string, PatternFatigue>,
+  underServed?: UnderServed | null,
+): Array<[Movement, number]>;
+/** Modality, pattern, time-domain, WOD-type and effect balance of the history up to `referenceDay`. */
+export function balanceReport(
+  history: HistoryEntry[],
+  byName: Map<string, Movement>,
+  referenceDay: number,
+): BalanceReport;
+export function recentContext(
+  history: HistoryEntry[],
+  byName: Map<string, Movement>,
+  lookbackDays: number,
+  referenceOrdinalDay?: number,
+  halfLives?: Record<string, number>,
+): { recentMovements: Set<string>; fatigue: Map<string, PatternFatigue> };
+export function movementMap(movements: Movement[]): Map<string, Movement>;
+export function substituteMovement(
+  name: string,
+  profile: Profile,
+  movements: Movement[],
+  options?: SubstituteOptions,
+): SubstitutionResult;
+export function parseVolume(raw: string): VolumeInput | null;
+export function checkPlanCoherence(planBlob: Plan | Microcycle, byName: Map<string, Movement>): ContextViolation[];
+export function contextViolations(
+  pieceMovements: Movement[],
+  equipmentAvailable: string[],
+): Array<Omit<ContextViolation, "date" | "piece">>;
+export function buildVocabulary(movements: Movement[], equipmentRegistry?: string[]): Vocabulary;
+export function validateProfile(rawProfile: unknown, vocabulary: Vocabulary): Diagnostic[];
+export function validateHistory(rawHistory: unknown, vocabulary: Vocabulary): Diagnostic[];
+export function validateClass(rawClass: unknown, vocabulary: Vocabulary): Diagnostic[];
+export function validateReadiness(rawReadiness: unknown): Diagnostic[];
+export function loadJson(filePath: string): unknown;
+export function loadMovements(filePath: string): Movement[];
+/** Defaults to the bundled references/benchmarks.json. */
+export function loadBenchmarks(filePath?: string): Benchmark[];
+export function loadLibrary(filePaths?: string[], options?: LoadLibraryOptions): MovementLibrary;
+export function mergeLibraryLayers(layers: LibraryLayer[]): MovementLibrary;
+export function lintLibrary(layers: LibraryLayer[]): LibraryDiagnostic[];
+
+export class SeededRng {
+  constructor(seed: number);
+  seed: number;
+  state: number;
+  /** Set to an array to have movement picks recorded in it (explain mode). */
+  picks: Array<Omit<ExplainedPick, "in_plan" | "block"> & { block: ExplainedPick["block"] | null }> | null;
+  next(): number;
+  choice<T>(values: T[]): T | null;
+  shuffle<T>(values: T[]): void;
+  /** An independent generator for `name` (e.g. a plan block), sharing `picks`. */
+  stream(name: string): SeededRng;
+}
+
+export const WOD_TYPES: WodType[];
+export const PARTNER_FORMATS: PartnerFormat[];
+export const PLAN_BLOCKS: PlanBlock[];
+export const DEFAULT_MOVEMENTS_FILE: string;
+export const DEFAULT_BENCHMARKS_FILE: string;
+/** Movement library version this generator reads; layers must share its major version. */
+export const LIBRARY_VERSION: string;
+
+export class WodGeneratorError extends Error {}
+/** A profile, history, movement library or plan that is missing, unreadable or malformed. */
+export class InputError extends WodGeneratorError {}
+/** Strict validation found problems. */
+export class ValidationError extends InputError {
+  diagnostics: Array<Diagnostic & { source: "profile" | "class" | "history" | `partner ${number}` }>;
+}
+/** Inputs are valid but leave no movements to program. */
+export class ConstraintError extends WodGeneratorError {}
+/** Invalid command-line arguments. */
+export class UsageError extends WodGeneratorError {}
@@ -0,0 +1,197 @@
+"use strict";
+
+const { balanceReport } = require("./balance");
+const { buildBenchmarkPlan, findBenchmark, programBenchmark } = require("./benchmarks");
+const { buildClassPlan, groupProfile, mergeClass } = require("./classes");
+const { checkPlanCoherence, contextViolations } = require("./coherence");
+const { ConstraintError, InputError, UsageError, ValidationError, WodGeneratorError } = require("./errors");
+const {
+  PLAN_BLOCKS,
+  buildPlan,
+  normalizeHistory,
+  rankCandidates,
+  recentContext,
+  rerollOptions,
+} = require("./generator");
+const {
+  DEFAULT_BENCHMARKS_FILE,
+  DEFAULT_MOVEMENTS_FILE,
+  loadBenchmarks,
+  loadJson,
+  loadLibrary,
+  loadMovements,
+} = require("./io");
+const { LIBRARY_VERSION, lintLibrary, mergeLibraryLayers } = require("./library");
+const { buildMicrocycle } = require("./microcycle");
+const { buildPartnerPlan, mergeTeam } = require("./partners");
+const { PARTNER_FORMATS, WOD_TYPES, mergeProfile } = require("./profile");
+const {
+  renderLogText,
+  renderMicrocycleText,
+  renderRecordsText,
+  renderReportText,
+  renderSubstitutesText,
+  renderText,
+} = require("./render");
+const { buildLogEntry, computeRecords, newRecords, parseScore } = require("./results");
+const {
+  renderHtml,
+  renderMarkdown,
+  renderMicrocycleHtml,
+  renderMicrocycleMarkdown,
+} = require("./whiteboard");
+const { SeededRng } = require("./rng");
+const { parseVolume, substituteMovement } = require("./substitutions");
+const { movementMap, parseIsoDate, todayOrdinalDay, todaySeed } = require("./util");
+const {
+  assertValidInputs,
+  buildVocabulary,
+  describeUnknown,
+  validateClass,
+  validateHistory,
+  validateProfile,
+  validateReadiness,
+} = require("./validate");
+
+let defaultMovements = null;
+let defaultBenchmarks = null;
+
+function resolveMovements(movements) {
+  if (movements === undefined || movements === null) {
+    if (!defaultMovements) {
+      defaultMovements = loadMovements(DEFAULT_MOVEMENTS_FILE);
+    }
+    return defaultMovements;
+  }
+  if (!Array.isArray(movements) || movements.length === 0) {
+    throw new InputError("Movements must be a non-empty array of movement objects.");
+  }
+  return movements;
+}
+
+function resolveBenchmarks() {
+  if (!defaultBenchmarks) {
+    defaultBenchmarks = loadBenchmarks(DEFAULT_BENCHMARKS_FILE);
+  }
+  return defaultBenchmarks;
+}
+
+function resolveReferenceDay(date) {
+  if (date === undefined || date === null) {
+    return todayOrdinalDay();
+  }
+  const parsed = parseIsoDate(date);
+  if (!parsed) {
+    throw new InputError(`Invalid date (expected YYYY-MM-DD): ${date}`);
+  }
+  return parsed.ordinalDay;
+}
+
+// High-level entry point: raw profile and history in, one plan out. Defaults mirror the CLI; with
+// `strict`, validation errors throw a ValidationError instead of being normalized away. `benchmark`
+// names a bundled benchmark to program; `explain` adds the plan's `explanation`. `require`, `wodTypes`
+// and `exclude` pin movements and WOD types to blocks and leave movements out for this plan only.
+function generateWod({
+  profile,
+  history = [],
+  movements,
+  seed,
+  lookbackDays = 2,
+  date,
+  strict = false,
+  benchmark = null,
+  explain = false,
+  require = null,
+  wodTypes = null,
+  exclude = [],
+} = {}) {
+  const library = resolveMovements(movements);
+  if (strict) {
+    assertValidInputs(profile, history, library);
+  }
+
+  const benchmarks = resolveBenchmarks();
+  const requested = benchmark ? findBenchmark(benchmark, benchmarks) : null;
+  if (benchmark && !requested) {
+    const names = benchmarks.map((item) => item.name);
+    throw new InputError(describeUnknown(benchmark, "benchmark", names));
+  }
+
+  return buildBenchmarkPlan(
+    mergeProfile(profile),
+    normalizeHistory(history),
+    library,
+    Math.max(1, lookbackDays),
+    seed !== undefined && seed !== null ? seed : todaySeed(),
+    {
+      referenceDay: resolveReferenceDay(date),
+      benchmark: requested,
+      benchmarks,
+      explain,
+      require,
+      wodTypes,
+      exclude,
+    },
+  );
+}
+
+module.exports = {
+  generateWod,
+  mergeProfile,
+  buildPlan,
+  rerollOptions,
+  buildBenchmarkPlan,
+  programBenchmark,
+  findBenchmark,
+  buildMicrocycle,
+  mergeClass,
+  groupProfile,
+  buildClassPlan,
+  mergeTeam,
+  buildPartnerPlan,
+  renderText,
+  renderMicrocycleText,
+  renderMarkdown,
+  renderHtml,
+  renderMicrocycleMarkdown,
+  renderMicrocycleHtml,
+  renderLogText,
+  renderRecordsText,
+  renderSubstitutesText,
+  renderReportText,
+  parseScore,
+  buildLogEntry,
+  computeRecords,
+  newRecords,
+  balanceReport,
+  rankCandidates,
+  recentContext,
+  movementMap,
+  substituteMovement,
+  parseVolume,
+  checkPlanCoherence,
+  contextViolations,
+  buildVocabulary,
+  validateProfile,
+  validateHistory,
+  validateClass,
+  validateReadiness,
+  loadJson,
+  loadMovements,
+  loadBenchmarks,
+  loadLibrary,
+  mergeLibraryLayers,
+  lintLibrary,
+  SeededRng,
+  WOD_TYPES,
+  PARTNER_FORMATS,
+  PLAN_BLOCKS,
+  DEFAULT_MOVEMENTS_FILE,
+  DEFAULT_BENCHMARKS_FILE,
+  LIBRARY_VERSION,
+  WodGeneratorError,
+  InputError,
+  ValidationError,
+  ConstraintError,
+  UsageError,
+};
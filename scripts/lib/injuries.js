@@ -0,0 +1,278 @@
+"use strict";
+
+const { asLowerSet, sortedListFromSet } = require("./util");
+
+// What each body region takes, by tier: `primary` patterns and movements load the region directly and
+// are excluded from moderate severity up; `secondary` ones are excluded only when it is severe. Anything
+// that touches the region and stays in the plan is eased (see EASE_FACTOR).
+const INJURY_REGIONS = {
+  neck: {
+    primary: { patterns: ["axial-load"], movements: ["handstand push-up", "handstand walk", "wall walk"] },
+    secondary: { patterns: ["overhead", "carry", "trunk-flexion"], movements: [] },
+    drills: [
+      "2 x 10 slow chin tucks",
+      "2 x 30 sec per side upper-trap stretch",
+      "2 x 15 band pull-aparts",
+      "2 x 8 per side controlled neck rotations",
+    ],
+  },
+  shoulder: {
+    primary: {
+      patterns: ["overhead", "high-volume-overhead", "vertical-push", "dip"],
+      movements: ["kipping pull-up", "chest-to-bar pull-up"],
+    },
+    secondary: {
+      patterns: ["vertical-pull", "horizontal-push", "press", "push", "upper-pull", "shoulder-stability"],
+      movements: [],
+    },
+    drills: [
+      "2 x 15 band pull-aparts",
+      "2 x 12 per side banded external rotation",
+      "2 x 10 scap push-ups",
+      "2 x 8 prone Y-T-W raises",
+    ],
+  },
+  elbow: {
+    primary: {
+      patterns: ["dip"],
+      movements: ["kipping pull-up", "chest-to-bar pull-up", "ring push-up", "rope climb"],
+    },
+    secondary: {
+      patterns: ["vertical-pull", "vertical-push", "horizontal-push", "press", "front-rack", "grip"],
+      movements: [],
+    },
+    drills: [
+      "2 x 12 per side slow eccentric wrist curls",
+      "2 x 15 per side light banded triceps extensions",
+      "2 x 10 per side hammer-grip forearm rotations",
+      "2 x 30 sec per side forearm flexor stretch",
+    ],
+  },
+  wrist: {
+    primary: { patterns: ["front-rack", "horizontal-push"], movements: ["handstand push-up", "handstand walk"] },
+    secondary: { patterns: ["press", "push", "overhead", "vertical-push", "dip", "grip"], movements: [] },
+    drills: [
+      "2 x 30 sec quadruped wrist rocks",
+      "2 x 10 wrist circles each direction",
+      "2 x 12 per side light wrist curls and extensions",
+      "2 x 20 banded finger extensions",
+    ],
+  },
+  "lower-back": {
+    primary: { patterns: ["axial-load", "hinge"], movements: ["ghd sit-up", "tire flip"] },
+    secondary: {
+      patterns: [
+        "posterior-chain",
+        "hip-drive",
+        "hip-extension",
+        "trunk-flexion",
+        "front-load",
+        "carry",
+        "rotation",
+      ],
+      movements: [],
+    },
+    drills: [
+      "2 x 8 per side bird dogs with a 5-sec hold",
+      "2 x 8 cat-camel",
+      "2 x 20 sec per side side plank",
+      "2 x 12 glute bridges",
+    ],
+  },
+  hip: {
+    primary: { patterns: ["hip-flexion", "single-leg", "split-stance"], movements: [] },
+    secondary: {
+      patterns: ["squat", "hinge", "hip-drive", "hip-extension", "lateral", "hip", "glute", "hip-flexor"],
+      movements: [],
+    },
+    drills: [
+      "2 x 12 per side clamshells",
+      "2 x 8 per side 90/90 hip switches",
+      "2 x 12 glute bridges",
+      "2 x 30 sec per side half-kneeling hip flexor stretch",
+    ],
+  },
+  knee: {
+    primary: { patterns: ["plyometric", "single-leg", "knee-dominant"], movements: [] },
+    secondary: {
+      patterns: ["squat", "split-stance", "lateral", "change-of-direction", "elasticity", "drive"],
+      movements: [],
+    },
+    drills: [
+      "2 x 15 per side banded terminal knee extensions",
+      "2 x 30 sec wall sit at a pain-free depth",
+      "2 x 8 per side slow step-downs",
+      "2 x 12 per side straight-leg raises",
+    ],
+  },
+  ankle: {
+    primary: {
+      patterns: ["plyometric", "elasticity"],
+      movements: ["run", "sprint run", "shuttle run", "double under", "jump rope single"],
+    },
+    secondary: { patterns: ["change-of-direction", "lateral", "single-leg", "balance"], movements: [] },
+    drills: [
+      "2 x 15 slow calf raises",
+      "2 x 10 per side banded ankle dorsiflexion",
+      "2 x 30 sec per side single-leg balance",
+      "2 x 15 tibialis raises",
+    ],
+  },
+};
+const INJURY_SEVERITIES = ["mild", "moderate", "severe"];
+const INJURY_SIDES = ["left", "right", "both"];
+// Load and volume kept on movements that touch an injured region without being excluded.
+const EASE_FACTOR = 0.8;
+
+function injuryLabel(injury) {
+  const region = injury.region.replace(/-/g, " ");
+  return injury.side && injury.side !== "both" ? `${injury.side} ${region}` : region;
+}
+
+// Drops entries without a known region; an unknown or missing severity reads as mild.
+function normalizeInjuries(rawInjuries) {
+  if (!Array.isArray(rawInjuries)) {
+    return [];
+  }
+  const injuries = [];
+  for (const raw of rawInjuries) {
+    if (!raw || typeof raw !== "object") {
+      continue;
+    }
+    const region = String(raw.region || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_]+/g, "-");
+    if (!Object.prototype.hasOwnProperty.call(INJURY_REGIONS, region)) {
+      continue;
+    }
+    const severity = String(raw.severity || "").trim().toLowerCase();
+    const side = String(raw.side || "").trim().toLowerCase();
+    injuries.push({
+      region,
+      side: INJURY_SIDES.includes(side) ? side : null,
+      severity: INJURY_SEVERITIES.includes(severity) ? severity : "mild",
+    });
+  }
+  return injuries;
+}
+
+function excludedTiers(injury) {
+  const tiers = INJURY_REGIONS[injury.region];
+  if (injury.severity === "severe") {
+    return [tiers.primary, tiers.secondary];
+  }
+  return injury.severity === "moderate" ? [tiers.primary] : [];
+}
+
+// Patterns and movement names (lower-cased) one injury takes out of the plan.
+function injuryExclusions(injury) {
+  const tiers = excludedTiers(injury);
+  return {
+    patterns: sortedListFromSet(new Set(tiers.flatMap((tier) => tier.patterns))),
+    movements: sortedListFromSet(new Set(tiers.flatMap((tier) => tier.movements))),
+  };
+}
+
+function touchesTier(movement, tier) {
+  const patterns = asLowerSet(movement.patterns || []);
+  const name = String(movement.name || "").trim().toLowerCase();
+  return tier.patterns.some((pattern) => patterns.has(pattern)) || tier.movements.includes(name);
+}
+
+// How much of its load and volume a movement keeps for this profile: null when no injury touches it,
+// otherwise the factor and the regions it was eased for.
+function injuryEase(movement, profile) {
+  const regions = [];
+  for (const injury of (profile.limitations && profile.limitations.injuries) || []) {
+    const tiers = INJURY_REGIONS[injury.region];
+    const excluded = excludedTiers(injury);
+    const kept = [tiers.primary, tiers.secondary].filter((tier) => !excluded.includes(tier));
+    if (kept.some((tier) => touchesTier(movement, tier))) {
+      regions.push(injuryLabel(injury));
+    }
+  }
+  return regions.length > 0 ? { factor: EASE_FACTOR, regions } : null;
+}
+
+function describeEase(ease) {
+  return `eased ${Math.round((1 - ease.factor) * 100)}% for the ${ease.regions.join(" and ")}`;
+}
+
+// One entry per injury: what it excluded and which of the eased blocks' movements (strength and metcon)
+// it eased. `byName` turns excluded movement ids back into display names.
+function injuryNotes(profile, easedBlockMovements, byName) {
+  return ((profile.limitations && profile.limitations.injuries) || []).map((injury) => {
+    const exclusions = injuryExclusions(injury);
+    const label = injuryLabel(injury);
+    const eased = easedBlockMovements
+      .filter((movement) => {
+        const ease = injuryEase(movement, profile);
+        return ease && ease.regions.includes(label);
+      })
+      .map((movement) => movement.name);
+
+    const parts = [];
+    if (exclusions.patterns.length || exclusions.movements.length) {
+      const names = exclusions.movements.map((name) => (byName.get(name) || { name }).name);
+      const movementNames = names.length ? ` and ${names.join(", ")}` : "";
+      parts.push(`excluded ${exclusions.patterns.join(", ")} work${movementNames}`);
+    }
+    parts.push(
+      eased.length
+        ? `load and volume eased ${Math.round((1 - EASE_FACTOR) * 100)}% on ${eased.join(", ")}`
+        : "nothing left in the plan loads it",
+    );
+    return {
+      region: injury.region,
+      side: injury.side,
+      severity: injury.severity,
+      excluded_patterns: exclusions.patterns,
+      excluded_movements: exclusions.movements,
+      eased_movements: eased,
+      note: `${label.charAt(0).toUpperCase()}${label.slice(1)} (${injury.severity}): ${parts.join("; ")}`,
+    };
+  });
+}
+
+// Accessory work for the injured regions, alternating between them, about one drill per 75 seconds.
+// Mild issues get prehab; anything worse is rehab kept to a pain-free range.
+function buildRehabBlock(profile, minutes) {
+  const injuries = (profile.limitations && profile.limitations.injuries) || [];
+  if (injuries.length === 0 || !profile.rehab_block) {
+    return null;
+  }
+  const count = Math.max(2, Math.floor((minutes * 60) / 75));
+  const drills = injuries.map((injury) => INJURY_REGIONS[injury.region].drills);
+  const items = [];
+  for (let idx = 0; items.length < count && idx < Math.max(...drills.map((list) => list.length)); idx += 1) {
+    for (const list of drills) {
+      if (idx < list.length && items.length < count && !items.includes(list[idx])) {
+        items.push(list[idx]);
+      }
+    }
+  }
+  const rehab = injuries.some((injury) => injury.severity !== "mild");
+  if (rehab) {
+    items.push("Pain-free range only; stop any drill that sharpens symptoms");
+  }
+  return {
+    focus: rehab ? "rehab" : "prehab",
+    duration_min: minutes,
+    regions: injuries.map(injuryLabel),
+    items,
+  };
+}
+
+module.exports = {
+  INJURY_REGIONS,
+  INJURY_SEVERITIES,
+  INJURY_SIDES,
+  EASE_FACTOR,
+  normalizeInjuries,
+  injuryExclusions,
+  injuryEase,
+  describeEase,
+  injuryNotes,
+  buildRehabBlock,
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { normalizeBenchmarks } = require("./benchmarks");
+const { InputError } = require("./errors");
+const { mergeLibraryLayers } = require("./library");
+
+const DEFAULT_MOVEMENTS_FILE = path.resolve(__dirname, "..", "..", "references", "movements.json");
+const DEFAULT_BENCHMARKS_FILE = path.resolve(__dirname, "..", "..", "references", "benchmarks.json");
+
+function loadJson(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      throw new InputError(`File not found: ${filePath}`);
+    }
+    if (error instanceof SyntaxError) {
+      throw new InputError(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// A missing history store is an empty one, so the first `log` run can create it.
+function loadHistoryStore(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const history = loadJson(filePath);
+  if (!Array.isArray(history)) {
+    throw new InputError(`History store ${filePath} must be a JSON array.`);
+  }
+  return history;
+}
+
+// Writes to a sibling temp file first so an interrupted run never leaves a truncated store.
+function saveHistoryStore(filePath, history) {
+  const tempPath = `${filePath}.tmp-${process.pid}`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(history, null, 2)}\n`);
+  fs.renameSync(tempPath, filePath);
+}
+
+function loadLibraryLayers(filePaths = [], { includeDefault = true } = {}) {
+  const sources = includeDefault ? [DEFAULT_MOVEMENTS_FILE, ...filePaths] : [...filePaths];
+  if (sources.length === 0) {
+    throw new InputError("No movement library: pass --movements-file or keep the bundled library.");
+  }
+  return sources.map((source) => ({ source, blob: loadJson(source) }));
+}
+
+// Bundled library first (unless disabled), then each layer file in order, merged by movement name.
+function loadLibrary(filePaths = [], options = {}) {
+  return mergeLibraryLayers(loadLibraryLayers(filePaths, options));
+}
+
+function loadMovements(filePath) {
+  return loadLibrary([filePath], { includeDefault: false }).movements;
+}
+
+function loadBenchmarks(filePath = DEFAULT_BENCHMARKS_FILE) {
+  return normalizeBenchmarks(loadJson(filePath), filePath);
+}
+
+module.exports = {
+  DEFAULT_MOVEMENTS_FILE,
+  DEFAULT_BENCHMARKS_FILE,
+  loadJson,
+  loadHistoryStore,
+  saveHistoryStore,
+  loadLibraryLayers,
+  loadLibrary,
+  loadMovements,
+  loadBenchmarks,
+};
@@ -0,0 +1,297 @@
+"use strict";
+
+const { PIECE_CONTEXTS } = require("./coherence");
+const { InputError } = require("./errors");
+const { LEVEL_RANK, MODALITIES } = require("./profile");
+const { createCollector, describeUnknown } = require("./validate");
+
+const LIBRARY_VERSION = "1.3.0";
+const REQUIRED_MOVEMENT_FIELDS = ["modality", "difficulty", "equipment", "patterns", "effects", "variations"];
+const PACE_UNITS = ["rep", "meter", "calorie", "second"];
+const SCALING_DIRECTIONS = ["easier", "harder"];
+
+function parseVersion(value) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(value || "").trim());
+  return match ? match.slice(1).map(Number) : null;
+}
+
+// Layers must share the generator's major version; a newer minor may carry fields this code ignores.
+function versionProblem(version) {
+  if (version === undefined) {
+    return "missing 'version'";
+  }
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return `${JSON.stringify(version)} is not a semantic version`;
+  }
+  const [major] = parseVersion(LIBRARY_VERSION);
+  if (parsed[0] !== major) {
+    return `version ${version} is not compatible with supported library version ${LIBRARY_VERSION}`;
+  }
+  return null;
+}
+
+function movementKey(entry) {
+  return String((entry && entry.name) || "")
+    .trim()
+    .toLowerCase();
+}
+
+function assertLayerShape(layer) {
+  const blob = layer.blob;
+  if (!blob || typeof blob !== "object" || Array.isArray(blob) || !Array.isArray(blob.movements)) {
+    throw new InputError(`Movement library ${layer.source} must be a JSON object with a 'movements' list.`);
+  }
+  const problem = versionProblem(blob.version);
+  if (problem) {
+    throw new InputError(`Movement library ${layer.source}: ${problem}.`);
+  }
+}
+
+// Applies layers in order. An entry whose name is new adds a movement, an entry naming an existing
+// movement overrides the fields it lists, and `"disabled": true` removes the movement.
+function mergeLibraryLayers(layers) {
+  const byName = new Map();
+  const equipment = new Set();
+
+  for (const layer of layers) {
+    assertLayerShape(layer);
+    for (const item of Array.isArray(layer.blob.equipment) ? layer.blob.equipment : []) {
+      equipment.add(String(item).trim().toLowerCase());
+    }
+
+    for (const entry of layer.blob.movements) {
+      const key = movementKey(entry);
+      if (!key) {
+        continue;
+      }
+      if (entry.disabled === true) {
+        byName.delete(key);
+        continue;
+      }
+
+      const fields = Object.fromEntries(Object.entries(entry).filter(([field]) => field !== "disabled"));
+      byName.set(key, byName.has(key) ? { ...byName.get(key), ...fields } : fields);
+    }
+  }
+
+  const movements = Array.from(byName.values());
+  if (movements.length === 0) {
+    throw new InputError("Movement library layers leave no movements.");
+  }
+
+  return {
+    version: LIBRARY_VERSION,
+    equipment: Array.from(equipment).sort(),
+    movements,
+  };
+}
+
+function lintMovementFields(report, entryPath, entry, isNew, registry) {
+  if (isNew) {
+    for (const field of REQUIRED_MOVEMENT_FIELDS) {
+      if (entry[field] === undefined) {
+        report.error(`${entryPath}.${field}`, `new movement ${JSON.stringify(entry.name)} is missing '${field}'`);
+      }
+    }
+  }
+
+  if (entry.modality !== undefined && !MODALITIES.includes(String(entry.modality).toLowerCase())) {
+    report.error(`${entryPath}.modality`, describeUnknown(entry.modality, "modality", MODALITIES));
+  }
+  const levels = Object.keys(LEVEL_RANK);
+  if (entry.difficulty !== undefined && !levels.includes(String(entry.difficulty).toLowerCase())) {
+    report.error(`${entryPath}.difficulty`, describeUnknown(entry.difficulty, "difficulty", levels));
+  }
+
+  if (entry.variations !== undefined) {
+    const variations = Array.isArray(entry.variations)
+      ? entry.variations.filter((variation) => typeof variation === "string" && variation.trim())
+      : [];
+    if (variations.length === 0) {
+      report.error(`${entryPath}.variations`, "variations must list at least one non-empty string");
+    }
+  }
+
+  for (const field of ["equipment", "patterns", "effects"]) {
+    if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+      report.error(`${entryPath}.${field}`, `${field} must be an array of strings`);
+    }
+  }
+  if (Array.isArray(entry.equipment)) {
+    entry.equipment.forEach((item, idx) => {
+      if (!registry.has(String(item).trim().toLowerCase())) {
+        const message = describeUnknown(item, "equipment id", Array.from(registry));
+        report.error(`${entryPath}.equipment[${idx}]`, `${message} (add it to the layer's 'equipment' registry)`);
+      }
+    });
+  }
+
+  if (Array.isArray(entry.requires_context)) {
+    const contextIds = Object.keys(PIECE_CONTEXTS);
+    entry.requires_context.forEach((contextId, idx) => {
+      if (!contextIds.includes(String(contextId).trim().toLowerCase())) {
+        report.error(`${entryPath}.requires_context[${idx}]`, describeUnknown(contextId, "context", contextIds));
+      }
+    });
+  }
+
+  if (entry.scaling !== undefined) {
+    lintScaling(report, `${entryPath}.scaling`, entry.scaling);
+  }
+
+  for (const field of ["warmup_drills", "relieves"]) {
+    const values = entry[field];
+    const malformed = (value) => typeof value !== "string" || !value.trim();
+    if (values !== undefined && (!Array.isArray(values) || values.some(malformed))) {
+      report.error(`${entryPath}.${field}`, `${field} must be an array of non-empty strings`);
+    }
+  }
+
+  if (entry.pace !== undefined) {
+    const pace = entry.pace;
+    if (!pace || typeof pace !== "object" || !PACE_UNITS.includes(pace.unit)) {
+      report.error(`${entryPath}.pace.unit`, `pace unit must be one of ${PACE_UNITS.join(", ")}`);
+    } else {
+      for (const level of levels) {
+        if (!(Number(pace[level]) > 0)) {
+          report.error(`${entryPath}.pace.${level}`, "pace must be a positive number of seconds per unit");
+        }
+      }
+    }
+  }
+}
+
+// `scaling` holds `easier` and `harder` progressions, nearest step first, of {name, rep_factor, load_factor}.
+function lintScaling(report, scalingPath, scaling) {
+  if (!scaling || typeof scaling !== "object" || Array.isArray(scaling)) {
+    report.error(scalingPath, "scaling must be an object with 'easier' and 'harder' lists");
+    return;
+  }
+  for (const key of Object.keys(scaling)) {
+    if (!SCALING_DIRECTIONS.includes(key)) {
+      report.warning(`${scalingPath}.${key}`, describeUnknown(key, "scaling field", SCALING_DIRECTIONS));
+    }
+  }
+  for (const direction of SCALING_DIRECTIONS) {
+    const steps = scaling[direction];
+    if (steps === undefined) {
+      continue;
+    }
+    if (!Array.isArray(steps)) {
+      report.error(`${scalingPath}.${direction}`, "expected an array of {name, rep_factor, load_factor}");
+      continue;
+    }
+    steps.forEach((step, idx) => {
+      const stepPath = `${scalingPath}.${direction}[${idx}]`;
+      if (!step || typeof step !== "object" || typeof step.name !== "string" || !step.name.trim()) {
+        report.error(stepPath, "scaling step needs a non-empty name");
+        return;
+      }
+      if (step.rep_factor !== undefined && !(typeof step.rep_factor === "number" && step.rep_factor > 0)) {
+        report.error(`${stepPath}.rep_factor`, "rep_factor must be a positive number");
+      }
+      if (step.load_factor !== undefined && !(typeof step.load_factor === "number" && step.load_factor >= 0)) {
+        report.error(`${stepPath}.load_factor`, "load_factor must be a number from 0 (unloaded) up");
+      }
+    });
+  }
+}
+
+// Lints each layer as written and the merged result. Diagnostics carry the layer `source` they came from.
+function lintLibrary(layers) {
+  const diagnostics = [];
+  const known = new Set();
+  const registry = new Set(["none", "bodyweight"]);
+  for (const layer of layers) {
+    for (const item of Array.isArray(layer.blob && layer.blob.equipment) ? layer.blob.equipment : []) {
+      registry.add(String(item).trim().toLowerCase());
+    }
+  }
+
+  for (const layer of layers) {
+    const report = createCollector();
+    const blob = layer.blob;
+    if (!blob || typeof blob !== "object" || Array.isArray(blob)) {
+      report.error("$", "movement library must be a JSON object");
+    } else {
+      const problem = versionProblem(blob.version);
+      if (problem) {
+        report.error("$.version", problem);
+      }
+
+      if (!Array.isArray(blob.movements)) {
+        report.error("$.movements", "expected an array of movements");
+      } else {
+        const seen = new Map();
+        blob.movements.forEach((entry, idx) => {
+          const entryPath = `$.movements[${idx}]`;
+          const key = movementKey(entry);
+          if (!key) {
+            report.error(`${entryPath}.name`, "movement needs a non-empty name");
+            return;
+          }
+          if (seen.has(key)) {
+            report.error(
+              `${entryPath}.name`,
+              `duplicate of ${JSON.stringify(entry.name)} at $.movements[${seen.get(key)}]`,
+            );
+            return;
+          }
+          seen.set(key, idx);
+
+          if (entry.disabled === true) {
+            if (!known.has(key)) {
+              report.warning(
+                `${entryPath}.disabled`,
+                `${JSON.stringify(entry.name)} is not defined by an earlier layer`,
+              );
+            }
+            known.delete(key);
+            return;
+          }
+          lintMovementFields(report, entryPath, entry, !known.has(key), registry);
+          known.add(key);
+        });
+      }
+    }
+    diagnostics.push(...report.diagnostics.map((diagnostic) => ({ ...diagnostic, source: layer.source })));
+  }
+
+  if (diagnostics.some((diagnostic) => diagnostic.level === "error")) {
+    return diagnostics;
+  }
+
+  const merged = mergeLibraryLayers(layers);
+  const report = createCollector();
+  const names = new Set(merged.movements.map(movementKey));
+  const patternUsers = new Map();
+  for (const movement of merged.movements) {
+    for (const pattern of Array.isArray(movement.patterns) ? movement.patterns : []) {
+      const normalized = String(pattern).trim().toLowerCase();
+      patternUsers.set(normalized, [...(patternUsers.get(normalized) || []), movement.name]);
+    }
+    for (const fallback of Array.isArray(movement.context_fallbacks) ? movement.context_fallbacks : []) {
+      if (!names.has(String(fallback).trim().toLowerCase())) {
+        report.error(
+          `${movement.name}.context_fallbacks`,
+          describeUnknown(fallback, "movement", merged.movements.map((item) => item.name)),
+        );
+      }
+    }
+  }
+  for (const [pattern, users] of Array.from(patternUsers.entries()).sort()) {
+    if (users.length === 1) {
+      report.warning(`${users[0]}.patterns`, `pattern ${JSON.stringify(pattern)} is used by no other movement`);
+    }
+  }
+  diagnostics.push(...report.diagnostics.map((diagnostic) => ({ ...diagnostic, source: "merged library" })));
+
+  return diagnostics;
+}
+
+module.exports = {
+  LIBRARY_VERSION,
+  mergeLibraryLayers,
+  lintLibrary,
+};
@@ -0,0 +1,174 @@
+"use strict";
+
+const { describeEase, injuryEase } = require("./injuries");
+const { STIMULUS_LOADING } = require("./stimulus");
+const { requiredEquipmentSet } = require("./util");
+
+// Estimated 1RM relationships as [lift, base lift, ratio], read as lift ≈ base × ratio. Estimation walks
+// the table in both directions, so a single tested lift can seed the rest of the barbell family. A lift
+// with several bases lists the closest first: at equal distance the earlier row wins, so pulls from the
+// floor read a tested deadlift before any squat.
+const LIFT_RATIOS = [
+  ["front squat", "back squat", 0.85],
+  ["overhead squat", "back squat", 0.6],
+  ["deadlift", "back squat", 1.2],
+  ["romanian deadlift", "deadlift", 0.7],
+  ["sumo deadlift high pull", "deadlift", 0.4],
+  ["strict press", "back squat", 0.45],
+  ["push press", "strict press", 1.3],
+  ["push jerk", "strict press", 1.4],
+  ["split jerk", "strict press", 1.45],
+  ["shoulder to overhead", "strict press", 1.3],
+  ["thruster", "front squat", 0.65],
+  ["squat clean", "front squat", 0.85],
+  ["power clean", "squat clean", 0.85],
+  ["hang power clean", "power clean", 0.9],
+  ["clean and jerk", "squat clean", 0.95],
+  ["clean pull", "deadlift", 0.65],
+  ["clean pull", "squat clean", 1.1],
+  ["squat snatch", "squat clean", 0.8],
+  ["power snatch", "squat snatch", 0.85],
+  ["hang snatch", "power snatch", 0.9],
+  ["snatch pull", "deadlift", 0.55],
+  ["snatch pull", "squat snatch", 1.1],
+];
+
+const STRENGTH_SCHEMES = {
+  beginner: { reps: 5, percents: [65, 67.5, 70, 70, 70], effort: "moderate load (RPE 7)", rest: "rest 90 sec" },
+  intermediate: {
+    reps: 3,
+    percents: [75, 77.5, 80, 82.5, 82.5],
+    effort: "challenging load (RPE 8)",
+    rest: "rest 2 min",
+  },
+  advanced: {
+    reps: 2,
+    percents: [80, 82.5, 85, 87.5, 87.5, 87.5],
+    effort: "heavy quality reps (RPE 8-9)",
+    rest: "rest 2-3 min",
+  },
+};
+
+const METCON_LOAD_PERCENT = { beginner: 50, intermediate: 60, advanced: 70 };
+
+const SCALED_LOAD_FACTOR = 0.7;
+
+function roundLoad(kilos) {
+  const increment = kilos < 20 ? 1 : 2.5;
+  return Math.round(kilos / increment) * increment;
+}
+
+function estimateOneRepMax(movementName, oneRepMax) {
+  const target = String(movementName || "").trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(oneRepMax, target)) {
+    return { kg: oneRepMax[target], source: "tested" };
+  }
+
+  // Breadth-first walk so the estimate comes from the closest tested lift.
+  const visited = new Set([target]);
+  let frontier = [[target, 1]];
+  while (frontier.length > 0) {
+    const nextFrontier = [];
+    for (const [lift, factor] of frontier) {
+      for (const [ratioLift, baseLift, ratio] of LIFT_RATIOS) {
+        let neighbour = null;
+        let neighbourFactor = 0;
+        if (ratioLift === lift) {
+          neighbour = baseLift;
+          neighbourFactor = factor * ratio;
+        } else if (baseLift === lift) {
+          neighbour = ratioLift;
+          neighbourFactor = factor / ratio;
+        }
+        if (!neighbour || visited.has(neighbour)) {
+          continue;
+        }
+        if (Object.prototype.hasOwnProperty.call(oneRepMax, neighbour)) {
+          return { kg: roundLoad(oneRepMax[neighbour] * neighbourFactor), source: neighbour };
+        }
+        visited.add(neighbour);
+        nextFrontier.push([neighbour, neighbourFactor]);
+      }
+    }
+    frontier = nextFrontier;
+  }
+
+  return null;
+}
+
+function titleCase(value) {
+  return String(value).replace(
+    /(^|[\s-])([a-z])/g,
+    (match, separator, letter) => `${separator}${letter.toUpperCase()}`,
+  );
+}
+
+function describeOneRepMax(estimate) {
+  if (estimate.source === "tested") {
+    return `${estimate.kg} kg 1RM`;
+  }
+  return `est. ${estimate.kg} kg 1RM from ${titleCase(estimate.source)}`;
+}
+
+// `loading` (light, moderate or heavy) moves the load off the standard or 1RM percentage for the stimulus.
+function metconLoad(movement, profile, loading = null) {
+  const standard = movement.rx_load_kg;
+  if (!standard || typeof standard !== "object") {
+    return null;
+  }
+
+  // A movement that touches an injured region is eased below whichever standard applies.
+  const ease = injuryEase(movement, profile);
+  const factor = ease ? ease.factor : 1;
+  const intent = loading ? STIMULUS_LOADING[loading] : STIMULUS_LOADING.moderate;
+  const notes = [intent.loadFactor !== 1 ? `${loading} stimulus` : "", ease ? describeEase(ease) : ""];
+  const eased = notes.filter(Boolean).map((note) => `, ${note}`).join("");
+  const scaleStandard = (kilos) => {
+    const scale = (profile.division === "scaled" ? SCALED_LOAD_FACTOR : 1) * factor * intent.loadFactor;
+    return scale === 1 ? Number(kilos) : roundLoad(Number(kilos) * scale);
+  };
+  const maleKg = scaleStandard(standard.male);
+  const femaleKg = scaleStandard(standard.female);
+  const standardKg = profile.sex === "male" ? maleKg : profile.sex === "female" ? femaleKg : null;
+
+  const estimate = requiredEquipmentSet(movement).has("barbell")
+    ? estimateOneRepMax(movement.name, profile.one_rep_max)
+    : null;
+  if (estimate) {
+    const percent = METCON_LOAD_PERCENT[profile.fitness_level] + intent.percentShift;
+    const personalKg = roundLoad((estimate.kg * percent * factor) / 100);
+    if (personalKg < (standardKg !== null ? standardKg : maleKg)) {
+      return {
+        movement: movement.name,
+        load_kg: personalKg,
+        label: `${personalKg} kg`,
+        basis: `${percent}% of ${describeOneRepMax(estimate)}${eased}`,
+      };
+    }
+  }
+
+  if (standardKg !== null) {
+    return {
+      movement: movement.name,
+      load_kg: standardKg,
+      label: `${standardKg} kg`,
+      basis: `${profile.division} standard${eased}`,
+    };
+  }
+  return {
+    movement: movement.name,
+    load_kg: null,
+    label: `${maleKg}/${femaleKg} kg`,
+    basis: `${profile.division} standard (male/female)${eased}`,
+  };
+}
+
+module.exports = {
+  LIFT_RATIOS,
+  STRENGTH_SCHEMES,
+  roundLoad,
+  titleCase,
+  estimateOneRepMax,
+  describeOneRepMax,
+  metconLoad,
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+const { buildBenchmarkPlan } = require("./benchmarks");
+const { asLowerSet, formatIsoDate, incrementCounter, movementMap } = require("./util");
+
+function parseRestPattern(value) {
+  const match = /^(\d+)on(\d+)off$/.exec(String(value || "").trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const onDays = Number(match[1]);
+  const offDays = Number(match[2]);
+  if (onDays < 1) {
+    return null;
+  }
+  return { onDays, offDays };
+}
+
+function isRestDay(dayIndex, restPattern) {
+  if (!restPattern || restPattern.offDays === 0) {
+    return false;
+  }
+  const cycleLength = restPattern.onDays + restPattern.offDays;
+  return dayIndex % cycleLength >= restPattern.onDays;
+}
+
+function planToHistoryEntry(plan) {
+  const movementNames = [...plan.metcon.movements];
+  if (plan.strength_or_skill) {
+    movementNames.unshift(plan.strength_or_skill.movement);
+  }
+  if (plan.accessory) {
+    movementNames.push(...plan.accessory.movements);
+  }
+
+  const entry = {
+    date: plan.date,
+    movements: movementNames,
+    patterns: [],
+    intensity: plan.profile.intensity,
+    wod_type: plan.metcon.type,
+    duration_min: plan.metcon.duration_min,
+  };
+  // Later days must not schedule the same benchmark retest again.
+  if (plan.metcon.benchmark) {
+    entry.benchmark = plan.metcon.benchmark;
+  }
+  // Progressed lifts are straight sets, so later days in a microcycle can progress from them.
+  const progression = plan.strength_or_skill && plan.strength_or_skill.progression;
+  if (progression) {
+    entry.lifts = [{ movement: plan.strength_or_skill.movement, ...progression.today, completed: true }];
+  }
+  return entry;
+}
+
+function summarizeMicrocycle(days, byName) {
+  const modalityCounter = new Map();
+  const wodTypeCounter = new Map();
+  const patternCounter = new Map();
+  let trainingDays = 0;
+
+  for (const day of days) {
+    if (!day.plan) {
+      continue;
+    }
+    trainingDays += 1;
+    incrementCounter(wodTypeCounter, day.plan.metcon.type);
+
+    for (const movementName of planToHistoryEntry(day.plan).movements) {
+      const movement = byName.get(String(movementName).toLowerCase());
+      if (!movement) {
+        continue;
+      }
+      incrementCounter(modalityCounter, String(movement.modality || "").toLowerCase());
+      for (const pattern of asLowerSet(movement.patterns || [])) {
+        incrementCounter(patternCounter, pattern);
+      }
+    }
+  }
+
+  const asSortedObject = (counter) =>
+    Object.fromEntries(
+      Array.from(counter.entries()).sort(
+        (left, right) => right[1] - left[1] || left[0].localeCompare(right[0]),
+      ),
+    );
+
+  return {
+    training_days: trainingDays,
+    rest_days: days.length - trainingDays,
+    modalities: asSortedObject(modalityCounter),
+    wod_types: asSortedObject(wodTypeCounter),
+    patterns: asSortedObject(patternCounter),
+  };
+}
+
+function buildMicrocycle(profile, history, movements, lookbackDays, seed, options) {
+  const byName = movementMap(movements);
+  const workingHistory = [...history];
+  const days = [];
+
+  for (let dayIndex = 0; dayIndex < options.days; dayIndex += 1) {
+    const referenceDay = options.startDay + dayIndex;
+    if (isRestDay(dayIndex, options.restPattern)) {
+      days.push({ date: formatIsoDate(referenceDay), rest: true, plan: null });
+      continue;
+    }
+
+    // A readiness check-in speaks for the day it was taken: the first one.
+    const dayProfile = dayIndex === 0 ? profile : { ...profile, readiness: null };
+    const plan = buildBenchmarkPlan(dayProfile, workingHistory, movements, lookbackDays, seed + dayIndex, {
+      referenceDay,
+      benchmarks: options.benchmarks || [],
+      explain: Boolean(options.explain),
+    });
+    workingHistory.push(planToHistoryEntry(plan));
+    days.push({ date: plan.date, rest: false, plan });
+  }
+
+  return {
+    start_date: formatIsoDate(options.startDay),
+    rest_pattern: options.restPattern
+      ? `${options.restPattern.onDays}on${options.restPattern.offDays}off`
+      : null,
+    days,
+    summary: summarizeMicrocycle(days, byName),
+  };
+}
+
+module.exports = {
+  parseRestPattern,
+  planToHistoryEntry,
+  summarizeMicrocycle,
+  buildMicrocycle,
+};
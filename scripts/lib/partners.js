@@ -0,0 +1,287 @@
+"use strict";
+
+const {
+  athleteStation,
+  athleteStrength,
+  buildGroupPlan,
+  mergeClass,
+  planMovementNames,
+} = require("./classes");
+const { InputError } = require("./errors");
+const { estimateOneRepMax } = require("./loads");
+const { LEVEL_RANK, PARTNER_FORMATS, mergeProfile } = require("./profile");
+const { SeededRng } = require("./rng");
+const { asLowerSet, movementMap, requiredEquipmentSet } = require("./util");
+const { formatVolume, scaleVolume, secondsPerUnit } = require("./volume");
+
+const MAX_PARTNERS = 4;
+const PARTNER_LABELS = "ABCD";
+
+const FORMAT_LABELS = {
+  you_go_i_go: "You go, I go",
+  split: "Split the work",
+  synchronized: "Synchronized",
+  one_works_one_holds: "One works, one holds",
+  relay: "Relay",
+};
+
+// Individual WOD types each format is laid over.
+const FORMAT_WOD_TYPES = {
+  you_go_i_go: ["amrap", "interval", "e2mom"],
+  split: ["chipper", "for_time", "couplet", "triplet", "buy_in_cash_out"],
+  synchronized: ["amrap", "for_time", "emom", "tabata"],
+  one_works_one_holds: ["amrap", "for_time"],
+  relay: ["for_time"],
+};
+
+// Static holds for the partner who is not working. The worker is on the station's equipment, so a
+// hold only qualifies when its own equipment is free.
+const HOLDS = [
+  { name: "Plank hold", equipment: [], patterns: ["core", "anti-extension"] },
+  { name: "Hollow hold", equipment: [], patterns: ["core", "midline-stability"] },
+  { name: "Wall sit", equipment: ["wall"], patterns: ["squat", "knee-dominant"] },
+  { name: "Farmer hold", equipment: ["dumbbell"], patterns: ["grip", "carry"] },
+  { name: "Kettlebell front-rack hold", equipment: ["kettlebell"], patterns: ["front-rack", "core"] },
+  { name: "Dead hang", equipment: ["pull-up-bar"], patterns: ["grip", "vertical-pull"] },
+];
+
+// Only one partner works at a time when splitting, so each extra partner adds half a solo volume.
+const SPLIT_EXTRA_PARTNER_SHARE = 0.5;
+
+// Partners train together in the first profile's gym on one shared set of equipment; session
+// settings (goal, length, WOD type, intensity) come from the first profile too.
+function mergeTeam(rawProfiles, format = null) {
+  if (!Array.isArray(rawProfiles) || rawProfiles.length < 2 || rawProfiles.length > MAX_PARTNERS) {
+    throw new InputError(`A partner workout needs 2-${MAX_PARTNERS} profiles.`);
+  }
+  const [primary] = rawProfiles;
+  if (!primary || typeof primary !== "object" || Array.isArray(primary)) {
+    throw new InputError("Profile must be a JSON object.");
+  }
+
+  const equipment = Object.fromEntries(mergeProfile(primary).equipment_available.map((id) => [id, 1]));
+  const team = mergeClass({
+    ...primary,
+    name: "Team",
+    equipment,
+    athletes: rawProfiles.map((rawProfile, idx) => ({ name: `Partner ${PARTNER_LABELS[idx]}`, ...rawProfile })),
+  });
+
+  const requested = String(format || team.athletes[0].profile.partner_format || "")
+    .trim()
+    .toLowerCase();
+  if (format && !PARTNER_FORMATS.includes(requested)) {
+    throw new InputError(`Unknown partner format: ${format}`);
+  }
+  return { ...team, format: PARTNER_FORMATS.includes(requested) ? requested : null };
+}
+
+function liftTotal(profile) {
+  return Object.values(profile.one_rep_max).reduce((total, kilos) => total + kilos, 0);
+}
+
+// Strongest first: higher level, then the larger sum of tested maxes; ties keep the input order.
+function strengthOrder(athletes) {
+  return athletes
+    .map((athlete, idx) => ({ athlete, idx }))
+    .sort(
+      (left, right) =>
+        LEVEL_RANK[right.athlete.profile.fitness_level] - LEVEL_RANK[left.athlete.profile.fitness_level] ||
+        liftTotal(right.athlete.profile) - liftTotal(left.athlete.profile) ||
+        left.idx - right.idx,
+    )
+    .map((item) => item.athlete);
+}
+
+function roundShare(amount, unit) {
+  const step = unit === "meter" ? 10 : unit === "second" ? 5 : 1;
+  return Math.round(amount / step) * step;
+}
+
+// Each partner's cut of a station's team volume, in proportion to their pace or, for a barbell lift
+// everyone has a max for, their estimated 1RM. The strongest partner (listed first) takes the rounding.
+function splitAmounts(movement, total, unit, profiles) {
+  const estimates = requiredEquipmentSet(movement).has("barbell")
+    ? profiles.map((profile) => estimateOneRepMax(movement.name, profile.one_rep_max))
+    : [];
+  const weights = estimates.length > 0 && estimates.every(Boolean)
+    ? estimates.map((estimate) => estimate.kg)
+    : profiles.map((profile) => 1 / secondsPerUnit(movement, unit, profile.fitness_level));
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const amounts = weights.map((weight) => roundShare((total * weight) / weightSum, unit));
+  amounts[0] = total - amounts.slice(1).reduce((sum, amount) => sum + amount, 0);
+  return amounts;
+}
+
+// A hold on free equipment that no partner's limitations rule out, preferring the one that shares
+// the fewest patterns with the stations so holding is a change of stress.
+function chooseHold(stationMovements, profiles, equipmentAvailable) {
+  const busy = new Set(stationMovements.flatMap((movement) => Array.from(requiredEquipmentSet(movement))));
+  const stationPatterns = new Set(
+    stationMovements.flatMap((movement) => Array.from(asLowerSet(movement.patterns))),
+  );
+  const available = new Set(equipmentAvailable);
+  const avoided = new Set(profiles.flatMap((profile) => profile.limitations.avoid_patterns));
+
+  let best = null;
+  let bestOverlap = Infinity;
+  for (const hold of HOLDS) {
+    if (
+      hold.equipment.some((item) => busy.has(item) || !available.has(item)) ||
+      hold.patterns.some((pattern) => avoided.has(pattern))
+    ) {
+      continue;
+    }
+    const overlap = hold.patterns.filter((pattern) => stationPatterns.has(pattern)).length;
+    if (overlap < bestOverlap) {
+      best = hold;
+      bestOverlap = overlap;
+    }
+  }
+  return best ? best.name : null;
+}
+
+function formatInstructions(format, plan, names, extras) {
+  const [first, ...rest] = names;
+  const others = rest.join(" and ");
+  const metcon = plan.metcon;
+  if (format === "you_go_i_go") {
+    const unit = { interval: "work intervals", e2mom: "sets" }[metcon.type] || "rounds";
+    const score = { interval: "reps", e2mom: "sets completed" }[metcon.type] || "rounds + reps";
+    return [
+      `${first} starts; partners alternate full ${unit}, one working while the other rests`,
+      `Score total team ${score}`,
+    ];
+  }
+  if (format === "split") {
+    const totals = extras.teamVolume.map((entry) => `${entry.prescription} ${entry.movement}`).join(" | ");
+    const per = { for_time: " per round", buy_in_cash_out: " (middle movements per round)" }[metcon.type] || "";
+    return [
+      "Split each station's team total any way you like, one partner working at a time",
+      `Team totals${per}: ${totals}`,
+      "Suggested split below follows each partner's pace, and their maxes on barbell lifts",
+    ];
+  }
+  if (format === "synchronized") {
+    const holds = metcon.volume.some((entry) => entry.unit === "second");
+    return [
+      "Work side by side, rep for rep: a rep counts only when every partner has finished it",
+      ...(holds ? ["Holds run on one clock: it stops whenever a partner breaks the hold"] : []),
+      "Stations use no shared equipment so everyone can move at once",
+    ];
+  }
+  if (format === "one_works_one_holds") {
+    if (!extras.hold) {
+      return [
+        `${first} works first while ${others} rest; swap every round (no hold suits everyone's limitations)`,
+      ];
+    }
+    return [
+      `${first} works first while ${others} hold${rest.length > 1 ? "" : "s"} a ${extras.hold.toLowerCase()}`,
+      "When the hold breaks, the worker stops until it is back; swap roles every round",
+    ];
+  }
+  const legs = Math.max(1, Math.round(metcon.rounds / names.length));
+  return [
+    `Legs run in order ${names.join(" → ")}: each leg is one full round, then tag the next partner`,
+    `Each partner runs ${legs} leg${legs > 1 ? "s" : ""} (${legs * names.length} rounds for the team)`,
+  ];
+}
+
+// A partner or team session: the format picks the WOD type it lays over (and, when synchronized,
+// equipment-free stations), the plan is built for the weaker partner's level, and each partner gets
+// their own lines, with the bigger split or the first turn going to the strongest.
+function buildPartnerPlan(team, history, movements, lookbackDays, seed, options = {}) {
+  const rng = new SeededRng(seed);
+  const format = team.format || rng.choice(PARTNER_FORMATS);
+  const wodTypes = FORMAT_WOD_TYPES[format];
+  const requestedType = team.athletes[0].profile.wod_type;
+  const wodType = wodTypes.includes(requestedType) ? requestedType : rng.choice(wodTypes);
+  const metconFilter = format === "synchronized" ? (movement) => requiredEquipmentSet(movement).size === 0 : null;
+  const plan = buildGroupPlan(
+    team,
+    history,
+    movements,
+    lookbackDays,
+    seed,
+    { ...options, metconFilter },
+    { wod_type: wodType },
+  );
+
+  const byName = movementMap(movements);
+  const excluded = planMovementNames(plan);
+  const level = plan.profile.fitness_level;
+  const ordered = strengthOrder(team.athletes);
+  const profiles = ordered.map((athlete) => athlete.profile);
+  const stations = plan.metcon.volume.map((entry) => ({
+    entry,
+    movement: byName.get(entry.movement.toLowerCase()),
+  }));
+
+  const extras = { teamVolume: null, hold: null };
+  let shares = null;
+  if (format === "split") {
+    const factor = 1 + SPLIT_EXTRA_PARTNER_SHARE * (ordered.length - 1);
+    extras.teamVolume = stations.map(({ entry }) => {
+      const volume = scaleVolume({ amount: entry.amount, unit: entry.unit }, factor);
+      return {
+        movement: entry.movement,
+        amount: volume.amount,
+        unit: volume.unit,
+        prescription: formatVolume(volume),
+      };
+    });
+    shares = stations.map(({ movement }, idx) =>
+      splitAmounts(movement, extras.teamVolume[idx].amount, extras.teamVolume[idx].unit, profiles),
+    );
+  } else if (format === "one_works_one_holds") {
+    extras.hold = chooseHold(
+      stations.map(({ movement }) => movement),
+      profiles,
+      plan.profile.equipment_available,
+    );
+  }
+
+  const strength = plan.strength_or_skill;
+  const strengthMovement = strength ? byName.get(strength.movement.toLowerCase()) : null;
+  const athletes = ordered.map((athlete, rank) => {
+    const profile = athlete.profile;
+    const metcon = stations.map(({ entry, movement }, idx) => {
+      if (shares) {
+        const share = { ...entry, amount: shares[idx][rank] };
+        return athleteStation(share, movement, profile, level, movements, excluded, false);
+      }
+      return athleteStation(entry, movement, profile, level, movements, excluded, format !== "synchronized");
+    });
+    return {
+      name: athlete.name,
+      fitness_level: profile.fitness_level,
+      strength: strength ? athleteStrength(strength, strengthMovement, profile, movements, excluded) : null,
+      metcon,
+    };
+  });
+
+  return {
+    ...plan,
+    scaling_tiers: null,
+    partner: {
+      format,
+      label: FORMAT_LABELS[format],
+      athletes,
+      team_volume: extras.teamVolume,
+      hold: extras.hold,
+      instructions: formatInstructions(
+        format,
+        plan,
+        athletes.map((athlete) => athlete.name),
+        extras,
+      ),
+    },
+  };
+}
+
+module.exports = {
+  FORMAT_WOD_TYPES,
+  mergeTeam,
+  buildPartnerPlan,
+};
@@ -0,0 +1,204 @@
+"use strict";
+
+const { InputError } = require("./errors");
+const { injuryExclusions, normalizeInjuries } = require("./injuries");
+const { normalizeReadiness } = require("./readiness");
+const { normalizeStimulus } = require("./stimulus");
+const { asLowerSet, sortedListFromSet } = require("./util");
+
+const LEVEL_RANK = {
+  beginner: 0,
+  intermediate: 1,
+  advanced: 2,
+};
+
+const DEFAULT_PROFILE = {
+  goal: "mixed",
+  fitness_level: "intermediate",
+  session_minutes: 45,
+  equipment_available: ["none"],
+  limitations: {
+    avoid_patterns: [],
+    avoid_movements: [],
+    injuries: [],
+  },
+  preferred_modalities: ["monostructural", "gymnastics", "weightlifting", "odd-object"],
+  wod_type: null,
+  intensity: "moderate",
+  rehab_block: true,
+  accessory_block: true,
+  readiness: null,
+  balance_bonus: false,
+  stimulus: null,
+};
+
+const WOD_TYPES = [
+  "amrap",
+  "for_time",
+  "emom",
+  "chipper",
+  "interval",
+  "tabata",
+  "death_by",
+  "ascending_ladder",
+  "descending_ladder",
+  "couplet",
+  "triplet",
+  "buy_in_cash_out",
+  "e2mom",
+  "e3mom",
+  "rounds_for_quality",
+];
+const GOALS = ["engine", "strength", "skill", "mixed", "power"];
+const INTENSITIES = ["low", "moderate", "high"];
+const SEXES = ["male", "female"];
+const DIVISIONS = ["rx", "scaled"];
+const PROGRESSIONS = ["linear", "double", "wave"];
+const PARTNER_FORMATS = ["you_go_i_go", "split", "synchronized", "one_works_one_holds", "relay"];
+const MODALITIES = ["monostructural", "gymnastics", "weightlifting", "odd-object", "recovery"];
+
+function mergeProfile(rawProfile) {
+  if (!rawProfile || typeof rawProfile !== "object" || Array.isArray(rawProfile)) {
+    throw new InputError("Profile must be a JSON object.");
+  }
+
+  const profile = JSON.parse(JSON.stringify(DEFAULT_PROFILE));
+  for (const [key, value] of Object.entries(rawProfile)) {
+    profile[key] = value;
+  }
+
+  const level = String(profile.fitness_level || "intermediate")
+    .trim()
+    .toLowerCase();
+  profile.fitness_level = Object.prototype.hasOwnProperty.call(LEVEL_RANK, level)
+    ? level
+    : "intermediate";
+
+  const goal = String(profile.goal || "mixed")
+    .trim()
+    .toLowerCase();
+  profile.goal = GOALS.includes(goal) ? goal : "mixed";
+
+  const intensity = String(profile.intensity || "moderate")
+    .trim()
+    .toLowerCase();
+  profile.intensity = INTENSITIES.includes(intensity) ? intensity : "moderate";
+  profile.readiness = normalizeReadiness(profile.readiness);
+  profile.stimulus = normalizeStimulus(profile.stimulus);
+
+  const parsedMinutes = Number.parseInt(profile.session_minutes, 10);
+  const sessionMinutes = Number.isFinite(parsedMinutes) ? parsedMinutes : 45;
+  profile.session_minutes = Math.max(20, Math.min(120, sessionMinutes));
+
+  const equipment = asLowerSet(profile.equipment_available || ["none"]);
+  equipment.add("none");
+  profile.equipment_available = sortedListFromSet(equipment);
+
+  const limitations =
+    profile.limitations && typeof profile.limitations === "object" && !Array.isArray(profile.limitations)
+      ? profile.limitations
+      : {};
+  // Injuries fold what they exclude into the avoid lists, so everything that respects limitations
+  // respects them too; milder tiers are eased later from `injuries`.
+  const injuries = normalizeInjuries(limitations.injuries);
+  const avoidPatterns = asLowerSet(limitations.avoid_patterns || []);
+  const avoidMovements = asLowerSet(limitations.avoid_movements || []);
+  for (const injury of injuries) {
+    const exclusions = injuryExclusions(injury);
+    exclusions.patterns.forEach((pattern) => avoidPatterns.add(pattern));
+    exclusions.movements.forEach((name) => avoidMovements.add(name));
+  }
+  profile.limitations = {
+    avoid_patterns: sortedListFromSet(avoidPatterns),
+    avoid_movements: sortedListFromSet(avoidMovements),
+    injuries,
+  };
+  profile.rehab_block = profile.rehab_block !== false;
+  profile.accessory_block = profile.accessory_block !== false;
+  profile.balance_bonus = profile.balance_bonus === true;
+
+  const preferred = asLowerSet(profile.preferred_modalities || []);
+  const preferredModalities = sortedListFromSet(
+    new Set(Array.from(preferred).filter((modality) => MODALITIES.includes(modality))),
+  );
+  profile.preferred_modalities =
+    preferredModalities.length > 0
+      ? preferredModalities
+      : ["monostructural", "gymnastics", "weightlifting", "odd-object"];
+
+  if (typeof profile.wod_type === "string") {
+    const wodType = profile.wod_type.trim().toLowerCase();
+    profile.wod_type = WOD_TYPES.includes(wodType) ? wodType : null;
+  } else {
+    profile.wod_type = null;
+  }
+
+  const sex = String(profile.sex || "")
+    .trim()
+    .toLowerCase();
+  profile.sex = SEXES.includes(sex) ? sex : null;
+
+  const division = String(profile.division || "")
+    .trim()
+    .toLowerCase();
+  profile.division = DIVISIONS.includes(division)
+    ? division
+    : profile.fitness_level === "beginner"
+      ? "scaled"
+      : "rx";
+
+  const oneRepMax = {};
+  const rawMaxes =
+    profile.one_rep_max && typeof profile.one_rep_max === "object" && !Array.isArray(profile.one_rep_max)
+      ? profile.one_rep_max
+      : {};
+  for (const [lift, value] of Object.entries(rawMaxes)) {
+    const normalizedLift = lift.trim().toLowerCase();
+    const kilos = Number(value);
+    if (normalizedLift && Number.isFinite(kilos) && kilos > 0) {
+      oneRepMax[normalizedLift] = kilos;
+    }
+  }
+  profile.one_rep_max = oneRepMax;
+
+  const progression = String(profile.progression || "")
+    .trim()
+    .toLowerCase();
+  profile.progression = PROGRESSIONS.includes(progression) ? progression : "linear";
+
+  const partnerFormat = String(profile.partner_format || "")
+    .trim()
+    .toLowerCase();
+  profile.partner_format = PARTNER_FORMATS.includes(partnerFormat) ? partnerFormat : null;
+
+  const retestWeeks = Number(profile.benchmark_retest_weeks);
+  profile.benchmark_retest_weeks = Number.isInteger(retestWeeks) && retestWeeks > 0 ? retestWeeks : null;
+
+  const halfLives = {};
+  const rawHalfLives = profile.fatigue_half_lives;
+  const hasHalfLives = rawHalfLives && typeof rawHalfLives === "object" && !Array.isArray(rawHalfLives);
+  for (const [pattern, value] of Object.entries(hasHalfLives ? rawHalfLives : {})) {
+    const normalizedPattern = pattern.trim().toLowerCase();
+    const days = Number(value);
+    if (normalizedPattern && Number.isFinite(days) && days > 0) {
+      halfLives[normalizedPattern] = days;
+    }
+  }
+  profile.fatigue_half_lives = halfLives;
+
+  return profile;
+}
+
+module.exports = {
+  LEVEL_RANK,
+  DEFAULT_PROFILE,
+  WOD_TYPES,
+  GOALS,
+  INTENSITIES,
+  SEXES,
+  DIVISIONS,
+  MODALITIES,
+  PROGRESSIONS,
+  PARTNER_FORMATS,
+  mergeProfile,
+};
@@ -0,0 +1,153 @@
+"use strict";
+
+const { STRENGTH_SCHEMES, roundLoad } = require("./loads");
+const { parseIsoDate } = require("./util");
+
+const DOUBLE_PROGRESSION_REP_SPAN = 3;
+const WAVE_WEEKS = 3;
+const DELOAD_AFTER_FAILURES = 2;
+const DELOAD_FACTOR = 0.9;
+const LIFT_RECOVERY_DAYS = 3;
+
+// Beginners can add 5 kg a session to squats and hinges; everything else moves in 2.5 kg jumps.
+function loadIncrement(movement, level) {
+  const patterns = Array.isArray(movement.patterns) ? movement.patterns : [];
+  const lowerBody = patterns.some((pattern) => pattern === "squat" || pattern === "hinge");
+  return lowerBody && level === "beginner" ? 5 : 2.5;
+}
+
+// Logged straight sets of one lift from sessions before the reference day, oldest first. Undated
+// sessions are skipped because their order is unknown.
+function liftLog(history, movementName, referenceDay) {
+  const target = String(movementName).trim().toLowerCase();
+  const sessions = [];
+  for (const entry of history) {
+    const parsed = parseIsoDate(String(entry.date || ""));
+    if (!parsed || parsed.ordinalDay >= referenceDay || !Array.isArray(entry.lifts)) {
+      continue;
+    }
+    for (const lift of entry.lifts) {
+      if (!lift || String(lift.movement || "").trim().toLowerCase() !== target) {
+        continue;
+      }
+      const sets = Number(lift.sets);
+      const reps = Number(lift.reps);
+      const loadKg = Number(lift.load_kg);
+      if (!(sets > 0 && reps > 0 && loadKg > 0)) {
+        continue;
+      }
+      sessions.push({
+        ordinalDay: parsed.ordinalDay,
+        session: { date: entry.date, sets, reps, load_kg: loadKg, completed: lift.completed !== false },
+      });
+    }
+  }
+  return sessions.sort((left, right) => left.ordinalDay - right.ordinalDay).map((item) => item.session);
+}
+
+function trailingCount(log, completed) {
+  let count = 0;
+  for (let idx = log.length - 1; idx >= 0 && log[idx].completed === completed; idx -= 1) {
+    count += 1;
+  }
+  return count;
+}
+
+// Monday-based calendar (ISO) week of an ordinal day; day 0 is Thursday 1970-01-01.
+function isoWeek(ordinalDay) {
+  return Math.floor((ordinalDay + 3) / 7);
+}
+
+// Distinct calendar weeks among the trailing run of completed sessions.
+function trailingWeeks(log) {
+  const weeks = new Set();
+  for (let idx = log.length - 1; idx >= 0 && log[idx].completed; idx -= 1) {
+    weeks.add(isoWeek(parseIsoDate(log[idx].date).ordinalDay));
+  }
+  return weeks.size;
+}
+
+function formatLift(lift) {
+  return `${lift.sets}x${lift.reps} @ ${lift.load_kg} kg`;
+}
+
+// Picks today's sets, reps and load from the lift's log. One missed session repeats the load, a second
+// in a row deloads; otherwise the model decides: linear adds load every session, double progression
+// adds a rep per session up to the top of the range before adding load, and wave climbs load while
+// dropping reps over three calendar weeks, then restarts one increment above the previous wave. A wave
+// moves one step per ISO week, so a second session in the same week repeats that week's sets.
+function progressLift(movement, profile, log, referenceDay) {
+  if (log.length === 0) {
+    return null;
+  }
+
+  const model = profile.progression;
+  const scheme = STRENGTH_SCHEMES[profile.fitness_level];
+  const increment = loadIncrement(movement, profile.fitness_level);
+  const last = log[log.length - 1];
+  const failures = trailingCount(log, false);
+
+  let today = { sets: last.sets, reps: last.reps, load_kg: last.load_kg };
+  let action = "repeat";
+  if (failures >= DELOAD_AFTER_FAILURES) {
+    today.load_kg = roundLoad(last.load_kg * DELOAD_FACTOR);
+    action = "deload";
+  } else if (failures === 0 && model === "double") {
+    const topReps = scheme.reps + DOUBLE_PROGRESSION_REP_SPAN;
+    if (last.reps >= topReps) {
+      today = { sets: last.sets, reps: scheme.reps, load_kg: last.load_kg + increment };
+      action = "add load";
+    } else {
+      today.reps = Math.max(scheme.reps, last.reps + 1);
+      action = "add rep";
+    }
+  } else if (failures === 0 && model === "wave") {
+    const weeks = trailingWeeks(log);
+    if (isoWeek(parseIsoDate(last.date).ordinalDay) === isoWeek(referenceDay)) {
+      action = `wave week ${((weeks - 1) % WAVE_WEEKS) + 1}/${WAVE_WEEKS}`;
+    } else {
+      const week = weeks % WAVE_WEEKS;
+      const loadKg = week === 0 ? last.load_kg - increment : last.load_kg + increment;
+      today = { sets: last.sets, reps: scheme.reps + (WAVE_WEEKS - 1 - week), load_kg: loadKg };
+      action = `wave week ${week + 1}/${WAVE_WEEKS}`;
+    }
+  } else if (failures === 0) {
+    today.load_kg = last.load_kg + increment;
+    action = "add load";
+  }
+
+  const lastLabel = `${formatLift(last)}${last.completed ? "" : " (missed)"}`;
+  const suffix = action === "add load" || action === "add rep" ? "" : `, ${action}`;
+  return {
+    model,
+    action,
+    last,
+    today,
+    note: `last time: ${lastLabel} → today ${formatLift(today)}${suffix}`,
+  };
+}
+
+// Of the candidates with a lift log, the one trained longest ago, once it has had time to recover.
+function dueLift(candidates, history, referenceDay) {
+  let due = null;
+  let longestGap = LIFT_RECOVERY_DAYS - 1;
+  for (const movement of candidates) {
+    const log = liftLog(history, movement.name, referenceDay);
+    if (log.length === 0) {
+      continue;
+    }
+    const gap = referenceDay - parseIsoDate(log[log.length - 1].date).ordinalDay;
+    if (gap > longestGap) {
+      due = movement;
+      longestGap = gap;
+    }
+  }
+  return due;
+}
+
+module.exports = {
+  loadIncrement,
+  liftLog,
+  progressLift,
+  dueLift,
+};
@@ -0,0 +1,173 @@
+"use strict";
+
+const { INJURY_REGIONS } = require("./injuries");
+
+// From the best band down: the lowest score each starts at, how many steps it takes off the profile's
+// intensity, the share of metcon volume it keeps and the RPE points it takes off strength targets. The
+// last band swaps the strength block and metcon for active recovery.
+const READINESS_BANDS = [
+  { band: "ready", min: 75, intensitySteps: 0, volumeFactor: 1, rpeDrop: 0, activeRecovery: false },
+  { band: "reduced", min: 55, intensitySteps: 1, volumeFactor: 0.85, rpeDrop: 1, activeRecovery: false },
+  { band: "low", min: 35, intensitySteps: 2, volumeFactor: 0.7, rpeDrop: 2, activeRecovery: false },
+  { band: "very_low", min: 0, intensitySteps: 2, volumeFactor: 1, rpeDrop: 0, activeRecovery: true },
+];
+const READINESS_FIELDS = [
+  "sleep_hours",
+  "stress",
+  "soreness",
+  "resting_hr",
+  "resting_hr_baseline",
+  "hrv",
+  "hrv_baseline",
+];
+const SLEEP_TARGET_HOURS = 8;
+// Score points each input can cost: per hour of sleep short of the target, per step above 1 on the 1-5
+// stress and soreness scales, and per percent of resting HR above (or HRV below) its baseline.
+const READINESS_PENALTIES = {
+  sleepHour: 8,
+  sleepMax: 40,
+  stressStep: 6,
+  sorenessStep: 5,
+  restingHrPercent: 2,
+  restingHrMax: 20,
+  hrvPercent: 1,
+  hrvMax: 25,
+};
+// Soreness from this level up eases the region like a mild injury for the day.
+const SORE_REGION_LEVEL = 4;
+// Load that goes with each RPE point taken off a strength target.
+const RPE_LOAD_STEP = 0.04;
+
+function numberOrNull(value) {
+  if (typeof value !== "number" && (typeof value !== "string" || !value.trim())) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function positiveOrNull(value) {
+  const number = numberOrNull(value);
+  return number !== null && number > 0 ? number : null;
+}
+
+function scaleOrNull(value) {
+  const number = numberOrNull(value);
+  return number !== null && number >= 1 && number <= 5 ? Math.round(number) : null;
+}
+
+function regionKey(region) {
+  return String(region || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+}
+
+// A check-in with out-of-range values and unknown soreness regions dropped; null when nothing is left.
+function normalizeReadiness(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return null;
+  }
+  const sleep = numberOrNull(raw.sleep_hours);
+  const soreness = {};
+  const hasSoreness = raw.soreness && typeof raw.soreness === "object" && !Array.isArray(raw.soreness);
+  for (const [region, level] of Object.entries(hasSoreness ? raw.soreness : {})) {
+    const key = regionKey(region);
+    const normalizedLevel = scaleOrNull(level);
+    if (Object.prototype.hasOwnProperty.call(INJURY_REGIONS, key) && normalizedLevel !== null) {
+      soreness[key] = normalizedLevel;
+    }
+  }
+
+  const readiness = {
+    sleep_hours: sleep !== null && sleep >= 0 && sleep <= 24 ? sleep : null,
+    stress: scaleOrNull(raw.stress),
+    soreness,
+    resting_hr: positiveOrNull(raw.resting_hr),
+    resting_hr_baseline: positiveOrNull(raw.resting_hr_baseline),
+    hrv: positiveOrNull(raw.hrv),
+    hrv_baseline: positiveOrNull(raw.hrv_baseline),
+  };
+  const given = READINESS_FIELDS.some((field) =>
+    field === "soreness" ? Object.keys(soreness).length > 0 : readiness[field] !== null,
+  );
+  return given ? readiness : null;
+}
+
+// A 0-100 score from whatever the check-in has, the band it falls in and the inputs that cost points.
+// Resting HR and HRV only count next to their baselines.
+function assessReadiness(readiness) {
+  if (!readiness) {
+    return null;
+  }
+  const penalties = READINESS_PENALTIES;
+  const factors = [];
+  let score = 100;
+  const penalize = (points, label) => {
+    const rounded = Math.max(0, Math.round(points));
+    if (rounded > 0) {
+      factors.push(`${label} -${rounded}`);
+      score -= rounded;
+    }
+  };
+
+  if (readiness.sleep_hours !== null) {
+    const shortfall = SLEEP_TARGET_HOURS - readiness.sleep_hours;
+    penalize(Math.min(penalties.sleepMax, shortfall * penalties.sleepHour), `sleep ${readiness.sleep_hours} h`);
+  }
+  if (readiness.stress !== null) {
+    penalize((readiness.stress - 1) * penalties.stressStep, `stress ${readiness.stress}/5`);
+  }
+  const sore = Object.entries(readiness.soreness).filter(([, level]) => level > 1);
+  if (sore.length > 0) {
+    const worst = Math.max(...sore.map(([, level]) => level));
+    const label = sore.map(([region, level]) => `${region.replace(/-/g, " ")} ${level}/5`).join(", ");
+    penalize((worst - 1) * penalties.sorenessStep, `soreness ${label}`);
+  }
+  if (readiness.resting_hr !== null && readiness.resting_hr_baseline !== null) {
+    const baseline = readiness.resting_hr_baseline;
+    const percentAbove = ((readiness.resting_hr - baseline) / baseline) * 100;
+    penalize(
+      Math.min(penalties.restingHrMax, percentAbove * penalties.restingHrPercent),
+      `resting HR ${readiness.resting_hr} vs ${readiness.resting_hr_baseline} bpm`,
+    );
+  }
+  if (readiness.hrv !== null && readiness.hrv_baseline !== null) {
+    const percentBelow = ((readiness.hrv_baseline - readiness.hrv) / readiness.hrv_baseline) * 100;
+    penalize(
+      Math.min(penalties.hrvMax, percentBelow * penalties.hrvPercent),
+      `HRV ${readiness.hrv} vs ${readiness.hrv_baseline} ms`,
+    );
+  }
+
+  score = Math.max(0, score);
+  const band = READINESS_BANDS.find((item) => score >= item.min);
+  return {
+    ...band,
+    score,
+    factors,
+    soreRegions: Object.keys(readiness.soreness).filter(
+      (region) => readiness.soreness[region] >= SORE_REGION_LEVEL,
+    ),
+  };
+}
+
+// "challenging load (RPE 8)" two points easier is "challenging load (RPE 6)"; RPE never drops below 5.
+function lowerRpe(effort, drop) {
+  if (!drop) {
+    return effort;
+  }
+  return effort.replace(/RPE (\d+)(?:-(\d+))?/, (match, low, high) => {
+    const lowered = (value) => Math.max(5, Number(value) - drop);
+    return high ? `RPE ${lowered(low)}-${lowered(high)}` : `RPE ${lowered(low)}`;
+  });
+}
+
+module.exports = {
+  READINESS_BANDS,
+  READINESS_FIELDS,
+  RPE_LOAD_STEP,
+  normalizeReadiness,
+  assessReadiness,
+  lowerRpe,
+};
@@ -0,0 +1,402 @@
+"use strict";
+
+const { ESTIMATED_DURATION_TYPES, expectedUnit } = require("./structures");
+
+const SCORE_TERMS = ["goal", "modality", "recent", "fatigue", "level", "intensity", "recovery", "balance"];
+
+function formatConstraintList(values) {
+  return `[${values.map((value) => `'${String(value)}'`).join(", ")}]`;
+}
+
+function describeRetest(retest) {
+  return retest ? `, retest: last logged ${retest.last_date} (${retest.weeks_since} weeks ago)` : "";
+}
+
+function renderText(plan) {
+  const lines = [];
+  const profile = plan.profile;
+
+  lines.push("WOD Plan");
+  lines.push(`Seed: ${plan.seed}`);
+  lines.push(
+    `Profile: goal=${profile.goal}, level=${profile.fitness_level}, duration=${profile.session_minutes} min, intensity=${profile.intensity}`,
+  );
+  if (profile.limitations.avoid_patterns.length || profile.limitations.avoid_movements.length) {
+    lines.push(
+      `Constraints: avoid_patterns=${formatConstraintList(
+        profile.limitations.avoid_patterns,
+      )} avoid_movements=${formatConstraintList(profile.limitations.avoid_movements)}`,
+    );
+  }
+
+  if (plan.readiness) {
+    const readiness = plan.readiness;
+    const factors = readiness.factors.length ? ` (${readiness.factors.join(", ")})` : "";
+    lines.push(`Readiness: ${readiness.score}/100, ${readiness.band.replace(/_/g, " ")}${factors}`);
+    lines.push(`Readiness changes: ${readiness.changes.length ? readiness.changes.join("; ") : "none"}`);
+  }
+  for (const injury of plan.injuries || []) {
+    lines.push(`Injury: ${injury.note}`);
+  }
+  if (plan.context.recent_fatigue_patterns.length) {
+    lines.push(`Recent pattern load: ${plan.context.recent_fatigue_patterns.join(", ")}`);
+  }
+  const underServed = plan.context.under_served;
+  if (underServed && (underServed.patterns.length || underServed.modalities.length)) {
+    lines.push(`Under-served (favored today): ${[...underServed.patterns, ...underServed.modalities].join(", ")}`);
+  }
+
+  lines.push("");
+  lines.push(`Warm-up (${plan.warmup.duration_min} min)`);
+  for (const item of plan.warmup.items) {
+    lines.push(`- ${item}`);
+  }
+
+  const strength = plan.strength_or_skill;
+  if (strength) {
+    const label = strength.focus === "skill" ? "Skill / Strength" : "Strength";
+    lines.push("");
+    lines.push(`${label} (${strength.duration_min} min)`);
+    lines.push(`- ${strength.prescription}`);
+  }
+
+  lines.push("");
+  if (plan.metcon.type === "active_recovery") {
+    lines.push(`Active recovery (${plan.metcon.duration_min} min)`);
+  } else {
+    lines.push(`Metcon (${plan.metcon.duration_min} min, ${plan.metcon.type})`);
+  }
+  if (plan.stimulus) {
+    lines.push(`- Stimulus: ${plan.stimulus.brief}`);
+  }
+  if (plan.metcon.benchmark) {
+    lines.push(`- Benchmark: ${plan.metcon.benchmark}${describeRetest(plan.metcon.retest)}`);
+    for (const adaptation of plan.metcon.adaptations) {
+      lines.push(`- In place of ${adaptation.movement}: ${adaptation.replacement} (${adaptation.reason})`);
+    }
+  }
+  lines.push(`- ${plan.metcon.description}`);
+  if (plan.metcon.expected_rounds) {
+    lines.push(`- Expected: ~${plan.metcon.expected_rounds} ${expectedUnit(plan.metcon.type)}`);
+  }
+  if (ESTIMATED_DURATION_TYPES.includes(plan.metcon.type)) {
+    lines.push(`- Estimated duration: ~${plan.metcon.estimated_duration_min} min`);
+  }
+
+  if (plan.rehab) {
+    lines.push("");
+    const label = plan.rehab.focus === "rehab" ? "Rehab" : "Prehab";
+    lines.push(`${label} (${plan.rehab.duration_min} min, ${plan.rehab.regions.join(", ")})`);
+    for (const item of plan.rehab.items) {
+      lines.push(`- ${item}`);
+    }
+  }
+
+  if (plan.accessory) {
+    lines.push("");
+    lines.push(`Accessory (${plan.accessory.duration_min} min, ${plan.accessory.focus.join(", ")})`);
+    for (const item of plan.accessory.items) {
+      lines.push(`- ${item}`);
+    }
+  }
+
+  lines.push("");
+  lines.push(`Cooldown (${plan.cooldown.duration_min} min)`);
+  for (const item of plan.cooldown.items) {
+    lines.push(`- ${item}`);
+  }
+
+  if (plan.scaling_tiers) {
+    lines.push("");
+    lines.push("Scaling tiers");
+    for (const tier of plan.scaling_tiers.tiers) {
+      lines.push(`- ${tier.label}${tier.default ? " (default)" : ""}: ${tier.description}`);
+    }
+  }
+
+  lines.push("");
+  lines.push("Scaling options");
+  for (const note of plan.scaling) {
+    const swap = note.swap ? ` | swap=${note.swap}` : "";
+    lines.push(`- ${note.movement}: easier=${note.easier} | harder=${note.harder}${swap}`);
+  }
+
+  if (plan.class) {
+    lines.push("", ...renderClassLines(plan));
+  }
+  if (plan.partner) {
+    lines.push("", ...renderPartnerLines(plan));
+  }
+  if (plan.explanation) {
+    lines.push("", ...renderExplanationLines(plan.explanation));
+  }
+
+  return lines.join("\n");
+}
+
+const EXPLANATION_COLUMNS = ["rank", "movement", "score", ...SCORE_TERMS, "block / excluded for"];
+
+function formatTerm(value) {
+  return value === 0 ? "." : String(value);
+}
+
+// One row per library movement, candidates by rank and then the excluded ones, padded into columns;
+// then every draw from the top candidates.
+function renderExplanationLines(explanation) {
+  const rows = explanation.movements.map((entry) => [
+    entry.rank === null ? "-" : String(entry.rank),
+    entry.movement,
+    entry.score === null ? "-" : String(entry.score),
+    ...SCORE_TERMS.map((term) => (entry.breakdown ? formatTerm(entry.breakdown[term]) : "")),
+    entry.reason ? `${entry.reason}: ${entry.detail}` : (entry.block || "").replace(/_/g, " "),
+  ]);
+  const widths = EXPLANATION_COLUMNS.map((column, idx) =>
+    Math.max(column.length, ...rows.map((row) => row[idx].length)),
+  );
+  const formatRow = (cells) =>
+    cells
+      .map((cell, idx) => (idx === cells.length - 1 ? cell : cell.padEnd(widths[idx])))
+      .join("  ")
+      .trimEnd();
+
+  const lines = [`Explanation (${explanation.candidates} candidates, ${explanation.excluded} excluded)`];
+  lines.push(formatRow(EXPLANATION_COLUMNS));
+  rows.forEach((row) => lines.push(formatRow(row)));
+  lines.push("");
+  lines.push("Random picks from the top candidates");
+  if (explanation.picks.length === 0) {
+    lines.push("- none");
+  }
+  for (const pick of explanation.picks) {
+    const kept = pick.in_plan ? "" : ", later replaced";
+    lines.push(
+      `- ${pick.block.replace(/_/g, " ")}: ${pick.movement}, #${pick.rank} of top ${pick.top.length} ` +
+        `(pool ${pick.pool_size}${kept})`,
+    );
+  }
+  return lines;
+}
+
+function formatOffset(seconds) {
+  return `+${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function renderClassLines(plan) {
+  const classPlan = plan.class;
+  const strengthLabel = plan.strength_or_skill && plan.strength_or_skill.focus === "skill" ? "Skill" : "Strength";
+  const logistics = classPlan.logistics;
+  const lines = [`Class: ${classPlan.name} (${classPlan.athlete_count} athletes)`];
+  lines.push(`Logistics (${logistics.format}, ~${logistics.total_min} min)`);
+  for (const note of logistics.notes) {
+    lines.push(`- ${note}`);
+  }
+  if (logistics.groups.length > 1) {
+    for (const group of logistics.groups) {
+      const offset = group.offset_sec ? ` at ${formatOffset(group.offset_sec)}` : "";
+      lines.push(`- ${group.label} (start ${group.start}${offset}): ${group.athletes.join(", ")}`);
+    }
+  }
+
+  lines.push("");
+  lines.push("Athletes");
+  lines.push(...athleteLines(classPlan.athletes, strengthLabel));
+  return lines;
+}
+
+function athleteLines(athletes, strengthLabel) {
+  const lines = [];
+  for (const athlete of athletes) {
+    lines.push(`- ${athlete.name} (${athlete.fitness_level})`);
+    if (athlete.strength) {
+      lines.push(`  ${strengthLabel}: ${athlete.strength}`);
+    }
+    lines.push(`  Metcon: ${athlete.metcon.map((station) => station.prescription).join(" | ")}`);
+  }
+  return lines;
+}
+
+function renderPartnerLines(plan) {
+  const partner = plan.partner;
+  const strengthLabel = plan.strength_or_skill && plan.strength_or_skill.focus === "skill" ? "Skill" : "Strength";
+  const lines = [`Partner format: ${partner.label} (${partner.athletes.length} athletes)`];
+  for (const instruction of partner.instructions) {
+    lines.push(`- ${instruction}`);
+  }
+  lines.push("");
+  lines.push("Partners");
+  lines.push(...athleteLines(partner.athletes, strengthLabel));
+  return lines;
+}
+
+function formatCounter(counts) {
+  const entries = Object.entries(counts);
+  if (entries.length === 0) {
+    return "none";
+  }
+  return entries.map(([key, count]) => `${key} (${count})`).join(", ");
+}
+
+function renderMicrocycleText(microcycle) {
+  const sections = [];
+  for (const day of microcycle.days) {
+    if (day.rest) {
+      sections.push(`=== ${day.date} ===\nRest day`);
+      continue;
+    }
+    sections.push(`=== ${day.date} ===\n${renderText(day.plan)}`);
+  }
+
+  const summary = microcycle.summary;
+  const lines = [
+    "=== Microcycle summary ===",
+    `Training days: ${summary.training_days}, rest days: ${summary.rest_days}`,
+    `WOD types: ${formatCounter(summary.wod_types)}`,
+    `Modalities: ${formatCounter(summary.modalities)}`,
+    `Patterns: ${formatCounter(summary.patterns)}`,
+  ];
+  sections.push(lines.join("\n"));
+
+  return sections.join("\n\n");
+}
+
+function describeRecord(record) {
+  if (!record.previous) {
+    return `- ${record.name}: ${record.value} (first logged result)`;
+  }
+  const previousValue =
+    record.kind === "movement" ? `${record.previous.load_kg} kg` : record.previous.score.display;
+  const previousDate = record.previous.date ? ` on ${record.previous.date}` : "";
+  return `- ${record.name}: ${record.value} (previous ${previousValue}${previousDate})`;
+}
+
+function renderLogText(entry, records, storePath) {
+  const results = entry.results;
+  const lines = [`Logged ${entry.date} (seed ${entry.seed}, ${entry.wod_type}) to ${storePath}`];
+  if (results.benchmark) {
+    lines.push(`- Benchmark: ${results.benchmark}`);
+  }
+  if (results.score) {
+    lines.push(`- Score: ${results.score.display}`);
+  }
+  const loads = Object.entries(results.loads);
+  if (loads.length) {
+    lines.push(`- Loads: ${loads.map(([movement, loadKg]) => `${movement} ${loadKg} kg`).join(", ")}`);
+  }
+  for (const lift of entry.lifts || []) {
+    const status = lift.completed ? "" : " (missed)";
+    lines.push(`- Lift: ${lift.movement} ${lift.sets}x${lift.reps} @ ${lift.load_kg} kg${status}`);
+  }
+  if (results.rpe !== null) {
+    lines.push(`- RPE: ${results.rpe}`);
+  }
+  if (records.length) {
+    lines.push("");
+    lines.push("New PRs");
+    for (const record of records) {
+      lines.push(describeRecord(record));
+    }
+  }
+  return lines.join("\n");
+}
+
+function renderRecordsText(records) {
+  const lines = ["Personal records"];
+  lines.push("");
+  lines.push("Movements");
+  if (records.movements.length === 0) {
+    lines.push("- none logged");
+  }
+  for (const record of records.movements) {
+    lines.push(`- ${record.movement}: ${record.load_kg} kg (${record.date || "undated"})`);
+  }
+  lines.push("");
+  lines.push("Benchmarks");
+  if (records.benchmarks.length === 0) {
+    lines.push("- none logged");
+  }
+  for (const record of records.benchmarks) {
+    lines.push(`- ${record.benchmark}: ${record.score.display} (${record.date || "undated"})`);
+  }
+  return lines.join("\n");
+}
+
+// "gymnastics 12 (40%)" for the `limit` biggest counts, most first; shares are of `total`, or of all
+// the counts together.
+function formatShares(counts, total = null, limit = Infinity) {
+  const entries = Object.entries(counts);
+  if (entries.length === 0) {
+    return "none";
+  }
+  const whole = total || entries.reduce((sum, [, count]) => sum + count, 0);
+  const shown = entries
+    .slice(0, limit)
+    .map(([key, count]) => `${key.replace(/_/g, " ")} ${count} (${Math.round((count / whole) * 100)}%)`);
+  return entries.length > limit ? `${shown.join(", ")}, +${entries.length - limit} more` : shown.join(", ");
+}
+
+function renderReportText(report) {
+  const lines = [`Training balance up to ${report.date}`];
+  for (const window of report.windows) {
+    lines.push("");
+    lines.push(`Last ${window.days} days (${window.sessions} sessions)`);
+    if (window.sessions === 0) {
+      lines.push("- no sessions logged");
+      continue;
+    }
+    // Movements for modalities and effects; patterns give the share of sessions that trained them.
+    lines.push(`- Modalities: ${formatShares(window.modalities)}`);
+    lines.push(`- Patterns: ${formatShares(window.patterns, window.sessions, 8)}`);
+    lines.push(`- Time domains: ${formatShares(window.time_domains)}`);
+    lines.push(`- WOD types: ${formatShares(window.wod_types)}`);
+    lines.push(`- Effects: ${formatShares(window.effects, null, 8)}`);
+  }
+
+  lines.push("");
+  lines.push("Neglected patterns");
+  if (report.neglected_patterns.length === 0) {
+    lines.push("- none");
+  }
+  for (const entry of report.neglected_patterns) {
+    const last = entry.days_since === null ? "none in the last 90 days" : `last on ${entry.last_date}`;
+    const ago = entry.days_since === null ? "" : ` (${entry.days_since} days ago)`;
+    lines.push(`- ${entry.pattern}: ${last}${ago}`);
+  }
+  lines.push("");
+  lines.push("Over-used movements (last 28 days)");
+  if (report.overused_movements.length === 0) {
+    lines.push("- none");
+  }
+  for (const entry of report.overused_movements) {
+    lines.push(`- ${entry.movement}: ${entry.sessions} sessions (${Math.round(entry.share * 100)}%)`);
+  }
+  lines.push("");
+  const modalities = report.under_served.modalities;
+  lines.push(`Under-served modalities (last 28 days): ${modalities.length ? modalities.join(", ") : "none"}`);
+  return lines.join("\n");
+}
+
+function renderSubstitutesText(result) {
+  const lines = [`Substitutes for ${result.prescription} ${result.movement} (${result.fitness_level})`];
+  if (!result.available) {
+    lines.push(`${result.movement} itself does not fit this profile's level, equipment or limitations.`);
+  }
+  lines.push("");
+  if (result.substitutes.length === 0) {
+    lines.push("- none: no movement the athlete can do shares a pattern with it");
+  }
+  for (const entry of result.substitutes) {
+    const shared = [...entry.shared_patterns, ...entry.shared_effects].join(", ");
+    const load = entry.load ? ` @ ${entry.load.label}` : "";
+    lines.push(`- ${entry.prescription} ${entry.movement}${load} (score ${entry.score}; shares ${shared})`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  renderText,
+  renderMicrocycleText,
+  renderLogText,
+  renderRecordsText,
+  renderReportText,
+  renderSubstitutesText,
+};
@@ -0,0 +1,261 @@
+"use strict";
+
+const { InputError } = require("./errors");
+const { planToHistoryEntry } = require("./microcycle");
+const { FOR_TIME_TYPES, STRUCTURE_LABELS } = require("./structures");
+const { parseIsoDate } = require("./util");
+
+// Structures whose clock can stop mid-round, so their score is rounds+reps.
+const ROUNDS_REPS_TYPES = ["amrap", "death_by", "ascending_ladder"];
+const SCORE_FORMATS = {
+  rounds_reps: { name: "rounds+reps", example: "7+12" },
+  time: { name: "a finish time", example: "4:35" },
+  reps: { name: "total reps", example: "150" },
+};
+
+function formatSeconds(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Scores are typed by how they were written: "7+12" is rounds+reps, "4:35" or "1:02:10" a finish time,
+// and a bare number total reps (an EMOM, interval or capped effort).
+function parseScore(raw) {
+  const value = String(raw || "").trim();
+  let match = /^(\d+)\+(\d+)$/.exec(value);
+  if (match) {
+    return { type: "rounds_reps", rounds: Number(match[1]), reps: Number(match[2]), display: value };
+  }
+  match = /^(?:(\d+):)?(\d+):([0-5]\d)$/.exec(value);
+  if (match) {
+    const seconds = Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    return { type: "time", seconds, display: formatSeconds(seconds) };
+  }
+  match = /^(\d+)$/.exec(value);
+  if (match) {
+    return { type: "reps", reps: Number(match[1]), display: value };
+  }
+  return null;
+}
+
+// A finish time only scores a piece for time and rounds+reps only a piece against the clock; a bare
+// count fits any structure (reps at the cap, minutes or sets completed).
+function scoreFits(score, wodType) {
+  if (score.type === "time") {
+    return FOR_TIME_TYPES.includes(wodType);
+  }
+  return score.type !== "rounds_reps" || ROUNDS_REPS_TYPES.includes(wodType);
+}
+
+// Positive when `score` beats `other`, negative when it is worse, null when the two cannot be ranked
+// (rounds+reps against a bare rep count). A finish time beats any capped rep score.
+function compareScores(score, other) {
+  if (score.type === "time" || other.type === "time") {
+    if (score.type === other.type) {
+      return other.seconds - score.seconds;
+    }
+    return score.type === "time" ? 1 : -1;
+  }
+  if (score.type !== other.type) {
+    return null;
+  }
+  if (score.type === "rounds_reps") {
+    return score.rounds - other.rounds || score.reps - other.reps;
+  }
+  return score.reps - other.reps;
+}
+
+function parseRpe(raw) {
+  const rpe = Number(raw);
+  if (!Number.isFinite(rpe) || rpe < 1 || rpe > 10 || rpe * 2 !== Math.round(rpe * 2)) {
+    return null;
+  }
+  return rpe;
+}
+
+// Accepts a single plan or a microcycle; a microcycle needs `date` unless it has one training day.
+function planForDate(planBlob, date = null) {
+  if (!planBlob || typeof planBlob !== "object" || Array.isArray(planBlob)) {
+    throw new InputError("Plan must be a JSON object.");
+  }
+  if (!Array.isArray(planBlob.days)) {
+    if (!planBlob.metcon || !Array.isArray(planBlob.metcon.movements)) {
+      throw new InputError("Plan JSON has no metcon; pass a plan written by --output json.");
+    }
+    if (date && planBlob.date !== date) {
+      throw new InputError(`Plan is for ${planBlob.date}, not ${date}.`);
+    }
+    return planBlob;
+  }
+
+  const trainingDays = planBlob.days.filter((day) => day && day.plan);
+  const matches = date ? trainingDays.filter((day) => day.date === date) : trainingDays;
+  if (matches.length === 1) {
+    return matches[0].plan;
+  }
+  if (date) {
+    throw new InputError(`Microcycle has no training day on ${date}.`);
+  }
+  throw new InputError("Microcycle has several training days; pick one with --start-date.");
+}
+
+// Parses "5x3@100" into straight sets; the movement is named by the caller.
+function parseLift(raw) {
+  const match = /^(\d+)\s*x\s*(\d+)\s*@\s*(\d+(?:\.\d+)?)$/i.exec(String(raw || "").trim());
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1 || !(Number(match[3]) > 0)) {
+    return null;
+  }
+  return { sets: Number(match[1]), reps: Number(match[2]), load_kg: Number(match[3]) };
+}
+
+// Turns a generated plan plus what actually happened into a history entry. The entry keeps the fields
+// `recentContext` and the balance report read (date, movements, intensity, wod_type, duration_min) so a
+// log file doubles as --history-file. Only the lifts reported in `lifts` are recorded, never the
+// prescription itself.
+function buildLogEntry(
+  plan,
+  { score = null, loads = {}, lifts = [], rpe = null, benchmark = null, notes = null } = {},
+) {
+  // A score of the wrong kind would be ranked against the right ones (any time beats rounds+reps).
+  if (score && !scoreFits(score, plan.metcon.type)) {
+    const fitting = Object.keys(SCORE_FORMATS)
+      .filter((type) => scoreFits({ type }, plan.metcon.type))
+      .map((type) => `${SCORE_FORMATS[type].name} (${SCORE_FORMATS[type].example})`);
+    const structure = STRUCTURE_LABELS[plan.metcon.type] || "Active recovery";
+    const kind = SCORE_FORMATS[score.type].name;
+    throw new InputError(`Score ${score.display} is ${kind}; ${structure} scores are ${fitting.join(" or ")}.`);
+  }
+  const results = { score, loads, rpe };
+  const benchmarkName = benchmark || plan.metcon.benchmark || null;
+  if (benchmarkName) {
+    results.benchmark = benchmarkName;
+  }
+  if (notes) {
+    results.notes = notes;
+  }
+
+  const entry = { ...planToHistoryEntry(plan), seed: plan.seed, results };
+  delete entry.lifts;
+  delete entry.benchmark;
+  if (lifts.length) {
+    entry.lifts = lifts;
+  }
+  return entry;
+}
+
+function isLoggedResult(entry) {
+  return entry && typeof entry === "object" && entry.results && typeof entry.results === "object";
+}
+
+// Loads a session counts toward movement PRs: reported heaviest loads plus every completed lift.
+function entryLoads(entry) {
+  const results = isLoggedResult(entry) ? entry.results : {};
+  const loads = results.loads && typeof results.loads === "object" ? results.loads : {};
+  const pairs = Object.entries(loads).map(([movement, value]) => [movement, Number(value)]);
+  for (const lift of Array.isArray(entry.lifts) ? entry.lifts : []) {
+    if (lift && typeof lift.movement === "string" && lift.completed !== false) {
+      pairs.push([lift.movement, Number(lift.load_kg)]);
+    }
+  }
+  return pairs;
+}
+
+function sessionOrder(entry) {
+  const parsed = parseIsoDate(String(entry.date || ""));
+  return parsed ? parsed.ordinalDay : -Infinity;
+}
+
+// Personal records derived from the logged sessions: heaviest load per movement and best score per
+// benchmark. Ties keep the earlier date.
+function computeRecords(history) {
+  const movements = new Map();
+  const benchmarks = new Map();
+  const logged = history
+    .filter((entry) => isLoggedResult(entry) || (entry && Array.isArray(entry.lifts)))
+    .sort((left, right) => sessionOrder(left) - sessionOrder(right));
+
+  for (const entry of logged) {
+    for (const [movement, loadKg] of entryLoads(entry)) {
+      const key = movement.trim().toLowerCase();
+      if (!(loadKg > 0) || (movements.has(key) && movements.get(key).load_kg >= loadKg)) {
+        continue;
+      }
+      const label = movements.has(key) ? movements.get(key).movement : movement;
+      movements.set(key, { movement: label, load_kg: loadKg, date: entry.date || null });
+    }
+
+    const { benchmark, score } = entry.results || {};
+    if (typeof benchmark !== "string" || !benchmark.trim() || !score || typeof score !== "object") {
+      continue;
+    }
+    const key = benchmark.trim().toLowerCase();
+    const current = benchmarks.get(key);
+    if (!current || compareScores(score, current.score) > 0) {
+      const label = current ? current.benchmark : benchmark;
+      benchmarks.set(key, { benchmark: label, score, date: entry.date || null });
+    }
+  }
+
+  const byLabel = (field) => (left, right) => left[field].localeCompare(right[field]);
+  return {
+    movements: Array.from(movements.values()).sort(byLabel("movement")),
+    benchmarks: Array.from(benchmarks.values()).sort(byLabel("benchmark")),
+  };
+}
+
+// Records the new entry beats, each with the record it replaces (null for a first logged result).
+function newRecords(history, entry) {
+  const before = computeRecords(history);
+  const findRecord = (list, field, name) =>
+    list.find((record) => record[field].toLowerCase() === name.trim().toLowerCase()) || null;
+
+  const best = new Map();
+  for (const [movement, loadKg] of entryLoads(entry)) {
+    const key = movement.trim().toLowerCase();
+    if (loadKg > 0 && (!best.has(key) || loadKg > best.get(key)[1])) {
+      best.set(key, [movement, loadKg]);
+    }
+  }
+
+  const records = [];
+  for (const [movement, loadKg] of best.values()) {
+    const prior = findRecord(before.movements, "movement", movement);
+    if (!prior || loadKg > prior.load_kg) {
+      records.push({ kind: "movement", name: movement, value: `${loadKg} kg`, previous: prior });
+    }
+  }
+
+  const { benchmark, score } = entry.results;
+  if (benchmark && score) {
+    const prior = findRecord(before.benchmarks, "benchmark", benchmark);
+    if (!prior || compareScores(score, prior.score) > 0) {
+      records.push({ kind: "benchmark", name: benchmark, value: score.display, previous: prior });
+    }
+  }
+  return records;
+}
+
+function appendLogEntry(history, entry) {
+  const duplicate = history.find(
+    (session) => isLoggedResult(session) && session.date === entry.date && session.seed === entry.seed,
+  );
+  if (duplicate) {
+    throw new InputError(`History already has a logged session for ${entry.date} (seed ${entry.seed}).`);
+  }
+  return [...history, entry];
+}
+
+module.exports = {
+  formatSeconds,
+  parseScore,
+  compareScores,
+  parseRpe,
+  parseLift,
+  planForDate,
+  buildLogEntry,
+  computeRecords,
+  newRecords,
+  appendLogEntry,
+};
@@ -0,0 +1,48 @@
+"use strict";
+
+class SeededRng {
+  constructor(seed) {
+    this.seed = Number(seed) >>> 0;
+    this.state = this.seed;
+    // Explain mode sets this to an array; movement picks then record each draw from its top candidates.
+    this.picks = null;
+  }
+
+  next() {
+    let t = (this.state += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  choice(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      return null;
+    }
+    const index = Math.floor(this.next() * values.length);
+    return values[index];
+  }
+
+  shuffle(values) {
+    for (let idx = values.length - 1; idx > 0; idx -= 1) {
+      const pick = Math.floor(this.next() * (idx + 1));
+      [values[idx], values[pick]] = [values[pick], values[idx]];
+    }
+  }
+
+  // An independent generator for one part of a plan: the seed mixed with an FNV-1a hash of `name`. Draws
+  // from one stream never move another, so a block can be redrawn alone. Explain-mode picks are shared.
+  stream(name) {
+    let hash = 0x811c9dc5;
+    for (const char of String(name)) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    const stream = new SeededRng((this.seed ^ hash) >>> 0);
+    stream.picks = this.picks;
+    return stream;
+  }
+}
+
+module.exports = {
+  SeededRng,
+};
@@ -0,0 +1,192 @@
+"use strict";
+
+const { roundLoad } = require("./loads");
+const { LEVEL_RANK } = require("./profile");
+const { parseVolume } = require("./substitutions");
+const { STIMULUS_LOADING } = require("./stimulus");
+const { describeMetcon, describeStation } = require("./structures");
+const { scaleRepScheme, scaleVolume } = require("./volume");
+
+// From the workout as written down: the level whose movements a tier keeps (harder ones step down their
+// `scaling.easier` progression, Foundations one step further), and the share of the reps and of the
+// load standard it keeps.
+const SCALING_TIERS = [
+  { tier: "rx", label: "RX", level: "advanced", extraSteps: 0, repFactor: 1, loadFactor: 1 },
+  {
+    tier: "intermediate",
+    label: "Intermediate",
+    level: "intermediate",
+    extraSteps: 0,
+    repFactor: 0.85,
+    loadFactor: 0.8,
+  },
+  { tier: "scaled", label: "Scaled", level: "beginner", extraSteps: 0, repFactor: 0.7, loadFactor: 0.6 },
+  {
+    tier: "foundations",
+    label: "Foundations",
+    level: "beginner",
+    extraSteps: 1,
+    repFactor: 0.5,
+    loadFactor: 0.4,
+  },
+];
+// The tier an athlete's own metcon matches, by fitness level.
+const DEFAULT_TIERS = { beginner: "scaled", intermediate: "intermediate", advanced: "rx" };
+
+// The movement's `scaling.easier` or `scaling.harder` progression, nearest step first, with the
+// multipliers on reps and load filled in.
+function scalingSteps(movement, direction) {
+  const scaling = movement && movement.scaling;
+  const steps = scaling && Array.isArray(scaling[direction]) ? scaling[direction] : [];
+  return steps
+    .filter((step) => step && typeof step.name === "string" && step.name.trim())
+    .map((step) => ({
+      name: step.name.trim(),
+      rep_factor: typeof step.rep_factor === "number" && step.rep_factor > 0 ? step.rep_factor : 1,
+      load_factor: typeof step.load_factor === "number" && step.load_factor >= 0 ? step.load_factor : 1,
+    }));
+}
+
+// How far down its progression a movement steps for the tier; null keeps it as written.
+function tierStep(movement, tier) {
+  const difficulty = LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
+  const steps = Math.max(0, difficulty - LEVEL_RANK[tier.level]) + tier.extraSteps;
+  const easier = scalingSteps(movement, "easier");
+  if (steps === 0 || easier.length === 0) {
+    return null;
+  }
+  return easier[Math.min(steps, easier.length) - 1];
+}
+
+// The movement's load standard times `factor`, for the athlete's sex or as male/female; null when the
+// movement has no standard or the step is unloaded.
+function tierLoad(movement, factor, sex) {
+  const standard = movement.rx_load_kg;
+  if (!standard || typeof standard !== "object" || factor === 0) {
+    return null;
+  }
+  const scale = (kilos) => (factor === 1 ? Number(kilos) : roundLoad(Number(kilos) * factor));
+  const maleKg = scale(standard.male);
+  const femaleKg = scale(standard.female);
+  if (sex === "male" || sex === "female") {
+    const kilos = sex === "male" ? maleKg : femaleKg;
+    return { load_kg: kilos, label: `${kilos} kg` };
+  }
+  return { load_kg: null, label: `${maleKg}/${femaleKg} kg` };
+}
+
+function scaleAmount(amount, factor) {
+  return Math.max(1, Math.round(amount * factor));
+}
+
+// A load's kilos: one figure for a known sex, otherwise the male/female pair its label carries.
+function loadKilos(load) {
+  if (load.load_kg !== null) {
+    return [load.load_kg];
+  }
+  const pair = /^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?) kg$/.exec(load.label);
+  return pair ? [Number(pair[1]), Number(pair[2])] : null;
+}
+
+// The athlete's own metcon load times `factor` and no heavier than `cap` (the RX load); null for
+// unloaded stations and unloaded steps.
+function scaleLoad(load, factor, cap) {
+  const kilos = load && factor !== 0 ? loadKilos(load) : null;
+  if (!kilos) {
+    return null;
+  }
+  const capKilos = cap ? loadKilos(cap) : null;
+  const scaled = kilos.map((value, idx) => {
+    const kilo = factor === 1 ? value : roundLoad(value * factor);
+    return capKilos && capKilos.length === kilos.length ? Math.min(kilo, capKilos[idx]) : kilo;
+  });
+  return { load_kg: scaled.length === 1 ? scaled[0] : null, label: `${scaled.join("/")} kg` };
+}
+
+// The whole metcon rewritten per tier. The default tier is the athlete's own metcon, volume and loads as
+// the plan gives them; the other tiers scale its reps and loads by their share against the default's,
+// loads no heavier than RX.
+// RX loads are the movement standards at the stimulus loading instead, and a benchmark's RX is the
+// workout as written. Rep schemes and Death-By steps are shared by every station and scale with the
+// tier alone.
+function buildScalingTiers(metcon, byName, profile) {
+  if (metcon.type === "active_recovery" || !Array.isArray(metcon.volume) || metcon.volume.length === 0) {
+    return null;
+  }
+  const defaultTier = DEFAULT_TIERS[profile.fitness_level];
+  const base = SCALING_TIERS.find((item) => item.tier === defaultTier);
+  const stepped = Boolean(metcon.rep_scheme || metcon.increment);
+  const loading = profile.stimulus && profile.stimulus.loading ? profile.stimulus.loading : "moderate";
+  const loads = new Map((metcon.loads || []).map((load) => [load.movement.toLowerCase(), load]));
+  // A benchmark station done as an easier variation keeps the written movement's name in `volume`.
+  const variations = new Map((metcon.adaptations || []).map((item) => [item.movement.toLowerCase(), item]));
+
+  const tiers = SCALING_TIERS.map((tier) => {
+    const isDefault = tier.tier === defaultTier;
+    if (tier.tier === "rx" && metcon.written) {
+      return { tier: tier.tier, label: tier.label, default: isDefault, ...metcon.written };
+    }
+    const ratio = tier.repFactor / base.repFactor;
+    const repScheme = metcon.rep_scheme ? scaleRepScheme(metcon.rep_scheme, ratio) : null;
+    const increment = metcon.increment ? scaleAmount(metcon.increment, ratio) : null;
+    const stations = metcon.volume.map((entry) => {
+      const movement = byName.get(entry.movement.toLowerCase()) || { name: entry.movement };
+      const step = isDefault ? null : tierStep(movement, tier);
+      const variation = isDefault ? variations.get(entry.movement.toLowerCase()) : null;
+      const written = parseVolume(entry.prescription) || { amount: entry.amount, unit: entry.unit };
+      let volume = written;
+      if (stepped) {
+        const amount = repScheme ? repScheme.reduce((sum, reps) => sum + reps) : increment;
+        volume = { amount, unit: written.unit };
+      } else if (!isDefault) {
+        volume = scaleVolume(written, ratio * (step ? step.rep_factor : 1));
+      }
+      const stepLoad = step ? step.load_factor : 1;
+      const rxLoad = tierLoad(movement, STIMULUS_LOADING[loading].loadFactor * stepLoad, profile.sex);
+      const own = loads.get(entry.movement.toLowerCase());
+      let load = own || null;
+      if (tier.tier === "rx" && !isDefault) {
+        load = rxLoad;
+      } else if (!isDefault) {
+        load = scaleLoad(own, (tier.loadFactor / base.loadFactor) * stepLoad, rxLoad);
+      }
+      const name = step ? step.name : variation ? variation.replacement : entry.movement;
+      return { movement: entry.movement, name, volume, load };
+    });
+
+    const volumePlan = {
+      rounds: metcon.rounds,
+      emomMinutes: metcon.emom_minutes,
+      intervalMin: metcon.interval_min,
+      repScheme,
+      increment,
+      workSec: metcon.work_sec,
+      restSec: metcon.rest_sec,
+      breakSec: metcon.break_sec,
+    };
+    const described = stations.map((station) =>
+      describeStation(station.volume, station.name, station.load ? station.load.label : null),
+    );
+    return {
+      tier: tier.tier,
+      label: tier.label,
+      default: isDefault,
+      description: describeMetcon(metcon.type, volumePlan, described, metcon.duration_min),
+      stations: stations.map((station, idx) => ({
+        movement: station.movement,
+        performed_as: station.name,
+        prescription: described[idx].volume,
+        load: station.load,
+      })),
+    };
+  });
+  return { default: defaultTier, tiers };
+}
+
+module.exports = {
+  SCALING_TIERS,
+  DEFAULT_TIERS,
+  scalingSteps,
+  tierLoad,
+  buildScalingTiers,
+};
@@ -0,0 +1,187 @@
+"use strict";
+
+// What each intended time domain sets for a generated metcon: its length in minutes (the metcon block
+// trades time with the strength block to land inside it), the structures that suit it, how many
+// movements it takes, a multiplier on every station's standard volume and the work and rest of an
+// `interval` piece.
+const STIMULUS_TIME_DOMAINS = {
+  sprint: {
+    minMinutes: 4,
+    maxMinutes: 7,
+    wodTypes: ["couplet", "for_time", "amrap", "interval", "tabata"],
+    movementCount: 2,
+    volumeFactor: 0.7,
+    interval: { workSec: 30, restSec: 90 },
+    brief: "sprint under 7 minutes, all-out from the first rep",
+  },
+  short: {
+    minMinutes: 8,
+    maxMinutes: 12,
+    wodTypes: ["couplet", "triplet", "for_time", "amrap", "interval"],
+    movementCount: 3,
+    volumeFactor: 0.85,
+    interval: { workSec: 60, restSec: 120 },
+    brief: "short and hard, 8-12 minutes with few breaks",
+  },
+  medium: {
+    minMinutes: 13,
+    maxMinutes: 20,
+    wodTypes: ["amrap", "for_time", "emom", "triplet", "chipper", "interval"],
+    movementCount: 3,
+    volumeFactor: 1,
+    interval: { workSec: 120, restSec: 60 },
+    brief: "13-20 minutes at a strong pace you can hold",
+  },
+  long: {
+    minMinutes: 25,
+    maxMinutes: 40,
+    wodTypes: ["amrap", "chipper", "for_time", "emom", "buy_in_cash_out", "interval"],
+    movementCount: 4,
+    volumeFactor: 1.2,
+    interval: { workSec: 240, restSec: 60 },
+    brief: "long aerobic grind of 25 minutes or more, steady from start to finish",
+  },
+};
+// Per loading intent: the factor on load standards, the points added to a percentage of 1RM, the
+// multiplier on loaded stations' reps, the score shift that favors loaded movements for the metcon,
+// the structures that cannot carry it and whether the piece needs a loaded station.
+const STIMULUS_LOADING = {
+  light: {
+    loadFactor: 0.75,
+    percentShift: -15,
+    repFactor: 1.3,
+    loadedShift: 0,
+    unsuitedTypes: [],
+    loadedStation: false,
+    brief: "light loads, unbroken sets",
+  },
+  moderate: {
+    loadFactor: 1,
+    percentShift: 0,
+    repFactor: 1,
+    loadedShift: 0,
+    unsuitedTypes: [],
+    loadedStation: false,
+    brief: "moderate loads",
+  },
+  heavy: {
+    loadFactor: 1.15,
+    percentShift: 10,
+    repFactor: 0.6,
+    loadedShift: 1.5,
+    unsuitedTypes: ["tabata"],
+    loadedStation: true,
+    brief: "heavy loads in small, quality sets",
+  },
+};
+// Score shift for metcon candidates that are skill work: advanced ones and those with a `skill` effect.
+const STIMULUS_SKILL_DENSITY = {
+  low: { skillShift: -2, brief: "simple movements" },
+  moderate: { skillShift: 0, brief: "a mix of simple and technical movements" },
+  high: { skillShift: 2, brief: "technical movements under fatigue" },
+};
+const STIMULUS_FIELDS = {
+  time_domain: STIMULUS_TIME_DOMAINS,
+  loading: STIMULUS_LOADING,
+  skill_density: STIMULUS_SKILL_DENSITY,
+};
+const LOADED_MODALITIES = ["weightlifting", "odd-object"];
+
+// Known values kept, lower-cased; null when none is set.
+function normalizeStimulus(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return null;
+  }
+  const stimulus = {};
+  for (const [field, options] of Object.entries(STIMULUS_FIELDS)) {
+    const value = String(raw[field] || "").trim().toLowerCase();
+    stimulus[field] = Object.prototype.hasOwnProperty.call(options, value) ? value : null;
+  }
+  return Object.values(stimulus).some((value) => value !== null) ? stimulus : null;
+}
+
+function stimulusTimeDomain(stimulus) {
+  return stimulus && stimulus.time_domain ? STIMULUS_TIME_DOMAINS[stimulus.time_domain] : null;
+}
+
+// Multiplier on a station's standard volume: the time domain's for every station, times the loading's
+// for loaded ones.
+function stimulusVolumeFactor(stimulus, movement) {
+  if (!stimulus) {
+    return 1;
+  }
+  const domain = stimulusTimeDomain(stimulus);
+  const loading = stimulus.loading ? STIMULUS_LOADING[stimulus.loading] : null;
+  const loaded = LOADED_MODALITIES.includes(String(movement.modality || "").toLowerCase());
+  return (domain ? domain.volumeFactor : 1) * (loading && loaded ? loading.repFactor : 1);
+}
+
+function isSkillWork(movement) {
+  const effects = (movement.effects || []).map((effect) => String(effect).toLowerCase());
+  return String(movement.difficulty || "").toLowerCase() === "advanced" || effects.includes("skill");
+}
+
+function stimulusLoading(stimulus) {
+  return stimulus && stimulus.loading ? STIMULUS_LOADING[stimulus.loading] : null;
+}
+
+// The modality groups a structure draws its first `count` stations from. When the loading needs a
+// loaded station and none of them is loaded, the last gives way to the structure's first loaded group.
+function stimulusGroups(groups, count, stimulus) {
+  const drawn = groups.slice(0, count);
+  const loading = stimulusLoading(stimulus);
+  const isLoaded = (group) => group.some((modality) => LOADED_MODALITIES.includes(modality));
+  const loaded = groups.find(isLoaded);
+  if (!loading || !loading.loadedStation || drawn.some(isLoaded) || !loaded) {
+    return drawn;
+  }
+  return [...drawn.slice(0, -1), loaded];
+}
+
+// The ranked candidates re-sorted for the metcon: heavy loading favors loaded movements and skill
+// density moves skill work up or down. Without a shift the ranking is returned as it is.
+function stimulusRanking(ranked, stimulus) {
+  const loadedShift = stimulus && stimulus.loading ? STIMULUS_LOADING[stimulus.loading].loadedShift : 0;
+  const skillShift =
+    stimulus && stimulus.skill_density ? STIMULUS_SKILL_DENSITY[stimulus.skill_density].skillShift : 0;
+  if (!loadedShift && !skillShift) {
+    return ranked;
+  }
+  return ranked
+    .map(([movement, score]) => {
+      const loaded = LOADED_MODALITIES.includes(String(movement.modality || "").toLowerCase());
+      return [movement, score + (loaded ? loadedShift : 0) + (isSkillWork(movement) ? skillShift : 0)];
+    })
+    .sort((left, right) => right[1] - left[1]);
+}
+
+// The stimulus as the plan echoes it, with a line for the coach's brief.
+function describeStimulus(stimulus) {
+  if (!stimulus) {
+    return null;
+  }
+  const parts = Object.entries(STIMULUS_FIELDS)
+    .filter(([field]) => stimulus[field])
+    .map(([field, options]) => options[stimulus[field]].brief);
+  const brief = parts.join("; ");
+  const domain = stimulusTimeDomain(stimulus);
+  return {
+    ...stimulus,
+    target_minutes: domain ? [domain.minMinutes, domain.maxMinutes] : null,
+    brief: `${brief.charAt(0).toUpperCase()}${brief.slice(1)}`,
+  };
+}
+
+module.exports = {
+  STIMULUS_TIME_DOMAINS,
+  STIMULUS_LOADING,
+  STIMULUS_SKILL_DENSITY,
+  STIMULUS_FIELDS,
+  normalizeStimulus,
+  stimulusTimeDomain,
+  stimulusVolumeFactor,
+  stimulusLoading,
+  stimulusGroups,
+  stimulusRanking,
+  describeStimulus,
+};
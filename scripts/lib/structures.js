@@ -0,0 +1,176 @@
+"use strict";
+
+const { stimulusTimeDomain } = require("./stimulus");
+const { formatDuration, formatVolume } = require("./volume");
+
+const MONO = ["monostructural"];
+const GYM = ["gymnastics"];
+const LOADED = ["weightlifting", "odd-object"];
+const ANY = [...MONO, ...GYM, ...LOADED];
+const LADDER_EXTRAS = [...GYM, ...LOADED];
+
+// An intended time domain sets the movement count; otherwise longer sessions take one more.
+function standardCount(profile) {
+  const domain = stimulusTimeDomain(profile.stimulus);
+  if (domain) {
+    return domain.movementCount;
+  }
+  return profile.session_minutes > 45 ? 4 : 3;
+}
+
+// Movement rules per metcon structure: `groups` are modality groups filled first, in order, then any of
+// `extras` tops the piece up to `count`; fewer than `minimum` movements cannot make the structure.
+// `units` limits stations to volume units the structure can count (null allows any).
+const STRUCTURES = {
+  amrap: { groups: [MONO, GYM, LOADED], extras: ANY, units: null, minimum: 1, count: standardCount },
+  for_time: { groups: [MONO, GYM, LOADED], extras: ANY, units: null, minimum: 1, count: standardCount },
+  emom: { groups: [MONO, GYM, LOADED], extras: ANY, units: null, minimum: 1, count: standardCount },
+  chipper: { groups: [MONO, GYM, LOADED], extras: ANY, units: null, minimum: 1, count: standardCount },
+  interval: { groups: [MONO, GYM, LOADED], extras: ANY, units: null, minimum: 1, count: standardCount },
+  // One four-minute Tabata per movement with a minute between them.
+  tabata: {
+    groups: [GYM, MONO, LOADED],
+    extras: ANY,
+    units: ["rep", "calorie"],
+    minimum: 1,
+    count: (profile, minutes) => Math.max(1, Math.min(4, Math.floor((minutes + 1) / 5))),
+  },
+  death_by: {
+    groups: [GYM, LOADED],
+    extras: [...GYM, ...LOADED],
+    units: ["rep"],
+    minimum: 1,
+    count: (profile, minutes) => (minutes > 12 ? 2 : 1),
+  },
+  ascending_ladder: { groups: [LOADED, GYM], extras: LADDER_EXTRAS, units: ["rep"], minimum: 2, count: () => 2 },
+  descending_ladder: { groups: [LOADED, GYM], extras: LADDER_EXTRAS, units: ["rep"], minimum: 2, count: () => 2 },
+  couplet: { groups: [LOADED, GYM], extras: ANY, units: ["rep", "calorie"], minimum: 2, count: () => 2 },
+  triplet: { groups: [MONO, LOADED, GYM], extras: ANY, units: ["rep", "calorie"], minimum: 3, count: () => 3 },
+  // Buy-in first, cash-out last, two movements for rounds in between.
+  buy_in_cash_out: { groups: [MONO, GYM, LOADED, MONO], extras: ANY, units: null, minimum: 4, count: () => 4 },
+  e2mom: { groups: [LOADED, GYM], extras: ANY, units: null, minimum: 1, count: () => 2 },
+  e3mom: { groups: [LOADED, GYM, MONO], extras: ANY, units: null, minimum: 2, count: () => 3 },
+  // Quality work is positions and tempo, so no cyclical pieces.
+  rounds_for_quality: {
+    groups: [GYM, LOADED, GYM],
+    extras: [...GYM, ...LOADED],
+    units: ["rep", "second"],
+    minimum: 2,
+    count: standardCount,
+  },
+};
+
+const STRUCTURE_LABELS = {
+  amrap: "AMRAP",
+  for_time: "Rounds for time",
+  emom: "EMOM",
+  chipper: "Chipper",
+  interval: "Intervals",
+  tabata: "Tabata",
+  death_by: "Death-By",
+  ascending_ladder: "Ascending ladder",
+  descending_ladder: "Descending ladder",
+  couplet: "Couplet",
+  triplet: "Triplet",
+  buy_in_cash_out: "Buy-in / cash-out",
+  e2mom: "E2MOM",
+  e3mom: "E3MOM",
+  rounds_for_quality: "Rounds for quality",
+};
+
+// Structures scored by the time to finish; the rest are scored by work done in a fixed time.
+const FOR_TIME_TYPES = ["for_time", "chipper", "descending_ladder", "couplet", "triplet", "buy_in_cash_out"];
+
+// Structures whose finish is not the block's clock, so renderers show `estimated_duration_min`.
+const ESTIMATED_DURATION_TYPES = [...FOR_TIME_TYPES, "tabata", "rounds_for_quality"];
+
+// What `expected_rounds` counts for each structure that has one.
+const EXPECTED_UNITS = {
+  interval: "rounds per work interval",
+  death_by: "minutes",
+  ascending_ladder: "rungs",
+};
+
+function expectedUnit(wodType) {
+  return EXPECTED_UNITS[wodType] || "rounds";
+}
+
+// One station as `describeMetcon` lists it: `volume` alone, `label` for the movement and its load,
+// `line` with both ("12 reps Thruster @ 43/30 kg"), and `name` for structures whose rep scheme carries
+// the volume ("Calorie Row").
+function describeStation(volume, movementName, loadLabel = null) {
+  const calories = volume.unit === "calorie" ? "Calorie " : "";
+  const label = `${movementName}${loadLabel ? ` @ ${loadLabel}` : ""}`;
+  const prescription = formatVolume(volume);
+  return { volume: prescription, label, line: `${prescription} ${label}`, name: `${calories}${label}` };
+}
+
+function describeMetcon(wodType, volumePlan, stations, minutes) {
+  const lines = stations.map((station) => station.line);
+  const names = stations.map((station) => station.name);
+  if (wodType === "amrap") {
+    return `${minutes}-min AMRAP: ${lines.join(" | ")}`;
+  }
+  if (wodType === "for_time") {
+    const rounds = volumePlan.rounds > 1 ? `${volumePlan.rounds} rounds for time` : "For time";
+    return `${rounds} (${minutes}-min cap): ${lines.join(" | ")}`;
+  }
+  if (wodType === "emom") {
+    const minuteLines = lines.map((line, idx) => `Min ${idx + 1}: ${line}`);
+    return `EMOM ${volumePlan.emomMinutes} (cycle ${stations.length} stations): ${minuteLines.join(" | ")}`;
+  }
+  if (wodType === "chipper") {
+    return `For time chipper (${minutes}-min cap): ${lines.join(" -> ")}`;
+  }
+  if (wodType === "tabata") {
+    const onOff = `${volumePlan.workSec} sec on / ${volumePlan.restSec} sec off x ${volumePlan.rounds}`;
+    const targets = stations.map((station) => `${station.label} (${station.volume} per interval)`);
+    const between = `${formatDuration(volumePlan.breakSec)} between`;
+    return `Tabata x${stations.length} (${onOff}, ${between}): ${targets.join(" | ")}`;
+  }
+  if (wodType === "death_by") {
+    const increment = volumePlan.increment;
+    const reps = `${increment} rep${increment > 1 ? "s" : ""}${stations.length > 1 ? " of each" : ""}`;
+    return (
+      `Death by ${names.join(" + ")} (${minutes}-min cap): ${reps} in minute 1, ` +
+      `add ${increment} every minute until you cannot finish inside the minute`
+    );
+  }
+  if (wodType === "ascending_ladder") {
+    const rungs = [1, 2, 3].map((rung) => rung * volumePlan.increment).join("-");
+    return `Ascending ladder (${minutes}-min AMRAP): ${rungs}-… reps of ${names.join(" | ")}`;
+  }
+  if (wodType === "descending_ladder") {
+    const scheme = volumePlan.repScheme.join("-");
+    return `Descending ladder for time (${minutes}-min cap): ${scheme} reps of ${names.join(" | ")}`;
+  }
+  if (wodType === "couplet" || wodType === "triplet") {
+    return `${volumePlan.repScheme.join("-")} for time (${minutes}-min cap): ${names.join(" | ")}`;
+  }
+  if (wodType === "buy_in_cash_out") {
+    const middle = lines.slice(1, -1).join(" | ");
+    return (
+      `For time (${minutes}-min cap): buy-in ${lines[0]}, then ${volumePlan.rounds} rounds of ${middle}, ` +
+      `then cash-out ${lines[lines.length - 1]}`
+    );
+  }
+  if (wodType === "e2mom" || wodType === "e3mom") {
+    return `Every ${volumePlan.intervalMin} min x ${volumePlan.rounds}: ${lines.join(" + ")}`;
+  }
+  if (wodType === "rounds_for_quality") {
+    const rest = formatDuration(volumePlan.restSec);
+    return `${volumePlan.rounds} rounds for quality, not time (${rest} rest between rounds): ${lines.join(" | ")}`;
+  }
+  const workRest = `${formatDuration(volumePlan.workSec)} work / ${formatDuration(volumePlan.restSec)} rest`;
+  return `${volumePlan.rounds} rounds: ${workRest} on ${lines.join(" | ")}`;
+}
+
+module.exports = {
+  STRUCTURES,
+  STRUCTURE_LABELS,
+  FOR_TIME_TYPES,
+  ESTIMATED_DURATION_TYPES,
+  expectedUnit,
+  describeStation,
+  describeMetcon,
+};
@@ -0,0 +1,199 @@
+"use strict";
+
+const { contextViolations } = require("./coherence");
+const { InputError } = require("./errors");
+const { metconLoad } = require("./loads");
+const { LEVEL_RANK } = require("./profile");
+const { asLowerSet, movementMap } = require("./util");
+const { describeUnknown } = require("./validate");
+const { formatVolume, repTarget, scaleVolume, secondsPerUnit } = require("./volume");
+
+// How much each kind of likeness counts when ranking replacements: patterns say what the movement
+// trains (its first pattern most of all), effects why it is in the piece, modality how it feels; each
+// level of difficulty apart costs.
+const SIMILARITY_WEIGHTS = { pattern: 3, primaryPattern: 3, effect: 1.5, modality: 2, difficultyStep: 1 };
+const DEFAULT_SUBSTITUTE_LIMIT = 5;
+const VOLUME_UNITS = { rep: "rep", reps: "rep", cal: "calorie", m: "meter", sec: "second", s: "second" };
+// Reps converted between two non-cyclical movements stay within this share of the replacement's own
+// standard volume.
+const REP_CONVERSION_RANGE = { min: 0.5, max: 1.5 };
+
+function movementKey(movement) {
+  return String(movement.name || "").trim().toLowerCase();
+}
+
+function difficultyRank(movement) {
+  return LEVEL_RANK[String(movement.difficulty || "intermediate").toLowerCase()] ?? 1;
+}
+
+// Why the athlete cannot do `movement` today, or null when they can: the first of level, equipment,
+// limitation and, for the skill goal, a recent repeat that rules it out.
+function exclusionReason(movement, profile, recentMovements) {
+  const levelRank = LEVEL_RANK[profile.fitness_level];
+  const movementLevel = difficultyRank(movement);
+
+  const allowSkillReach = profile.goal === "skill";
+  if (movementLevel > levelRank + (allowSkillReach ? 1 : 0)) {
+    const difficulty = String(movement.difficulty || "intermediate").toLowerCase();
+    return { reason: "level", detail: `${difficulty} movement above ${profile.fitness_level} level` };
+  }
+
+  const equipmentNeeded = asLowerSet(movement.equipment || []);
+  const optionalEquipment = new Set(["none", "bodyweight"]);
+  const requiredEquipment = new Set(Array.from(equipmentNeeded).filter((item) => !optionalEquipment.has(item)));
+  const availableEquipment = asLowerSet(profile.equipment_available || []);
+  const missing = Array.from(requiredEquipment).filter((item) => !availableEquipment.has(item));
+  if (missing.length > 0) {
+    return { reason: "equipment", detail: `needs ${missing.join(", ")}` };
+  }
+
+  const movementName = movementKey(movement);
+  if (profile.limitations.avoid_movements.includes(movementName)) {
+    return { reason: "limitation", detail: "avoided movement" };
+  }
+
+  const movementPatterns = asLowerSet(movement.patterns || []);
+  const avoidPatterns = new Set(profile.limitations.avoid_patterns || []);
+  const avoided = Array.from(movementPatterns).filter((pattern) => avoidPatterns.has(pattern));
+  if (avoided.length > 0) {
+    return { reason: "limitation", detail: `avoided pattern ${avoided.join(", ")}` };
+  }
+
+  if (profile.goal === "skill" && recentMovements.has(movementName)) {
+    return { reason: "skill_repeat", detail: "done recently and the goal is skill" };
+  }
+
+  return null;
+}
+
+function canDoMovement(movement, profile, recentMovements) {
+  return exclusionReason(movement, profile, recentMovements) === null;
+}
+
+function similarity(movement, candidate) {
+  const patterns = asLowerSet(movement.patterns || []);
+  const effects = asLowerSet(movement.effects || []);
+  const sharedPatterns = Array.from(asLowerSet(candidate.patterns || [])).filter((item) => patterns.has(item));
+  const sharedEffects = Array.from(asLowerSet(candidate.effects || [])).filter((item) => effects.has(item));
+  const sameModality =
+    String(candidate.modality || "").toLowerCase() === String(movement.modality || "").toLowerCase();
+  const primary = String((movement.patterns || [])[0] || "").toLowerCase();
+  const score =
+    SIMILARITY_WEIGHTS.pattern * sharedPatterns.length +
+    (sharedPatterns.includes(primary) ? SIMILARITY_WEIGHTS.primaryPattern : 0) +
+    SIMILARITY_WEIGHTS.effect * sharedEffects.length +
+    (sameModality ? SIMILARITY_WEIGHTS.modality : 0) -
+    SIMILARITY_WEIGHTS.difficultyStep * Math.abs(difficultyRank(candidate) - difficultyRank(movement));
+  return { score, sharedPatterns, sharedEffects, sameModality };
+}
+
+// The replacement's volume that takes the athlete as long as the original prescription, counted in the
+// replacement's own unit: 12/10 cal of rowing becomes 150 m of running or 13/11 cal on the bike. Counted
+// in reps the pace alone runs away (6 rope climbs are not 40 pull-ups, an 18-minute row is not 540
+// swings), so a rep count stays inside REP_CONVERSION_RANGE of the replacement's standard.
+function convertVolume(movement, volume, replacement, level) {
+  const seconds = volume.amount * secondsPerUnit(movement, volume.unit, level);
+  const target = repTarget(replacement, level);
+  let factor = seconds / (target.amount * secondsPerUnit(replacement, target.unit, level));
+  if (target.unit === "rep") {
+    factor = Math.min(REP_CONVERSION_RANGE.max, Math.max(REP_CONVERSION_RANGE.min, factor));
+  }
+  return scaleVolume(target, factor);
+}
+
+// Movements the athlete can do in place of `movement`, most alike first, each with its metcon load when
+// it is loaded. A replacement must share at least one pattern, fit the profile's level, equipment,
+// limitations and piece contexts on its own, and pass `accept`; recovery work only stands in for
+// recovery work. Ties go to the alphabetically first name.
+function rankSubstitutes(movement, profile, movements, options = {}) {
+  const { excluded = new Set(), accept = null, volume = null } = options;
+  const recovery = String(movement.modality || "").toLowerCase() === "recovery";
+  const ranked = [];
+  for (const candidate of movements) {
+    const key = movementKey(candidate);
+    if (
+      key === movementKey(movement) ||
+      excluded.has(key) ||
+      (String(candidate.modality || "").toLowerCase() === "recovery") !== recovery ||
+      !canDoMovement(candidate, profile, new Set()) ||
+      contextViolations([candidate], profile.equipment_available).length > 0 ||
+      (accept && !accept(candidate))
+    ) {
+      continue;
+    }
+    const likeness = similarity(movement, candidate);
+    if (likeness.sharedPatterns.length === 0) {
+      continue;
+    }
+    ranked.push({
+      movement: candidate,
+      ...likeness,
+      volume: volume ? convertVolume(movement, volume, candidate, profile.fitness_level) : null,
+      load: metconLoad(candidate, profile, profile.stimulus ? profile.stimulus.loading : null),
+    });
+  }
+  return ranked.sort(
+    (left, right) => right.score - left.score || left.movement.name.localeCompare(right.movement.name),
+  );
+}
+
+// "12/10 cal", "200 m", "45 sec", "10 reps" or a bare count in the movement's own unit (unit null).
+function parseVolume(raw) {
+  const match = /^(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?\s*([a-z]*)$/i.exec(String(raw || "").trim());
+  if (!match || !(Number(match[1]) > 0)) {
+    return null;
+  }
+  const unit = match[3] ? VOLUME_UNITS[match[3].toLowerCase()] : null;
+  if (match[3] && !unit) {
+    return null;
+  }
+  if (match[2] && unit !== "calorie") {
+    return null;
+  }
+  const volume = { amount: Number(match[1]), unit };
+  if (match[2]) {
+    volume.altAmount = Number(match[2]);
+  }
+  return volume;
+}
+
+// What replaces one named movement for this athlete: `volume` (from `parseVolume`) defaults to the
+// movement's standard prescription at the athlete's level.
+function substituteMovement(name, profile, movements, options = {}) {
+  const movement = movementMap(movements).get(String(name || "").trim().toLowerCase());
+  if (!movement) {
+    const names = movements.map((item) => item.name);
+    throw new InputError(describeUnknown(name, "movement", names));
+  }
+  const level = profile.fitness_level;
+  const standard = repTarget(movement, level);
+  const volume = options.volume ? { ...options.volume, unit: options.volume.unit || standard.unit } : standard;
+  const limit = options.limit || DEFAULT_SUBSTITUTE_LIMIT;
+  const substitutes = rankSubstitutes(movement, profile, movements, { volume });
+
+  return {
+    movement: movement.name,
+    prescription: formatVolume(volume),
+    fitness_level: level,
+    available: canDoMovement(movement, profile, new Set()),
+    substitutes: substitutes.slice(0, limit).map((entry) => ({
+      movement: entry.movement.name,
+      prescription: formatVolume(entry.volume),
+      load: entry.load ? { load_kg: entry.load.load_kg, label: entry.load.label } : null,
+      score: entry.score,
+      modality: entry.movement.modality,
+      shared_patterns: entry.sharedPatterns,
+      shared_effects: entry.sharedEffects,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_SUBSTITUTE_LIMIT,
+  canDoMovement,
+  exclusionReason,
+  rankSubstitutes,
+  convertVolume,
+  parseVolume,
+  substituteMovement,
+};
@@ -0,0 +1,106 @@
+"use strict";
+
+function asLowerSet(values) {
+  const out = new Set();
+  if (!Array.isArray(values)) {
+    return out;
+  }
+  for (const value of values) {
+    if (typeof value !== "string") {
+      continue;
+    }
+    const normalized = value.trim().toLowerCase();
+    if (normalized) {
+      out.add(normalized);
+    }
+  }
+  return out;
+}
+
+function sortedListFromSet(values) {
+  return Array.from(values).sort();
+}
+
+function parseIsoDate(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (!Number.isInteger(year) || !Number.isInteger(month) || !Number.isInteger(day)) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return {
+    ordinalDay: Math.floor(date.getTime() / 86400000),
+  };
+}
+
+function formatIsoDate(ordinalDay) {
+  return new Date(ordinalDay * 86400000).toISOString().slice(0, 10);
+}
+
+function todayOrdinalDay() {
+  const now = new Date();
+  const date = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  return Math.floor(date.getTime() / 86400000);
+}
+
+function todaySeed() {
+  const now = new Date();
+  const year = String(now.getFullYear());
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return Number(`${year}${month}${day}`);
+}
+
+function movementMap(movements) {
+  const out = new Map();
+  for (const movement of movements) {
+    if (!movement || typeof movement !== "object") {
+      continue;
+    }
+    const name = String(movement.name || "").trim();
+    if (name) {
+      out.set(name.toLowerCase(), movement);
+    }
+  }
+  return out;
+}
+
+function incrementCounter(counter, key) {
+  counter.set(key, (counter.get(key) || 0) + 1);
+}
+
+function requiredEquipmentSet(movement) {
+  const optionalEquipment = new Set(["none", "bodyweight"]);
+  return new Set(Array.from(asLowerSet(movement.equipment || [])).filter((item) => !optionalEquipment.has(item)));
+}
+
+module.exports = {
+  asLowerSet,
+  sortedListFromSet,
+  parseIsoDate,
+  formatIsoDate,
+  todayOrdinalDay,
+  todaySeed,
+  movementMap,
+  incrementCounter,
+  requiredEquipmentSet,
+};
@@ -0,0 +1,690 @@
+"use strict";
+
+const { PIECE_CONTEXTS } = require("./coherence");
+const { ValidationError } = require("./errors");
+const { INJURY_REGIONS, INJURY_SEVERITIES, INJURY_SIDES } = require("./injuries");
+const { READINESS_FIELDS } = require("./readiness");
+const { STIMULUS_FIELDS, STIMULUS_TIME_DOMAINS } = require("./stimulus");
+const {
+  DEFAULT_PROFILE,
+  DIVISIONS,
+  GOALS,
+  INTENSITIES,
+  LEVEL_RANK,
+  PARTNER_FORMATS,
+  PROGRESSIONS,
+  SEXES,
+  WOD_TYPES,
+} = require("./profile");
+const { parseIsoDate } = require("./util");
+
+const EXTRA_PROFILE_FIELDS = [
+  "name",
+  "sex",
+  "division",
+  "one_rep_max",
+  "progression",
+  "partner_format",
+  "benchmark_retest_weeks",
+  "fatigue_half_lives",
+];
+const EXTRA_HISTORY_FIELDS = [
+  "date",
+  "movements",
+  "patterns",
+  "intensity",
+  "wod_type",
+  "duration_min",
+  "seed",
+  "lifts",
+  "results",
+];
+const CLASS_FIELDS = [
+  "name",
+  "equipment",
+  "athletes",
+  "goal",
+  "session_minutes",
+  "wod_type",
+  "intensity",
+  "preferred_modalities",
+  "progression",
+];
+const PSEUDO_EQUIPMENT = ["none", "bodyweight"];
+const SCORE_TYPES = ["rounds_reps", "time", "reps"];
+
+// Valid ids for profile and history values, derived from the movement library rather than hard-coded.
+function buildVocabulary(movements, equipmentRegistry = []) {
+  const equipment = new Set([...PSEUDO_EQUIPMENT, ...equipmentRegistry]);
+  const patterns = new Set();
+  const modalities = new Set();
+  const movementNames = new Map();
+
+  for (const movement of movements) {
+    if (!movement || typeof movement !== "object") {
+      continue;
+    }
+    const name = String(movement.name || "").trim();
+    if (name) {
+      movementNames.set(name.toLowerCase(), name);
+    }
+    const modality = String(movement.modality || "").trim().toLowerCase();
+    if (modality) {
+      modalities.add(modality);
+    }
+    for (const item of Array.isArray(movement.equipment) ? movement.equipment : []) {
+      equipment.add(String(item).trim().toLowerCase());
+    }
+    for (const pattern of Array.isArray(movement.patterns) ? movement.patterns : []) {
+      patterns.add(String(pattern).trim().toLowerCase());
+    }
+  }
+  for (const context of Object.values(PIECE_CONTEXTS)) {
+    for (const item of context.equipment) {
+      equipment.add(item);
+    }
+  }
+
+  return { equipment, patterns, modalities, movementNames };
+}
+
+function editDistance(left, right) {
+  let previous = Array.from({ length: right.length + 1 }, (_, idx) => idx);
+  for (let row = 1; row <= left.length; row += 1) {
+    const current = [row];
+    for (let col = 1; col <= right.length; col += 1) {
+      const cost = left[row - 1] === right[col - 1] ? 0 : 1;
+      current.push(Math.min(previous[col] + 1, current[col - 1] + 1, previous[col - 1] + cost));
+    }
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+function closestMatch(value, candidates) {
+  const needle = String(value).trim().toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(needle, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(needle.length / 3)) ? best : null;
+}
+
+function describeUnknown(value, kind, candidates) {
+  const suggestion = closestMatch(value, candidates);
+  const base = `${JSON.stringify(value)} is not a known ${kind}`;
+  return suggestion ? `${base} — did you mean ${JSON.stringify(suggestion)}?` : base;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function createCollector() {
+  const diagnostics = [];
+  return {
+    diagnostics,
+    error: (jsonPath, message) => diagnostics.push({ level: "error", path: jsonPath, message }),
+    warning: (jsonPath, message) => diagnostics.push({ level: "warning", path: jsonPath, message }),
+  };
+}
+
+function checkEnum(report, jsonPath, value, allowed, kind) {
+  if (typeof value !== "string") {
+    report.error(jsonPath, `expected one of ${allowed.join(", ")}`);
+    return;
+  }
+  if (!allowed.includes(value.trim().toLowerCase())) {
+    report.error(jsonPath, describeUnknown(value, kind, allowed));
+  }
+}
+
+function checkStringList(report, jsonPath, values, known, kind, level = "error") {
+  if (!Array.isArray(values)) {
+    report.error(jsonPath, "expected an array of strings");
+    return;
+  }
+  values.forEach((value, idx) => {
+    const itemPath = `${jsonPath}[${idx}]`;
+    if (typeof value !== "string" || !value.trim()) {
+      report.error(itemPath, "expected a non-empty string");
+      return;
+    }
+    if (!known.has(value.trim().toLowerCase())) {
+      report[level](itemPath, describeUnknown(value, kind, Array.from(known.values())));
+    }
+  });
+}
+
+function validateProfile(rawProfile, vocabulary) {
+  const report = createCollector();
+  if (!isPlainObject(rawProfile)) {
+    report.error("$", "profile must be a JSON object");
+    return report.diagnostics;
+  }
+
+  const knownFields = [...Object.keys(DEFAULT_PROFILE), ...EXTRA_PROFILE_FIELDS];
+  for (const key of Object.keys(rawProfile)) {
+    if (!knownFields.includes(key)) {
+      report.warning(`$.${key}`, describeUnknown(key, "profile field", knownFields));
+    }
+  }
+
+  if (rawProfile.goal !== undefined) {
+    checkEnum(report, "$.goal", rawProfile.goal, GOALS, "goal");
+  }
+  if (rawProfile.fitness_level !== undefined) {
+    checkEnum(report, "$.fitness_level", rawProfile.fitness_level, Object.keys(LEVEL_RANK), "fitness level");
+  }
+  if (rawProfile.intensity !== undefined) {
+    checkEnum(report, "$.intensity", rawProfile.intensity, INTENSITIES, "intensity");
+  }
+  if (rawProfile.wod_type !== undefined && rawProfile.wod_type !== null) {
+    checkEnum(report, "$.wod_type", rawProfile.wod_type, WOD_TYPES, "WOD type");
+  }
+  if (rawProfile.sex !== undefined && rawProfile.sex !== null) {
+    checkEnum(report, "$.sex", rawProfile.sex, SEXES, "sex");
+  }
+  if (rawProfile.division !== undefined && rawProfile.division !== null) {
+    checkEnum(report, "$.division", rawProfile.division, DIVISIONS, "division");
+  }
+
+  if (rawProfile.progression !== undefined && rawProfile.progression !== null) {
+    checkEnum(report, "$.progression", rawProfile.progression, PROGRESSIONS, "progression model");
+  }
+  if (rawProfile.partner_format !== undefined && rawProfile.partner_format !== null) {
+    checkEnum(report, "$.partner_format", rawProfile.partner_format, PARTNER_FORMATS, "partner format");
+  }
+  if (rawProfile.benchmark_retest_weeks !== undefined && rawProfile.benchmark_retest_weeks !== null) {
+    const weeks = rawProfile.benchmark_retest_weeks;
+    if (!Number.isInteger(weeks) || weeks < 1) {
+      report.error("$.benchmark_retest_weeks", `${JSON.stringify(weeks)} is not a positive whole number of weeks`);
+    }
+  }
+  if (rawProfile.fatigue_half_lives !== undefined) {
+    if (!isPlainObject(rawProfile.fatigue_half_lives)) {
+      report.error("$.fatigue_half_lives", "expected an object of pattern to days");
+    } else {
+      for (const [pattern, days] of Object.entries(rawProfile.fatigue_half_lives)) {
+        const patternPath = `$.fatigue_half_lives[${JSON.stringify(pattern)}]`;
+        if (!vocabulary.patterns.has(pattern.trim().toLowerCase())) {
+          report.warning(patternPath, describeUnknown(pattern, "pattern", Array.from(vocabulary.patterns)));
+        }
+        if (typeof days !== "number" || !(days > 0)) {
+          report.error(patternPath, `${JSON.stringify(days)} is not a positive number of days`);
+        }
+      }
+    }
+  }
+  if (rawProfile.name !== undefined && (typeof rawProfile.name !== "string" || !rawProfile.name.trim())) {
+    report.error("$.name", "expected a non-empty string");
+  }
+
+  if (rawProfile.session_minutes !== undefined) {
+    const minutes = Number(rawProfile.session_minutes);
+    if (!Number.isInteger(minutes)) {
+      report.error(
+        "$.session_minutes",
+        `${JSON.stringify(rawProfile.session_minutes)} is not a whole number of minutes`,
+      );
+    } else if (minutes < 20 || minutes > 120) {
+      report.error("$.session_minutes", `${minutes} is outside the supported range 20-120`);
+    }
+  }
+
+  if (rawProfile.equipment_available !== undefined) {
+    checkStringList(
+      report,
+      "$.equipment_available",
+      rawProfile.equipment_available,
+      vocabulary.equipment,
+      "equipment id",
+    );
+  }
+  if (rawProfile.preferred_modalities !== undefined) {
+    checkStringList(
+      report,
+      "$.preferred_modalities",
+      rawProfile.preferred_modalities,
+      vocabulary.modalities,
+      "modality",
+    );
+  }
+
+  if (rawProfile.limitations !== undefined) {
+    if (!isPlainObject(rawProfile.limitations)) {
+      report.error("$.limitations", "expected an object with avoid_patterns and avoid_movements");
+    } else {
+      const limitations = rawProfile.limitations;
+      for (const key of Object.keys(limitations)) {
+        if (key !== "avoid_patterns" && key !== "avoid_movements" && key !== "injuries") {
+          report.warning(`$.limitations.${key}`, `${JSON.stringify(key)} is not a known limitations field`);
+        }
+      }
+      if (limitations.avoid_patterns !== undefined) {
+        checkStringList(
+          report,
+          "$.limitations.avoid_patterns",
+          limitations.avoid_patterns,
+          vocabulary.patterns,
+          "pattern",
+        );
+      }
+      if (limitations.avoid_movements !== undefined) {
+        checkStringList(
+          report,
+          "$.limitations.avoid_movements",
+          limitations.avoid_movements,
+          vocabulary.movementNames,
+          "movement",
+        );
+      }
+      if (limitations.injuries !== undefined) {
+        validateInjuries(report, "$.limitations.injuries", limitations.injuries);
+      }
+    }
+  }
+  for (const field of ["rehab_block", "accessory_block", "balance_bonus"]) {
+    if (rawProfile[field] !== undefined && typeof rawProfile[field] !== "boolean") {
+      report.error(`$.${field}`, "expected true or false");
+    }
+  }
+  if (rawProfile.readiness !== undefined && rawProfile.readiness !== null) {
+    checkReadiness(report, "$.readiness", rawProfile.readiness, false);
+  }
+  if (rawProfile.stimulus !== undefined && rawProfile.stimulus !== null) {
+    checkStimulus(report, rawProfile.stimulus, rawProfile.wod_type);
+  }
+
+  if (rawProfile.one_rep_max !== undefined) {
+    if (!isPlainObject(rawProfile.one_rep_max)) {
+      report.error("$.one_rep_max", "expected an object of movement name to kilos");
+    } else {
+      for (const [lift, value] of Object.entries(rawProfile.one_rep_max)) {
+        const liftPath = `$.one_rep_max[${JSON.stringify(lift)}]`;
+        if (!vocabulary.movementNames.has(lift.trim().toLowerCase())) {
+          report.error(liftPath, describeUnknown(lift, "movement", Array.from(vocabulary.movementNames.values())));
+        }
+        if (!Number.isFinite(Number(value)) || Number(value) <= 0) {
+          report.error(liftPath, `${JSON.stringify(value)} is not a positive load in kilos`);
+        }
+      }
+    }
+  }
+
+  return report.diagnostics;
+}
+
+function validateInjuries(report, jsonPath, injuries) {
+  if (!Array.isArray(injuries)) {
+    report.error(jsonPath, "expected an array of {region, severity, side}");
+    return;
+  }
+  const regions = Object.keys(INJURY_REGIONS);
+  injuries.forEach((injury, idx) => {
+    const injuryPath = `${jsonPath}[${idx}]`;
+    if (!isPlainObject(injury)) {
+      report.error(injuryPath, "injury must be an object");
+      return;
+    }
+    if (typeof injury.region !== "string" || !injury.region.trim()) {
+      report.error(`${injuryPath}.region`, `expected one of ${regions.join(", ")}`);
+    } else if (!regions.includes(injury.region.trim().toLowerCase().replace(/[\s_]+/g, "-"))) {
+      report.error(`${injuryPath}.region`, describeUnknown(injury.region, "body region", regions));
+    }
+    if (injury.severity === undefined) {
+      report.warning(`${injuryPath}.severity`, "missing; the injury is treated as mild");
+    } else {
+      checkEnum(report, `${injuryPath}.severity`, injury.severity, INJURY_SEVERITIES, "severity");
+    }
+    if (injury.side !== undefined && injury.side !== null) {
+      checkEnum(report, `${injuryPath}.side`, injury.side, INJURY_SIDES, "side");
+    }
+  });
+}
+
+// A requested wod_type wins over the time domain's structures, so one that does not suit it is warned about.
+function checkStimulus(report, stimulus, wodType) {
+  const fields = Object.keys(STIMULUS_FIELDS);
+  if (!isPlainObject(stimulus)) {
+    report.error("$.stimulus", `expected an object with ${fields.join(", ")}`);
+    return;
+  }
+  for (const [key, value] of Object.entries(stimulus)) {
+    if (!fields.includes(key)) {
+      report.warning(`$.stimulus.${key}`, describeUnknown(key, "stimulus field", fields));
+    } else if (value !== null) {
+      checkEnum(report, `$.stimulus.${key}`, value, Object.keys(STIMULUS_FIELDS[key]), key.replace(/_/g, " "));
+    }
+  }
+  const domain = typeof stimulus.time_domain === "string" ? stimulus.time_domain.trim().toLowerCase() : "";
+  if (
+    typeof wodType === "string" &&
+    Object.prototype.hasOwnProperty.call(STIMULUS_TIME_DOMAINS, domain) &&
+    !STIMULUS_TIME_DOMAINS[domain].wodTypes.includes(wodType.trim().toLowerCase())
+  ) {
+    report.warning("$.wod_type", `${JSON.stringify(wodType)} does not suit the ${domain} time domain`);
+  }
+}
+
+// Resting HR and HRV count for nothing without their baselines. A standalone check-in may leave those to
+// the profile, so only a profile's own readiness is warned about a missing one.
+function checkReadiness(report, jsonPath, readiness, standalone) {
+  if (!isPlainObject(readiness)) {
+    report.error(jsonPath, `expected an object with ${READINESS_FIELDS.join(", ")}`);
+    return;
+  }
+  for (const key of Object.keys(readiness)) {
+    if (!READINESS_FIELDS.includes(key)) {
+      report.warning(`${jsonPath}.${key}`, describeUnknown(key, "readiness field", READINESS_FIELDS));
+    }
+  }
+
+  const sleep = readiness.sleep_hours;
+  if (sleep !== undefined && (typeof sleep !== "number" || sleep < 0 || sleep > 24)) {
+    report.error(`${jsonPath}.sleep_hours`, `${JSON.stringify(sleep)} is not a number of hours between 0 and 24`);
+  }
+  const checkScale = (fieldPath, value) => {
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      report.error(fieldPath, `${JSON.stringify(value)} is not a whole number from 1 to 5`);
+    }
+  };
+  if (readiness.stress !== undefined) {
+    checkScale(`${jsonPath}.stress`, readiness.stress);
+  }
+  if (readiness.soreness !== undefined) {
+    if (!isPlainObject(readiness.soreness)) {
+      report.error(`${jsonPath}.soreness`, "expected an object of body region to a 1-5 soreness level");
+    } else {
+      const regions = Object.keys(INJURY_REGIONS);
+      for (const [region, level] of Object.entries(readiness.soreness)) {
+        const regionPath = `${jsonPath}.soreness[${JSON.stringify(region)}]`;
+        if (!regions.includes(region.trim().toLowerCase().replace(/[\s_]+/g, "-"))) {
+          report.error(regionPath, describeUnknown(region, "body region", regions));
+        }
+        checkScale(regionPath, level);
+      }
+    }
+  }
+
+  for (const [field, baseline] of [
+    ["resting_hr", "resting_hr_baseline"],
+    ["hrv", "hrv_baseline"],
+  ]) {
+    for (const key of [field, baseline]) {
+      if (readiness[key] !== undefined && !(typeof readiness[key] === "number" && readiness[key] > 0)) {
+        report.error(`${jsonPath}.${key}`, `${JSON.stringify(readiness[key])} is not a positive number`);
+      }
+    }
+    if (!standalone && readiness[field] !== undefined && readiness[baseline] === undefined) {
+      report.warning(`${jsonPath}.${field}`, `ignored without ${baseline}`);
+    }
+  }
+}
+
+// Diagnostics for a standalone readiness check-in (--readiness-file).
+function validateReadiness(rawReadiness) {
+  const report = createCollector();
+  checkReadiness(report, "$", rawReadiness, true);
+  return report.diagnostics;
+}
+
+function validateLifts(report, jsonPath, lifts, vocabulary) {
+  if (!Array.isArray(lifts)) {
+    report.error(jsonPath, "expected an array of {movement, sets, reps, load_kg, completed}");
+    return;
+  }
+  lifts.forEach((lift, idx) => {
+    const liftPath = `${jsonPath}[${idx}]`;
+    if (!isPlainObject(lift)) {
+      report.error(liftPath, "lift must be an object");
+      return;
+    }
+    if (typeof lift.movement !== "string" || !vocabulary.movementNames.has(lift.movement.trim().toLowerCase())) {
+      const names = Array.from(vocabulary.movementNames.values());
+      report.error(`${liftPath}.movement`, describeUnknown(lift.movement, "movement", names));
+    }
+    for (const field of ["sets", "reps"]) {
+      if (!Number.isInteger(lift[field]) || lift[field] < 1) {
+        report.error(`${liftPath}.${field}`, `${JSON.stringify(lift[field])} is not a positive whole number`);
+      }
+    }
+    if (!(Number(lift.load_kg) > 0)) {
+      report.error(`${liftPath}.load_kg`, `${JSON.stringify(lift.load_kg)} is not a positive load in kilos`);
+    }
+    if (lift.completed !== undefined && typeof lift.completed !== "boolean") {
+      report.error(`${liftPath}.completed`, "expected true or false");
+    }
+  });
+}
+
+// Logged results written by the `log` command; hand edits are the usual source of problems here.
+function validateResults(report, jsonPath, results, vocabulary) {
+  if (!isPlainObject(results)) {
+    report.error(jsonPath, "expected an object with score, loads and rpe");
+    return;
+  }
+  if (results.rpe !== undefined && results.rpe !== null) {
+    const rpe = Number(results.rpe);
+    if (!Number.isFinite(rpe) || rpe < 1 || rpe > 10) {
+      report.error(`${jsonPath}.rpe`, `${JSON.stringify(results.rpe)} is not an RPE between 1 and 10`);
+    }
+  }
+  if (results.score !== undefined && results.score !== null) {
+    if (!isPlainObject(results.score) || !SCORE_TYPES.includes(results.score.type)) {
+      report.error(`${jsonPath}.score`, `expected a score object with type ${SCORE_TYPES.join(", ")}`);
+    }
+  }
+  if (results.loads !== undefined) {
+    if (!isPlainObject(results.loads)) {
+      report.error(`${jsonPath}.loads`, "expected an object of movement name to kilos");
+      return;
+    }
+    for (const [movement, value] of Object.entries(results.loads)) {
+      const loadPath = `${jsonPath}.loads[${JSON.stringify(movement)}]`;
+      if (!vocabulary.movementNames.has(movement.trim().toLowerCase())) {
+        const names = Array.from(vocabulary.movementNames.values());
+        report.warning(loadPath, describeUnknown(movement, "movement", names));
+      }
+      if (!(Number(value) > 0)) {
+        report.error(loadPath, `${JSON.stringify(value)} is not a positive load in kilos`);
+      }
+    }
+  }
+}
+
+function validateHistory(rawHistory, vocabulary) {
+  const report = createCollector();
+  if (!Array.isArray(rawHistory)) {
+    report.error("$", "history must be a JSON array");
+    return report.diagnostics;
+  }
+
+  rawHistory.forEach((session, idx) => {
+    const sessionPath = `$[${idx}]`;
+    if (!isPlainObject(session)) {
+      report.error(sessionPath, "history entry must be an object");
+      return;
+    }
+
+    for (const key of Object.keys(session)) {
+      if (!EXTRA_HISTORY_FIELDS.includes(key)) {
+        report.warning(`${sessionPath}.${key}`, describeUnknown(key, "history field", EXTRA_HISTORY_FIELDS));
+      }
+    }
+
+    if (session.date === undefined) {
+      report.error(`${sessionPath}.date`, "missing date; undated sessions are always treated as recent");
+    } else if (!parseIsoDate(session.date)) {
+      report.error(`${sessionPath}.date`, `${JSON.stringify(session.date)} is not a valid YYYY-MM-DD date`);
+    }
+
+    if (session.movements !== undefined) {
+      checkStringList(
+        report,
+        `${sessionPath}.movements`,
+        session.movements,
+        vocabulary.movementNames,
+        "movement",
+        "warning",
+      );
+    }
+    if (session.patterns !== undefined) {
+      checkStringList(
+        report,
+        `${sessionPath}.patterns`,
+        session.patterns,
+        vocabulary.patterns,
+        "pattern",
+        "warning",
+      );
+    }
+    if (session.intensity !== undefined) {
+      checkEnum(report, `${sessionPath}.intensity`, session.intensity, INTENSITIES, "intensity");
+    }
+    if (session.wod_type !== undefined) {
+      checkEnum(report, `${sessionPath}.wod_type`, session.wod_type, WOD_TYPES, "WOD type");
+    }
+    const duration = session.duration_min;
+    if (duration !== undefined && !(typeof duration === "number" && duration > 0)) {
+      report.error(`${sessionPath}.duration_min`, `${JSON.stringify(duration)} is not a positive number`);
+    }
+    if (session.lifts !== undefined) {
+      validateLifts(report, `${sessionPath}.lifts`, session.lifts, vocabulary);
+    }
+    if (session.results !== undefined) {
+      validateResults(report, `${sessionPath}.results`, session.results, vocabulary);
+    }
+  });
+
+  return report.diagnostics;
+}
+
+// Class files reuse the profile checks: shared session fields once at the top level, then each athlete
+// with paths rebased under $.athletes[i].
+function validateClass(rawClass, vocabulary) {
+  const report = createCollector();
+  if (!isPlainObject(rawClass)) {
+    report.error("$", "class must be a JSON object");
+    return report.diagnostics;
+  }
+
+  for (const key of Object.keys(rawClass)) {
+    if (!CLASS_FIELDS.includes(key)) {
+      report.warning(`$.${key}`, describeUnknown(key, "class field", CLASS_FIELDS));
+    }
+  }
+  const shared = Object.fromEntries(
+    Object.entries(rawClass).filter(([key]) => !["name", "equipment", "athletes"].includes(key)),
+  );
+  const sharedErrors = validateProfile(shared, vocabulary).filter((diagnostic) => diagnostic.level === "error");
+  report.diagnostics.push(...sharedErrors);
+
+  if (rawClass.equipment !== undefined) {
+    if (!isPlainObject(rawClass.equipment)) {
+      report.error("$.equipment", "expected an object of equipment id to quantity");
+    } else {
+      for (const [item, quantity] of Object.entries(rawClass.equipment)) {
+        const itemPath = `$.equipment[${JSON.stringify(item)}]`;
+        if (!vocabulary.equipment.has(item.trim().toLowerCase())) {
+          report.error(itemPath, describeUnknown(item, "equipment id", Array.from(vocabulary.equipment)));
+        }
+        if (quantity !== true && !(Number.isInteger(quantity) && quantity >= 0)) {
+          report.error(itemPath, `${JSON.stringify(quantity)} is not a whole-number quantity or true`);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(rawClass.athletes) || rawClass.athletes.length === 0) {
+    report.error("$.athletes", "expected a non-empty array of athlete profiles");
+    return report.diagnostics;
+  }
+  const seen = new Map();
+  rawClass.athletes.forEach((athlete, idx) => {
+    const athletePath = `$.athletes[${idx}]`;
+    if (!isPlainObject(athlete)) {
+      report.error(athletePath, "athlete must be a JSON object");
+      return;
+    }
+    const { name, ...profile } = athlete;
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        report.error(`${athletePath}.name`, "expected a non-empty string");
+      } else if (seen.has(name.trim().toLowerCase())) {
+        report.warning(`${athletePath}.name`, `duplicate of $.athletes[${seen.get(name.trim().toLowerCase())}]`);
+      } else {
+        seen.set(name.trim().toLowerCase(), idx);
+      }
+    }
+    for (const diagnostic of validateProfile(profile, vocabulary)) {
+      report.diagnostics.push({ ...diagnostic, path: diagnostic.path.replace(/^\$/, athletePath) });
+    }
+  });
+
+  return report.diagnostics;
+}
+
+function formatDiagnostic(diagnostic) {
+  return `${diagnostic.path}: ${diagnostic.message}`;
+}
+
+// Strict-mode gate: throws on any error-level diagnostic and hands warnings back to the caller.
+function assertValidInputs(rawProfile, rawHistory, movements, equipmentRegistry = []) {
+  const vocabulary = buildVocabulary(movements, equipmentRegistry);
+  return assertNoErrors([
+    ...validateProfile(rawProfile, vocabulary).map((diagnostic) => ({ ...diagnostic, source: "profile" })),
+    ...validateHistory(rawHistory, vocabulary).map((diagnostic) => ({ ...diagnostic, source: "history" })),
+  ]);
+}
+
+function assertValidClassInputs(rawClass, rawHistory, movements, equipmentRegistry = []) {
+  const vocabulary = buildVocabulary(movements, equipmentRegistry);
+  return assertNoErrors([
+    ...validateClass(rawClass, vocabulary).map((diagnostic) => ({ ...diagnostic, source: "class" })),
+    ...validateHistory(rawHistory, vocabulary).map((diagnostic) => ({ ...diagnostic, source: "history" })),
+  ]);
+}
+
+// The first profile reports as "profile", the rest as "partner 1", "partner 2", ...
+function assertValidTeamInputs(rawProfiles, rawHistory, movements, equipmentRegistry = []) {
+  const vocabulary = buildVocabulary(movements, equipmentRegistry);
+  return assertNoErrors([
+    ...rawProfiles.flatMap((rawProfile, idx) =>
+      validateProfile(rawProfile, vocabulary).map((diagnostic) => ({
+        ...diagnostic,
+        source: idx === 0 ? "profile" : `partner ${idx}`,
+      })),
+    ),
+    ...validateHistory(rawHistory, vocabulary).map((diagnostic) => ({ ...diagnostic, source: "history" })),
+  ]);
+}
+
+function assertNoErrors(diagnostics) {
+  const errors = diagnostics.filter((diagnostic) => diagnostic.level === "error");
+  if (errors.length > 0) {
+    const lines = errors.map((diagnostic) => `  ${diagnostic.source} ${formatDiagnostic(diagnostic)}`);
+    throw new ValidationError(`Strict validation failed:\n${lines.join("\n")}`, diagnostics);
+  }
+  return diagnostics.filter((diagnostic) => diagnostic.level === "warning");
+}
+
+module.exports = {
+  buildVocabulary,
+  closestMatch,
+  createCollector,
+  describeUnknown,
+  validateProfile,
+  validateHistory,
+  validateClass,
+  validateReadiness,
+  formatDiagnostic,
+  assertValidInputs,
+  assertValidClassInputs,
+  assertValidTeamInputs,
+};
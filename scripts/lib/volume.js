@@ -0,0 +1,446 @@
+"use strict";
+
+const { stimulusTimeDomain, stimulusVolumeFactor } = require("./stimulus");
+
+// Fallback pace (seconds per unit) for movements without `pace` data in movements.json.
+const DEFAULT_PACE_SEC = { rep: 3, meter: 0.35, calorie: 4.5, second: 1 };
+const MINIMUM_VOLUME = { rep: 3, meter: 50, calorie: 5, second: 15 };
+const TRANSITION_SEC = 10;
+const EMOM_WORK_TARGET_SEC = 40;
+const EMOM_WORK_LIMIT_SEC = 55;
+const INTERVAL_WORK_SEC = 120;
+const INTERVAL_REST_SEC = 60;
+const TABATA_WORK_SEC = 20;
+const TABATA_REST_SEC = 10;
+const TABATA_ROUNDS = 8;
+const TABATA_BREAK_SEC = 60;
+// A Death-By minute is lost once its work no longer leaves time to breathe.
+const DEATH_BY_WORK_LIMIT_SEC = 50;
+const LADDER_TARGET_RUNGS = 10;
+const REP_SCHEMES = [
+  [9, 6, 3],
+  [12, 9, 6],
+  [15, 12, 9],
+  [21, 15, 9],
+  [27, 21, 15, 9],
+  [50, 40, 30, 20, 10],
+];
+// Couplets and triplets are sprints: sized to well under the cap.
+const REP_SCHEME_SHARE = 0.6;
+const WINDOW_WORK_SHARE = 0.6;
+const BUY_IN_SHARE = 0.2;
+const QUALITY_VOLUME_FACTOR = 0.7;
+const QUALITY_TEMPO_FACTOR = 1.5;
+const QUALITY_REST_SEC = 90;
+
+// The unit a movement is counted in: its `pace` unit, else guessed from its modality and name.
+function volumeUnit(movement) {
+  const pace = movement.pace;
+  if (pace && typeof pace === "object" && DEFAULT_PACE_SEC[pace.unit]) {
+    return pace.unit;
+  }
+  const name = String(movement.name || "").toLowerCase();
+  const modality = String(movement.modality || "").toLowerCase();
+  if (modality === "monostructural") {
+    if (name.includes("run") || name.includes("swim")) {
+      return "meter";
+    }
+    return name.includes("double under") || name.includes("jump rope") ? "rep" : "calorie";
+  }
+  if (["carry", "sled", "walk"].some((word) => name.includes(word))) {
+    return "meter";
+  }
+  if (name.includes("plank") || name.includes("hold")) {
+    return "second";
+  }
+  return ["weightlifting", "odd-object", "gymnastics"].includes(modality) ? "rep" : "second";
+}
+
+function standardTarget(movement, level) {
+  const name = String(movement.name || "").toLowerCase();
+  const modality = String(movement.modality || "").toLowerCase();
+  const difficulty = String(movement.difficulty || "intermediate").toLowerCase();
+  const unit = volumeUnit(movement);
+
+  if (unit === "meter") {
+    if (name.includes("swim")) {
+      return { amount: 100, unit };
+    }
+    if (name.includes("handstand")) {
+      return { amount: 10, unit };
+    }
+    if (name.includes("sled")) {
+      return { amount: 20, unit };
+    }
+    return { amount: modality === "monostructural" ? 200 : 40, unit };
+  }
+  if (unit === "calorie") {
+    return { amount: 12, altAmount: 10, unit };
+  }
+  if (unit === "second") {
+    return { amount: modality === "gymnastics" ? 30 : 45, unit };
+  }
+
+  if (name.includes("double under")) {
+    return { amount: 30, unit };
+  }
+  if (name.includes("jump rope")) {
+    return { amount: 60, unit };
+  }
+  if (difficulty === "advanced") {
+    return { amount: 6, unit };
+  }
+  if (modality === "gymnastics") {
+    return { amount: difficulty === "intermediate" ? 10 : 14, unit };
+  }
+  return { amount: level === "beginner" ? 8 : 10, unit };
+}
+
+// A station's standard volume at `level`, scaled for the intended stimulus when there is one.
+function repTarget(movement, level, stimulus = null) {
+  const standard = standardTarget(movement, level);
+  const factor = stimulusVolumeFactor(stimulus, movement);
+  return factor === 1 ? standard : scaleVolume(standard, factor);
+}
+
+function formatVolume(volume) {
+  if (volume.unit === "meter") {
+    return `${volume.amount} m`;
+  }
+  if (volume.unit === "calorie") {
+    return volume.altAmount ? `${volume.amount}/${volume.altAmount} cal` : `${volume.amount} cal`;
+  }
+  if (volume.unit === "second") {
+    return `${volume.amount} sec`;
+  }
+  return `${volume.amount} ${volume.amount === 1 ? "rep" : "reps"}`;
+}
+
+function secondsPerUnit(movement, unit, level) {
+  const pace = movement.pace;
+  if (pace && typeof pace === "object" && pace.unit === unit) {
+    const seconds = Number(pace[level]);
+    if (Number.isFinite(seconds) && seconds > 0) {
+      return seconds;
+    }
+  }
+  return DEFAULT_PACE_SEC[unit] || DEFAULT_PACE_SEC.rep;
+}
+
+function workSeconds(entry, level) {
+  return entry.volume.amount * secondsPerUnit(entry.movement, entry.volume.unit, level);
+}
+
+function roundSeconds(entries, level) {
+  return entries.reduce((total, entry) => total + workSeconds(entry, level) + TRANSITION_SEC, 0);
+}
+
+// Volume multiplier that makes one pass through `entries` take `targetSec`; transitions do not scale.
+function volumeFactor(entries, targetSec, level) {
+  const transitionSec = entries.length * TRANSITION_SEC;
+  const workSec = roundSeconds(entries, level) - transitionSec;
+  return Math.max(0, targetSec - transitionSec) / workSec;
+}
+
+function roundVolumeAmount(amount, unit) {
+  if (unit === "meter") {
+    return amount >= 200 ? Math.round(amount / 100) * 100 : Math.round(amount / 50) * 50;
+  }
+  if (unit === "second") {
+    return Math.round(amount / 15) * 15;
+  }
+  if ((unit === "rep" || unit === "calorie") && amount > 20) {
+    return Math.round(amount / 5) * 5;
+  }
+  return Math.round(amount);
+}
+
+function scaleVolume(volume, factor) {
+  const minimum = MINIMUM_VOLUME[volume.unit] || 1;
+  const scaled = { ...volume, amount: Math.max(minimum, roundVolumeAmount(volume.amount * factor, volume.unit)) };
+  if (volume.altAmount) {
+    scaled.altAmount = Math.max(1, Math.round((scaled.amount * volume.altAmount) / volume.amount));
+  }
+  return scaled;
+}
+
+function scaleEntries(entries, factor) {
+  return entries.map((entry) => ({ ...entry, volume: scaleVolume(entry.volume, factor) }));
+}
+
+function emomStationVolume(movement, level, stimulus = null) {
+  const volume = repTarget(movement, level, stimulus);
+  const perUnit = secondsPerUnit(movement, volume.unit, level);
+  if (volume.amount * perUnit <= EMOM_WORK_TARGET_SEC) {
+    return volume;
+  }
+
+  const minimum = MINIMUM_VOLUME[volume.unit] || 1;
+  if (minimum * perUnit > EMOM_WORK_LIMIT_SEC) {
+    return null;
+  }
+  return scaleVolume(volume, EMOM_WORK_TARGET_SEC / (volume.amount * perUnit));
+}
+
+function sumOf(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Seconds per rep of one pass through every movement, as paced at `level`.
+function passSeconds(entries, level) {
+  return sumOf(entries.map((entry) => secondsPerUnit(entry.movement, entry.volume.unit, level)));
+}
+
+// Sets each movement's volume to the total it does across a rep scheme such as 21-15-9.
+function schemeEntries(entries, scheme) {
+  const total = sumOf(scheme);
+  return entries.map((entry) => {
+    const volume = { ...entry.volume, amount: total };
+    if (entry.volume.altAmount) {
+      volume.altAmount = Math.max(1, Math.round((total * entry.volume.altAmount) / entry.volume.amount));
+    }
+    return { ...entry, volume };
+  });
+}
+
+function schemeSeconds(entries, scheme, level) {
+  return sumOf(scheme) * passSeconds(entries, level) + scheme.length * entries.length * TRANSITION_SEC;
+}
+
+function closestScheme(schemes, entries, targetSec, level) {
+  let best = schemes[0];
+  for (const scheme of schemes) {
+    const gap = Math.abs(schemeSeconds(entries, scheme, level) - targetSec);
+    if (gap < Math.abs(schemeSeconds(entries, best, level) - targetSec)) {
+      best = scheme;
+    }
+  }
+  return best;
+}
+
+// Rungs of an ascending ladder (step, 2 x step, ...) finished inside `targetSec`, counting the
+// partial last rung as a fraction.
+function ladderRungs(entries, step, targetSec, level) {
+  const perRep = passSeconds(entries, level);
+  let remaining = targetSec;
+  let rungs = 0;
+  for (let rung = 1; remaining > 0; rung += 1) {
+    const rungSec = rung * step * perRep + entries.length * TRANSITION_SEC;
+    rungs += Math.min(1, remaining / rungSec);
+    remaining -= rungSec;
+  }
+  return rungs;
+}
+
+function descendingSchemes() {
+  const schemes = [];
+  for (const step of [1, 2, 3]) {
+    for (let rungs = 3; rungs <= 15; rungs += 1) {
+      schemes.push(Array.from({ length: rungs }, (_, idx) => (rungs - idx) * step));
+    }
+  }
+  return schemes;
+}
+
+// A rep scheme times `factor` in the same shape: a ladder down to its step (50-40-30-20-10) scales the
+// step and rebuilds from the scaled start, an even descent (21-15-9) keeps its rungs and scales the step
+// and the last rung. Anything else scales rung by rung.
+function scaleRepScheme(scheme, factor) {
+  const scale = (reps) => Math.max(1, Math.round(reps * factor));
+  const step = scheme.length > 1 ? scheme[0] - scheme[1] : 0;
+  const even = step > 0 && scheme.every((reps, idx) => idx === 0 || scheme[idx - 1] - reps === step);
+  if (!even) {
+    return scheme.map(scale);
+  }
+  const newStep = scale(step);
+  const last = scheme[scheme.length - 1];
+  if (last === step) {
+    const rungs = Math.max(3, Math.round((scheme[0] * factor) / newStep));
+    return Array.from({ length: rungs }, (_, idx) => (rungs - idx) * newStep);
+  }
+  const newLast = scale(last);
+  return scheme.map((_, idx) => newLast + (scheme.length - 1 - idx) * newStep);
+}
+
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Sizes rounds and per-movement volume so the piece lands inside its time domain; an intended stimulus
+// scales the standard volumes and sets the work and rest of intervals.
+function planMetconVolume(wodType, metconMovements, minutes, level, stimulus = null) {
+  const targetSec = minutes * 60;
+  let entries = metconMovements.map((movement) => ({
+    movement,
+    volume: repTarget(movement, level, stimulus),
+  }));
+
+  if (wodType === "tabata") {
+    entries = entries.map((entry) => {
+      const perInterval = entry.volume.amount * secondsPerUnit(entry.movement, entry.volume.unit, level);
+      return { ...entry, volume: scaleVolume(entry.volume, TABATA_WORK_SEC / perInterval) };
+    });
+    const tabataSec = TABATA_ROUNDS * (TABATA_WORK_SEC + TABATA_REST_SEC);
+    return {
+      entries,
+      rounds: TABATA_ROUNDS,
+      workSec: TABATA_WORK_SEC,
+      restSec: TABATA_REST_SEC,
+      breakSec: TABATA_BREAK_SEC,
+      estimatedSec: entries.length * tabataSec + (entries.length - 1) * TABATA_BREAK_SEC,
+    };
+  }
+
+  if (wodType === "death_by") {
+    // Minute n asks for n x increment reps of each movement; pick the increment that fails about
+    // three quarters of the way to the cap.
+    const perRep = passSeconds(entries, level);
+    const limitSec = DEATH_BY_WORK_LIMIT_SEC - (entries.length - 1) * TRANSITION_SEC;
+    const increment = Math.max(1, Math.round(limitSec / (0.75 * minutes * perRep)));
+    const lastMinute = Math.max(1, Math.min(minutes, Math.floor(limitSec / (increment * perRep))));
+    entries = entries.map((entry) => ({ ...entry, volume: { amount: increment, unit: entry.volume.unit } }));
+    return { entries, increment, expectedRounds: lastMinute, estimatedSec: lastMinute * 60 };
+  }
+
+  if (wodType === "ascending_ladder") {
+    let increment = 1;
+    for (const step of [2, 3, 5]) {
+      const gap = Math.abs(ladderRungs(entries, step, targetSec, level) - LADDER_TARGET_RUNGS);
+      if (gap < Math.abs(ladderRungs(entries, increment, targetSec, level) - LADDER_TARGET_RUNGS)) {
+        increment = step;
+      }
+    }
+    const expectedRounds = ladderRungs(entries, increment, targetSec, level);
+    entries = entries.map((entry) => ({ ...entry, volume: { amount: increment, unit: entry.volume.unit } }));
+    return { entries, increment, expectedRounds, estimatedSec: targetSec };
+  }
+
+  if (wodType === "descending_ladder") {
+    const repScheme = closestScheme(descendingSchemes(), entries, targetSec * 0.9, level);
+    return {
+      entries: schemeEntries(entries, repScheme),
+      repScheme,
+      estimatedSec: schemeSeconds(entries, repScheme, level),
+    };
+  }
+
+  if (wodType === "couplet" || wodType === "triplet") {
+    const repScheme = closestScheme(REP_SCHEMES, entries, targetSec * REP_SCHEME_SHARE, level);
+    return {
+      entries: schemeEntries(entries, repScheme),
+      repScheme,
+      estimatedSec: schemeSeconds(entries, repScheme, level),
+    };
+  }
+
+  if (wodType === "buy_in_cash_out") {
+    // The first movement is the buy-in and the last the cash-out; rounds of the middle fill the rest.
+    const workTargetSec = targetSec * 0.9;
+    const ends = [entries[0], entries[entries.length - 1]].map((entry) =>
+      scaleEntries([entry], volumeFactor([entry], workTargetSec * BUY_IN_SHARE, level))[0],
+    );
+    let middle = entries.slice(1, -1);
+    const middleTargetSec = workTargetSec * (1 - 2 * BUY_IN_SHARE);
+    const rounds = Math.max(2, Math.min(6, Math.round(middleTargetSec / roundSeconds(middle, level))));
+    middle = scaleEntries(middle, volumeFactor(middle, middleTargetSec / rounds, level));
+    return {
+      entries: [ends[0], ...middle, ends[1]],
+      rounds,
+      estimatedSec: roundSeconds(ends, level) + rounds * roundSeconds(middle, level),
+    };
+  }
+
+  if (wodType === "e2mom" || wodType === "e3mom") {
+    const intervalMin = wodType === "e2mom" ? 2 : 3;
+    const windowSec = intervalMin * 60;
+    entries = scaleEntries(entries, volumeFactor(entries, windowSec * WINDOW_WORK_SHARE, level));
+    const rounds = Math.max(3, Math.floor(minutes / intervalMin));
+    return { entries, rounds, intervalMin, estimatedSec: rounds * windowSec };
+  }
+
+  if (wodType === "rounds_for_quality") {
+    entries = scaleEntries(entries, QUALITY_VOLUME_FACTOR);
+    const roundSec = () => roundSeconds(entries, level) * QUALITY_TEMPO_FACTOR;
+    const fitRounds = Math.round((targetSec + QUALITY_REST_SEC) / (roundSec() + QUALITY_REST_SEC));
+    const rounds = Math.max(3, Math.min(5, fitRounds));
+    const workBudgetSec = (targetSec - (rounds - 1) * QUALITY_REST_SEC) / rounds / QUALITY_TEMPO_FACTOR;
+    if (roundSeconds(entries, level) > workBudgetSec) {
+      entries = scaleEntries(entries, volumeFactor(entries, workBudgetSec, level));
+    }
+    return {
+      entries,
+      rounds,
+      restSec: QUALITY_REST_SEC,
+      estimatedSec: rounds * roundSec() + (rounds - 1) * QUALITY_REST_SEC,
+    };
+  }
+
+  if (wodType === "emom") {
+    entries = metconMovements.map((movement) => ({
+      movement,
+      volume: emomStationVolume(movement, level, stimulus),
+    }));
+    const stationCount = entries.length;
+    let emomMinutes = Math.max(stationCount * 4, minutes);
+    emomMinutes -= emomMinutes % stationCount;
+    return { entries, rounds: emomMinutes / stationCount, emomMinutes, estimatedSec: emomMinutes * 60 };
+  }
+
+  if (wodType === "amrap") {
+    const perRound = roundSeconds(entries, level);
+    if (perRound < 60) {
+      entries = scaleEntries(entries, volumeFactor(entries, 90, level));
+    } else if (perRound > targetSec / 3) {
+      entries = scaleEntries(entries, volumeFactor(entries, targetSec / 4, level));
+    }
+    return { entries, expectedRounds: targetSec / roundSeconds(entries, level), estimatedSec: targetSec };
+  }
+
+  if (wodType === "chipper") {
+    const workTargetSec = targetSec * 0.9;
+    entries = scaleEntries(entries, volumeFactor(entries, workTargetSec, level));
+    return { entries, estimatedSec: roundSeconds(entries, level) };
+  }
+
+  if (wodType === "for_time") {
+    const workTargetSec = targetSec * 0.9;
+    const perRound = roundSeconds(entries, level);
+    const rounds = Math.max(2, Math.min(10, Math.round(workTargetSec / perRound)));
+    const factor = volumeFactor(entries, workTargetSec / rounds, level);
+    if (factor < 0.8 || factor > 1.25) {
+      entries = scaleEntries(entries, factor);
+    }
+    return { entries, rounds, estimatedSec: rounds * roundSeconds(entries, level) };
+  }
+
+  const domain = stimulusTimeDomain(stimulus);
+  const workSec = domain ? domain.interval.workSec : INTERVAL_WORK_SEC;
+  const restSec = domain ? domain.interval.restSec : INTERVAL_REST_SEC;
+  const intervalSec = workSec + restSec;
+  const rounds = Math.max(4, Math.floor((minutes * 60) / intervalSec));
+  const perRound = roundSeconds(entries, level);
+  if (perRound > workSec) {
+    entries = scaleEntries(entries, volumeFactor(entries, workSec - 10, level));
+  }
+  return {
+    entries,
+    rounds,
+    expectedRounds: workSec / roundSeconds(entries, level),
+    estimatedSec: rounds * intervalSec - restSec,
+    workSec,
+    restSec,
+  };
+}
+
+module.exports = {
+  repTarget,
+  formatDuration,
+  formatVolume,
+  secondsPerUnit,
+  roundSeconds,
+  schemeSeconds,
+  scaleVolume,
+  scaleRepScheme,
+  emomStationVolume,
+  planMetconVolume,
+};
@@ -0,0 +1,158 @@
+"use strict";
+
+const { roundLoad } = require("./loads");
+const { LEVEL_RANK } = require("./profile");
+const { describeStation } = require("./structures");
+const { repTarget, scaleVolume } = require("./volume");
+const { asLowerSet } = require("./util");
+
+// Dynamic mobility by the patterns it prepares, in priority order for ties. The warm-up takes the drills
+// that cover the most of the day's pattern hits and tops up from GENERAL_MOBILITY.
+const PATTERN_MOBILITY = [
+  { patterns: ["overhead", "high-volume-overhead", "vertical-push"], drill: "10 PVC pass-throughs" },
+  { patterns: ["front-rack", "front-load"], drill: "30 sec per side front-rack lat stretch" },
+  { patterns: ["squat", "knee-dominant", "quad"], drill: "30 sec deep squat hold with a pry" },
+  { patterns: ["hinge", "posterior-chain", "hamstring"], drill: "8 PVC good mornings" },
+  { patterns: ["single-leg", "split-stance", "lateral"], drill: "3 per side world's greatest stretch" },
+  { patterns: ["vertical-pull", "pull", "upper-pull", "grip"], drill: "8 prone Y-T raises" },
+  { patterns: ["horizontal-push", "press", "push", "dip"], drill: "10 scap push-ups" },
+  { patterns: ["core", "trunk-flexion", "hip-flexion", "midline-stability"], drill: "8 cat-cows" },
+  { patterns: ["plyometric", "elasticity", "ballistic"], drill: "20 ankle pogo hops" },
+  { patterns: ["hip-drive", "triple-extension", "full-body"], drill: "5 inchworms" },
+];
+const GENERAL_MOBILITY = ["5 inchworms", "3 per side world's greatest stretch", "8 cat-cows"];
+// Sets toward the strength block's first working set, as a percent of its load.
+const RAMP_STEPS = [
+  { reps: 5, percent: 40 },
+  { reps: 3, percent: 60 },
+  { reps: 2, percent: 80 },
+];
+// Share of a station's standard volume each primer round does.
+const PRIMER_SHARE = 0.3;
+const DRILLS_PER_MOVEMENT = 3;
+
+// Mobility drills for the patterns of the day's movements, most pattern hits first.
+function patternMobility(dayMovements, count) {
+  const hits = new Map();
+  for (const movement of dayMovements) {
+    asLowerSet(movement.patterns || []).forEach((pattern) => hits.set(pattern, (hits.get(pattern) || 0) + 1));
+  }
+  const drills = PATTERN_MOBILITY.map((item) => ({
+    drill: item.drill,
+    hits: item.patterns.reduce((total, pattern) => total + (hits.get(pattern) || 0), 0),
+  }))
+    .filter((item) => item.hits > 0)
+    .sort((left, right) => right.hits - left.hits)
+    .map((item) => item.drill);
+  for (const drill of GENERAL_MOBILITY) {
+    if (!drills.includes(drill)) {
+      drills.push(drill);
+    }
+  }
+  return drills.slice(0, count);
+}
+
+// A run of the movement's `warmup_drills` progression: beginners start at the first drill, each level
+// above starts one further along, nearer the full movement.
+function movementDrills(movement, level) {
+  const drills = (Array.isArray(movement.warmup_drills) ? movement.warmup_drills : []).filter(
+    (drill) => typeof drill === "string" && drill.trim(),
+  );
+  const start = Math.max(0, Math.min(LEVEL_RANK[level] || 0, drills.length - DRILLS_PER_MOVEMENT));
+  return drills.slice(start, start + DRILLS_PER_MOVEMENT);
+}
+
+// Ramping sets toward the strength block's lightest working set; without a load they are percentages.
+function rampSets(strengthOrSkill) {
+  if (!strengthOrSkill || strengthOrSkill.focus !== "strength") {
+    return null;
+  }
+  const loads = (strengthOrSkill.sets || []).map((set) => set.load_kg).filter((kilos) => kilos > 0);
+  const workingKg = loads.length > 0 ? Math.min(...loads) : null;
+  const sets = [];
+  for (const step of RAMP_STEPS) {
+    const loadKg = workingKg === null ? null : roundLoad((workingKg * step.percent) / 100);
+    // Light working sets leave no room for every step; loads that round together are done once.
+    if (loadKg !== null && (loadKg <= 0 || loadKg >= workingKg || sets.some((set) => set.load_kg === loadKg))) {
+      continue;
+    }
+    sets.push({ reps: step.reps, percent: step.percent, load_kg: loadKg });
+  }
+  return { movement: strengthOrSkill.movement, working_load_kg: workingKg, sets };
+}
+
+function describeRamp(ramp) {
+  if (ramp.working_load_kg === null) {
+    const steps = ramp.sets.map((set) => `${set.reps} @ ~${set.percent}%`).join(", ");
+    return `Ramp to the first working set of ${ramp.movement}: ${steps}`;
+  }
+  const steps = ramp.sets.map((set) => `${set.reps} x ${set.load_kg} kg`).join(", ");
+  return `Ramp to ${ramp.working_load_kg} kg ${ramp.movement}: ${steps}`;
+}
+
+// Each metcon movement once at PRIMER_SHARE of its standard station volume.
+function metconPrimer(metcon, byName, level) {
+  if (metcon.type === "active_recovery") {
+    return [];
+  }
+  return Array.from(new Set(metcon.movements))
+    .map((name) => byName.get(name.toLowerCase()))
+    .filter(Boolean)
+    .map((movement) => {
+      const station = describeStation(scaleVolume(repTarget(movement, level), PRIMER_SHARE), movement.name);
+      return { movement: movement.name, prescription: station.volume, line: station.line };
+    });
+}
+
+// The warm-up for blocks already built: a few easy minutes of `cyclicalName`, mobility for the
+// patterns the strength piece and metcon load, drills from the progressions of their most technical
+// movements, a low-volume primer of the metcon and ramping sets into the strength block.
+function buildWarmupBlock(minutes, cyclicalName, strengthOrSkill, metcon, byName, level) {
+  const lookup = (names) => names.map((name) => byName.get(name.toLowerCase())).filter(Boolean);
+  const strengthMovements = lookup(strengthOrSkill ? [strengthOrSkill.movement] : []);
+  const metconMovements = lookup(Array.from(new Set(metcon.movements)));
+  const mobility = patternMobility([...strengthMovements, ...metconMovements], minutes >= 10 ? 3 : 2);
+
+  // The strength or skill movement gets its drills first; metcon movements follow, hardest first.
+  const difficulty = (movement) => LEVEL_RANK[String(movement.difficulty || "").toLowerCase()] || 0;
+  const drillCandidates = [
+    ...strengthMovements,
+    ...(metcon.type === "active_recovery" ? [] : metconMovements)
+      .slice()
+      .sort((left, right) => difficulty(right) - difficulty(left)),
+  ];
+  const drills = drillCandidates
+    .map((movement) => ({ movement: movement.name, drills: movementDrills(movement, level) }))
+    .filter((item) => item.drills.length > 0)
+    .slice(0, minutes >= 10 ? 2 : 1);
+
+  const ramp = rampSets(strengthOrSkill);
+  const primer = metconPrimer(metcon, byName, level);
+
+  const items = [
+    `${Math.max(2, Math.round(minutes / 4))} min easy ${cyclicalName}`,
+    `2 rounds: ${mobility.join(", ")}`,
+    ...drills.map((item) => `${item.movement} drills: ${item.drills.join(", ")}`),
+    ...(primer.length > 0
+      ? [`Primer, 2 easy rounds at light load: ${primer.map((station) => station.line).join(", ")}`]
+      : []),
+    ...(ramp && ramp.sets.length > 0 ? [describeRamp(ramp)] : []),
+  ];
+
+  return {
+    duration_min: minutes,
+    movements: [cyclicalName],
+    items,
+    mobility,
+    drills,
+    primer: primer.map((station) => ({ movement: station.movement, prescription: station.prescription })),
+    ramp,
+  };
+}
+
+module.exports = {
+  PATTERN_MOBILITY,
+  RAMP_STEPS,
+  PRIMER_SHARE,
+  buildWarmupBlock,
+};
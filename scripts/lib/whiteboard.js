@@ -0,0 +1,432 @@
+"use strict";
+
+const { titleCase } = require("./loads");
+const { ESTIMATED_DURATION_TYPES, FOR_TIME_TYPES, expectedUnit } = require("./structures");
+const { formatDuration } = require("./volume");
+
+const SCORE_LABELS = {
+  amrap: "Rounds + reps",
+  emom: "Minutes completed",
+  interval: "Reps per round",
+  tabata: "Lowest interval reps per movement",
+  death_by: "Last full minute + reps",
+  ascending_ladder: "Last full rung + reps",
+  e2mom: "Sets completed",
+  e3mom: "Sets completed",
+  rounds_for_quality: "Notes on positions and tempo",
+  active_recovery: "How you feel afterwards (1-5)",
+};
+
+function scoreLabel(wodType) {
+  return FOR_TIME_TYPES.includes(wodType) ? "Time (reps completed if capped)" : SCORE_LABELS[wodType] || "Score";
+}
+
+function movementLabel(metcon, movement) {
+  const load = metcon.loads.find((item) => item.movement === movement);
+  return `${movement}${load ? ` @ ${load.label}` : ""}`;
+}
+
+function stationLine(metcon, entry) {
+  return `${entry.prescription} ${movementLabel(metcon, entry.movement)}`;
+}
+
+// Rep-scheme stations name the movement only, e.g. "Calorie Row" in a 21-15-9.
+function volumeLabel(metcon, entry) {
+  return `${entry.unit === "calorie" ? "Calorie " : ""}${movementLabel(metcon, entry.movement)}`;
+}
+
+// Minutes of an EMOM that land on each station, e.g. "1, 4, 7" for the first of three stations.
+function emomMinutes(stationIndex, stationCount, totalMinutes) {
+  const minutes = [];
+  for (let minute = stationIndex + 1; minute <= totalMinutes; minute += stationCount) {
+    minutes.push(minute);
+  }
+  return minutes.join(", ");
+}
+
+// Class boards add the heat or rotation plan and one row of scaling lines per athlete.
+function classBlocks(plan) {
+  const logistics = plan.class.logistics;
+  const logisticsBlock = { title: "Heats", cap: `~${logistics.total_min} min`, list: logistics.notes };
+  if (logistics.groups.length > 1) {
+    logisticsBlock.table = {
+      head: ["Group", "Start", "Athletes"],
+      rows: logistics.groups.map((group) => [
+        group.label,
+        group.offset_sec ? `${group.start} at +${formatDuration(group.offset_sec)}` : group.start,
+        group.athletes.join(", "),
+      ]),
+    };
+  }
+
+  return [logisticsBlock, athleteBlock("Athletes", plan, plan.class.athletes)];
+}
+
+function athleteBlock(title, plan, athletes) {
+  const strength = plan.strength_or_skill;
+  const head = ["Athlete", ...(strength ? [strength.focus === "skill" ? "Skill" : "Strength"] : []), "Metcon"];
+  const rows = athletes.map((athlete) => [
+    `${athlete.name} (${athlete.fitness_level})`,
+    ...(strength ? [athlete.strength] : []),
+    athlete.metcon.map((station) => station.prescription).join("; "),
+  ]);
+  return { title, cap: `${rows.length}`, table: { head, rows } };
+}
+
+// Layout shared by the Markdown and HTML renderers: headline, block list, scaling column and score box.
+// Everything here is display text; the debug fields of renderText (seed, profile internals) stay out.
+function whiteboardModel(plan) {
+  const metcon = plan.metcon;
+  const profile = plan.profile;
+  const blocks = [];
+
+  if (plan.readiness && plan.readiness.changes.length) {
+    blocks.push({ title: "Readiness", cap: `${plan.readiness.score}/100`, list: plan.readiness.changes });
+  }
+  blocks.push({ title: "Warm-up", cap: `${plan.warmup.duration_min} min`, list: plan.warmup.items });
+
+  const strength = plan.strength_or_skill;
+  if (strength) {
+    const block = {
+      title: strength.focus === "skill" ? "Skill" : "Strength",
+      cap: `${strength.duration_min} min`,
+      list: [strength.prescription],
+    };
+    if (strength.sets) {
+      block.table = {
+        head: ["Set", "Reps", "Load"],
+        rows: strength.sets.map((set, idx) => [
+          String(idx + 1),
+          String(set.reps),
+          set.percent !== null ? `${set.load_kg} kg (${set.percent}%)` : `${set.load_kg} kg`,
+        ]),
+      };
+    }
+    blocks.push(block);
+  }
+
+  const stations = metcon.volume.map((entry) => stationLine(metcon, entry));
+  const metconBlock = { title: "Metcon", cap: `${metcon.duration_min}-min cap`, list: stations };
+  if (metcon.type === "amrap") {
+    metconBlock.headline = `AMRAP ${metcon.duration_min} min`;
+    metconBlock.cap = `${metcon.duration_min} min`;
+  } else if (metcon.type === "for_time") {
+    metconBlock.headline = metcon.rounds > 1 ? `${metcon.rounds} rounds for time` : "For time";
+  } else if (metcon.type === "chipper") {
+    metconBlock.headline = "Chipper for time";
+    metconBlock.ordered = true;
+  } else if (metcon.type === "tabata") {
+    metconBlock.headline = `Tabata x${stations.length}`;
+    metconBlock.cap = `${metcon.estimated_duration_min} min`;
+    metconBlock.list = metcon.volume.map(
+      (entry) => `${movementLabel(metcon, entry.movement)}: ${entry.prescription} per interval`,
+    );
+    metconBlock.note =
+      `${metcon.work_sec} sec on / ${metcon.rest_sec} sec off x ${metcon.rounds}, ` +
+      `${formatDuration(metcon.break_sec)} between`;
+  } else if (metcon.type === "death_by") {
+    metconBlock.headline = `Death by ${metcon.movements.join(" + ")}`;
+    metconBlock.list = [
+      `Minute 1: ${metcon.volume.map((entry) => stationLine(metcon, entry)).join(" + ")}`,
+      `Add ${metcon.increment} every minute until you cannot finish inside the minute`,
+    ];
+  } else if (metcon.type === "ascending_ladder") {
+    const rungs = [1, 2, 3].map((rung) => rung * metcon.increment).join("-");
+    metconBlock.headline = `Ascending ladder: ${rungs}-… reps`;
+    metconBlock.cap = `${metcon.duration_min}-min AMRAP`;
+    metconBlock.list = metcon.movements.map((movement) => movementLabel(metcon, movement));
+  } else if (metcon.rep_scheme) {
+    metconBlock.headline = `${metcon.rep_scheme.join("-")} for time`;
+    metconBlock.list = metcon.volume.map((entry) => volumeLabel(metcon, entry));
+  } else if (metcon.type === "buy_in_cash_out") {
+    metconBlock.headline = `For time: buy-in, ${metcon.rounds} rounds, cash-out`;
+    metconBlock.list = stations.map((line, idx) => {
+      if (idx === 0) {
+        return `Buy-in: ${line}`;
+      }
+      return idx === stations.length - 1 ? `Cash-out: ${line}` : `${metcon.rounds} rounds: ${line}`;
+    });
+  } else if (metcon.type === "e2mom" || metcon.type === "e3mom") {
+    metconBlock.headline = `Every ${metcon.interval_min} min x ${metcon.rounds}`;
+    metconBlock.cap = `${metcon.estimated_duration_min} min`;
+  } else if (metcon.type === "rounds_for_quality") {
+    metconBlock.headline = `${metcon.rounds} rounds for quality`;
+    metconBlock.cap = `${formatDuration(metcon.rest_sec)} rest between rounds`;
+  } else if (metcon.type === "active_recovery") {
+    const [steady, ...mobility] = metcon.volume;
+    metconBlock.title = "Active recovery";
+    metconBlock.headline = "Easy, conversational pace";
+    metconBlock.cap = `${metcon.duration_min} min`;
+    metconBlock.list = [`${steady.prescription} ${steady.movement}`];
+    if (mobility.length > 0) {
+      const lines = mobility.map((entry) => stationLine(metcon, entry));
+      metconBlock.list.push(`${metcon.rounds} rounds: ${lines.join(", ")}`);
+    }
+  } else if (metcon.type === "emom") {
+    metconBlock.headline = `EMOM ${metcon.emom_minutes} min`;
+    metconBlock.cap = `${metcon.emom_minutes} min`;
+    metconBlock.list = null;
+    metconBlock.table = {
+      head: ["Minute", "Station"],
+      rows: stations.map((line, idx) => [emomMinutes(idx, stations.length, metcon.emom_minutes), line]),
+    };
+  } else {
+    metconBlock.headline = `${metcon.rounds} rounds`;
+    metconBlock.cap = `${formatDuration(metcon.work_sec)} work / ${formatDuration(metcon.rest_sec)} rest`;
+  }
+  if (metcon.expected_rounds) {
+    metconBlock.note = `Target: ~${metcon.expected_rounds} ${expectedUnit(metcon.type)}`;
+  } else if (ESTIMATED_DURATION_TYPES.includes(metcon.type) && !metconBlock.note) {
+    metconBlock.note = `Target: ~${metcon.estimated_duration_min} min`;
+  }
+  if (metcon.benchmark) {
+    metconBlock.headline = `${metcon.benchmark}: ${metconBlock.headline}`;
+    const swaps = metcon.adaptations.map((adaptation) => `${adaptation.replacement} for ${adaptation.movement}`);
+    metconBlock.note = [metconBlock.note, ...swaps].filter(Boolean).join(" · ");
+  }
+  if (plan.stimulus) {
+    metconBlock.note = [metconBlock.note, `Stimulus: ${plan.stimulus.brief}`].filter(Boolean).join(" · ");
+  }
+  blocks.push(metconBlock);
+  if (plan.scaling_tiers) {
+    const tiers = plan.scaling_tiers.tiers;
+    blocks.push({
+      title: "Scaling tiers",
+      cap: `default ${tiers.find((tier) => tier.default).label}`,
+      list: null,
+      table: { head: ["Tier", "Workout"], rows: tiers.map((tier) => [tier.label, tier.description]) },
+    });
+  }
+
+  if (plan.rehab) {
+    blocks.push({
+      title: plan.rehab.focus === "rehab" ? "Rehab" : "Prehab",
+      cap: `${plan.rehab.duration_min} min`,
+      headline: plan.rehab.regions.map(titleCase).join(", "),
+      list: plan.rehab.items,
+    });
+  }
+  if (plan.accessory) {
+    blocks.push({
+      title: "Accessory",
+      cap: `${plan.accessory.duration_min} min`,
+      headline: plan.accessory.focus.map(titleCase).join(", "),
+      list: plan.accessory.items,
+    });
+  }
+  blocks.push({ title: "Cooldown", cap: `${plan.cooldown.duration_min} min`, list: plan.cooldown.items });
+
+  const subtitle = [titleCase(profile.goal), titleCase(profile.fitness_level), `${profile.session_minutes} min`];
+  if (plan.class) {
+    blocks.push(...classBlocks(plan));
+    subtitle.push(`${plan.class.athlete_count} athletes`);
+  }
+  if (plan.partner) {
+    // The format's rules above each partner's own lines, strongest first.
+    blocks.push({ ...athleteBlock("Partners", plan, plan.partner.athletes), list: plan.partner.instructions });
+    subtitle.push(plan.partner.label);
+  }
+  return {
+    title: plan.class ? `${plan.class.name} · ${plan.date}` : `WOD · ${plan.date}`,
+    subtitle: subtitle.join(" · "),
+    blocks,
+    scaling: plan.scaling,
+    score: `${plan.partner ? "Team " : ""}${scoreLabel(metcon.type)}`,
+  };
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, "\\|");
+}
+
+function markdownTable(table) {
+  const lines = [
+    `| ${table.head.map(markdownCell).join(" | ")} |`,
+    `| ${table.head.map(() => "---").join(" | ")} |`,
+  ];
+  for (const row of table.rows) {
+    lines.push(`| ${row.map(markdownCell).join(" | ")} |`);
+  }
+  return lines;
+}
+
+function renderMarkdown(plan) {
+  const model = whiteboardModel(plan);
+  const lines = [`# ${model.title}`, "", `**${model.subtitle}**`];
+
+  for (const block of model.blocks) {
+    lines.push("", `## ${block.title} · ${block.cap}`, "");
+    if (block.headline) {
+      lines.push(`**${block.headline}**`, "");
+    }
+    if (block.list) {
+      block.list.forEach((item, idx) => lines.push(block.ordered ? `${idx + 1}. ${item}` : `- ${item}`));
+    }
+    if (block.table) {
+      if (block.list) {
+        lines.push("");
+      }
+      lines.push(...markdownTable(block.table));
+    }
+    if (block.note) {
+      lines.push("", `_${block.note}_`);
+    }
+  }
+
+  if (model.scaling.length) {
+    lines.push("", "## Scaling", "");
+    lines.push(
+      ...markdownTable({
+        head: ["Movement", "Easier", "Harder", "Swap"],
+        rows: model.scaling.map((note) => [note.movement, note.easier, note.harder, note.swap || ""]),
+      }),
+    );
+  }
+
+  lines.push("", "## Score", "", `${model.score}: ____________________`);
+  return lines.join("\n");
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #f4f4f0; color: #111; font: 18px/1.4 "Helvetica Neue", Arial, sans-serif; }
+  .board { max-width: 1100px; margin: 24px auto; padding: 28px 32px; background: #fff; border: 3px solid #111; }
+  header h1 { margin: 0; font-size: 2.2em; letter-spacing: 0.02em; text-transform: uppercase; }
+  header p { margin: 4px 0 0; color: #555; font-weight: 600; }
+  .columns { display: flex; gap: 28px; margin-top: 20px; }
+  .blocks { flex: 3; }
+  aside { flex: 1.3; border-left: 2px dashed #999; padding-left: 20px; font-size: 0.85em; }
+  section { margin-bottom: 20px; }
+  h2 { display: flex; justify-content: space-between; margin: 0 0 8px; padding: 4px 10px;
+       background: #111; color: #fff; font-size: 1.1em; text-transform: uppercase; }
+  h2 .cap { font-weight: 400; }
+  .headline { margin: 0 0 6px; font-size: 1.35em; font-weight: 700; }
+  ul, ol { margin: 0; padding-left: 1.3em; }
+  li { margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; margin-top: 6px; }
+  th, td { padding: 4px 8px; border: 1px solid #bbb; text-align: left; }
+  th { background: #eee; }
+  .note { margin: 6px 0 0; color: #555; font-style: italic; }
+  aside h3 { margin: 0 0 8px; text-transform: uppercase; }
+  aside dl { margin: 0; }
+  aside dt { margin-top: 8px; font-weight: 700; }
+  aside dd { margin: 0; }
+  .score { margin-top: 8px; padding: 14px 16px; border: 3px solid #111; }
+  .score span { display: block; font-size: 0.8em; text-transform: uppercase; color: #555; }
+  .score .line { height: 48px; border-bottom: 2px solid #111; }
+  @media (max-width: 720px) {
+    .columns { flex-direction: column; }
+    aside { border-left: none; padding-left: 0; }
+  }
+  @media print {
+    body { background: #fff; font-size: 14px; }
+    .board { margin: 0; border: none; max-width: none; padding: 0; }
+    .board + .board { page-break-before: always; }
+  }
+`;
+
+function htmlBlock(block) {
+  const parts = [
+    "<section>",
+    `<h2>${escapeHtml(block.title)} <span class="cap">${escapeHtml(block.cap)}</span></h2>`,
+  ];
+  if (block.headline) {
+    parts.push(`<p class="headline">${escapeHtml(block.headline)}</p>`);
+  }
+  if (block.list) {
+    const tag = block.ordered ? "ol" : "ul";
+    parts.push(`<${tag}>${block.list.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</${tag}>`);
+  }
+  if (block.table) {
+    const head = block.table.head.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("");
+    const rows = block.table.rows
+      .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+      .join("");
+    parts.push(`<table><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`);
+  }
+  if (block.note) {
+    parts.push(`<p class="note">${escapeHtml(block.note)}</p>`);
+  }
+  parts.push("</section>");
+  return parts.join("\n");
+}
+
+function htmlBoard(plan) {
+  const model = whiteboardModel(plan);
+  const scaling = model.scaling
+    .map(
+      (note) =>
+        `<dt>${escapeHtml(note.movement)}</dt><dd>Easier: ${escapeHtml(note.easier)}</dd>` +
+        `<dd>Harder: ${escapeHtml(note.harder)}</dd>` +
+        (note.swap ? `<dd>Swap: ${escapeHtml(note.swap)}</dd>` : ""),
+    )
+    .join("\n");
+
+  return [
+    `<main class="board">`,
+    `<header><h1>${escapeHtml(model.title)}</h1><p>${escapeHtml(model.subtitle)}</p></header>`,
+    `<div class="columns">`,
+    `<div class="blocks">`,
+    ...model.blocks.map(htmlBlock),
+    `<div class="score"><span>${escapeHtml(model.score)}</span><div class="line"></div></div>`,
+    `</div>`,
+    `<aside><h3>Scaling</h3><dl>\n${scaling}\n</dl></aside>`,
+    `</div>`,
+    `</main>`,
+  ].join("\n");
+}
+
+function htmlDocument(title, boards) {
+  return [
+    "<!DOCTYPE html>",
+    `<html lang="en">`,
+    "<head>",
+    `<meta charset="utf-8">`,
+    `<meta name="viewport" content="width=device-width, initial-scale=1">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    ...boards,
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+function renderHtml(plan) {
+  return htmlDocument(`WOD ${plan.date}`, [htmlBoard(plan)]);
+}
+
+function restDayMarkdown(date) {
+  return `# Rest day · ${date}`;
+}
+
+function renderMicrocycleMarkdown(microcycle) {
+  const sections = microcycle.days.map((day) => (day.rest ? restDayMarkdown(day.date) : renderMarkdown(day.plan)));
+  return sections.join("\n\n---\n\n");
+}
+
+function renderMicrocycleHtml(microcycle) {
+  const boards = microcycle.days.map((day) =>
+    day.rest
+      ? `<main class="board"><header><h1>Rest day · ${escapeHtml(day.date)}</h1></header></main>`
+      : htmlBoard(day.plan),
+  );
+  return htmlDocument(`Microcycle from ${microcycle.start_date}`, boards);
+}
+
+module.exports = {
+  whiteboardModel,
+  renderMarkdown,
+  renderHtml,
+  renderMicrocycleMarkdown,
+  renderMicrocycleHtml,
+};